@@ -2,7 +2,9 @@ const { Pool } = require('pg');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
-  ssl: { rejectUnauthorized: false }
+  ssl: { rejectUnauthorized: false },
+  // Give up on a new connection instead of waiting forever when the database is unreachable
+  connectionTimeoutMillis: parseInt(process.env.PG_CONNECT_TIMEOUT_MS) || 10000
 });
 
 module.exports = pool;
@@ -0,0 +1,89 @@
+// Owner secrets, admin API keys and update tokens.
+//
+// Secrets and tokens are random 32-byte values, so a plain SHA-256 is enough
+// to store them; only the hash ever reaches the database.
+const crypto = require('crypto');
+
+function generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// ADMIN_API_KEYS is a comma-separated list of `name:key:scopes`, where scopes
+// are separated by `|` and `*` grants everything, e.g.
+//   ADMIN_API_KEYS="alice:k3y...:*,cleanup-bot:0th3r...:delete"
+function loadAdminKeys(value = process.env.ADMIN_API_KEYS || '') {
+    return value.split(',')
+        .map(item => item.trim())
+        .filter(Boolean)
+        .map(item => {
+            const [name, key, scopes = '*'] = item.split(':');
+            if (!name || !key) {
+                throw new Error(`Invalid ADMIN_API_KEYS entry for "${name || item}"`);
+            }
+            return { name, keyHash: hashSecret(key), scopes: scopes.split('|') };
+        });
+}
+
+const adminKeys = loadAdminKeys();
+
+// Credential from `Authorization: Bearer <secret>`, falling back to `ownerSecret` in the body
+function getCredential(req) {
+    const header = req.get('authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (match) {
+        return match[1].trim();
+    }
+    return (req.body && req.body.ownerSecret) || null;
+}
+
+function findAdmin(credential, scope) {
+    const credentialHash = hashSecret(credential);
+    const key = adminKeys.find(k => safeEqual(k.keyHash, credentialHash));
+    if (!key || !(key.scopes.includes('*') || key.scopes.includes(scope))) {
+        return null;
+    }
+    return { type: 'admin', name: key.name };
+}
+
+// Whether the request's credential is the secret behind secretHash
+function credentialMatches(req, secretHash) {
+    const credential = getCredential(req);
+    return Boolean(credential && secretHash && safeEqual(secretHash, hashSecret(credential)));
+}
+
+// Who may act on this entry: an admin key with the scope, or the entry's owner.
+// Returns null when the request carries neither.
+function authorize(req, entry, scope) {
+    const credential = getCredential(req);
+    if (!credential) {
+        return null;
+    }
+    const admin = findAdmin(credential, scope);
+    if (admin) {
+        return admin;
+    }
+    if (entry && credentialMatches(req, entry.ownerSecretHash)) {
+        return { type: 'owner' };
+    }
+    return null;
+}
+
+module.exports = {
+    generateSecret,
+    hashSecret,
+    loadAdminKeys,
+    getCredential,
+    credentialMatches,
+    findAdmin,
+    authorize
+};
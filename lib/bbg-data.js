@@ -0,0 +1,134 @@
+// Validation and summary of BBG data.json payloads.
+//
+// A data.json is a JSON object. Anywhere inside it, an object with an `x`,
+// `y` or `z` key is a waypoint and must have all three as finite numbers
+// within world bounds; an array holding waypoints is a route and may only
+// hold waypoints. Errors carry the path of the offending value, e.g.
+// `routes.p3[4].z`.
+const crypto = require('crypto');
+
+const MAX_DEPTH = 32;
+const MAX_POINTS = 50000;
+const MAX_ERRORS = 50;
+const COORDINATE_LIMITS = {
+    x: 30000000,
+    y: 4096,
+    z: 30000000
+};
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isPoint(value) {
+    return isObject(value) && ['x', 'y', 'z'].some(axis => axis in value);
+}
+
+// SHA-256 of the data exactly as uploaded; used for duplicate detection and ETags
+function contentHash(raw) {
+    return crypto.createHash('sha256').update(String(raw)).digest('hex');
+}
+
+// Stored data comes back as a Buffer from Postgres, a string from the file
+// store, or a serialized Buffer from older rows. Returns null if unrecognized.
+function dataToString(data) {
+    if (Buffer.isBuffer(data)) {
+        return data.toString('utf8');
+    } else if (typeof data === 'string') {
+        return data;
+    } else if (data && data.type === 'Buffer' && Array.isArray(data.data)) {
+        return Buffer.from(data.data).toString('utf8');
+    } else if (Array.isArray(data)) {
+        return Buffer.from(data).toString('utf8');
+    }
+    return null;
+}
+
+function childPath(path, key) {
+    if (typeof key === 'number') {
+        return `${path}[${key}]`;
+    }
+    if (!/^[A-Za-z_$][\w$]*$/.test(key)) {
+        return `${path}[${JSON.stringify(key)}]`;
+    }
+    return path === '$' ? key : `${path}.${key}`;
+}
+
+// Parse and check a raw data.json string. Always returns a summary (computed
+// from whatever could be read) alongside the list of errors.
+function inspectData(raw) {
+    const errors = [];
+    const summary = {
+        pointCount: 0,
+        routeCount: 0,
+        dataSize: Buffer.byteLength(String(raw)),
+        contentHash: contentHash(raw),
+        configName: null
+    };
+
+    function fail(path, message) {
+        if (errors.length < MAX_ERRORS) {
+            errors.push({ path, message });
+        }
+    }
+
+    let json;
+    try {
+        json = JSON.parse(raw);
+    } catch (e) {
+        fail('$', `Invalid JSON: ${e.message}`);
+        return { errors, summary };
+    }
+    if (!isObject(json)) {
+        fail('$', 'data.json must be a JSON object');
+        return { errors, summary };
+    }
+
+    function checkPoint(point, path) {
+        summary.pointCount++;
+        for (const axis of ['x', 'y', 'z']) {
+            const value = point[axis];
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                fail(childPath(path, axis), 'must be a finite number');
+            } else if (Math.abs(value) > COORDINATE_LIMITS[axis]) {
+                fail(childPath(path, axis), `out of range (max ${COORDINATE_LIMITS[axis]})`);
+            }
+        }
+    }
+
+    function walk(value, path, depth) {
+        if (depth > MAX_DEPTH) {
+            fail(path, `nested too deeply (max depth ${MAX_DEPTH})`);
+            return;
+        }
+        if (Array.isArray(value)) {
+            if (value.some(isPoint)) {
+                summary.routeCount++;
+                value.forEach((item, i) => {
+                    if (!isPoint(item)) {
+                        fail(childPath(path, i), 'expected a waypoint with x, y and z');
+                    }
+                });
+            }
+            value.forEach((item, i) => walk(item, childPath(path, i), depth + 1));
+        } else if (isObject(value)) {
+            if (isPoint(value)) {
+                checkPoint(value, path);
+            }
+            for (const key of Object.keys(value)) {
+                walk(value[key], childPath(path, key), depth + 1);
+            }
+        }
+    }
+
+    walk(json, '$', 0);
+    if (summary.pointCount > MAX_POINTS) {
+        fail('$', `too many waypoints (${summary.pointCount}, max ${MAX_POINTS})`);
+    }
+    if (typeof json.configName === 'string' && json.configName.trim()) {
+        summary.configName = json.configName.trim().slice(0, 100);
+    }
+    return { errors, summary };
+}
+
+module.exports = { inspectData, contentHash, dataToString };
@@ -0,0 +1,52 @@
+// Request body decoding that body-parser doesn't cover. body-parser inflates
+// gzip and deflate bodies itself but not brotli, so `Content-Encoding: br`
+// JSON bodies are decoded here first (with the same limit applied to the
+// decoded size) and marked as read for body-parser.
+const zlib = require('zlib');
+
+function brotliJson({ limit }) {
+    return (req, res, next) => {
+        if ((req.get('content-encoding') || '').toLowerCase() !== 'br') {
+            return next();
+        }
+        if (!req.is('application/json')) {
+            return res.status(415).json({ success: false, error: 'Brotli request bodies must be JSON' });
+        }
+        const chunks = [];
+        let received = 0;
+        let aborted = false;
+        req.on('data', chunk => {
+            received += chunk.length;
+            if (received > limit && !aborted) {
+                aborted = true;
+                res.status(413).json({ success: false, error: 'Request body too large' });
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (aborted) {
+                return;
+            }
+            zlib.brotliDecompress(Buffer.concat(chunks), { maxOutputLength: limit }, (error, decoded) => {
+                if (error) {
+                    const tooLarge = error.code === 'ERR_BUFFER_TOO_LARGE';
+                    return res.status(tooLarge ? 413 : 400).json({
+                        success: false,
+                        error: tooLarge ? 'Request body too large' : 'Invalid brotli request body'
+                    });
+                }
+                try {
+                    req.body = JSON.parse(decoded.toString('utf8'));
+                } catch (e) {
+                    return res.status(400).json({ success: false, error: 'Invalid JSON body' });
+                }
+                req._body = true;
+                next();
+            });
+        });
+    };
+}
+
+module.exports = { brotliJson };
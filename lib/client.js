@@ -0,0 +1,9 @@
+const crypto = require('crypto');
+
+// Stable key for the requesting client. The IP is hashed so raw addresses
+// never end up in the database.
+function clientKey(req) {
+    return crypto.createHash('sha256').update(`client:${req.ip}`).digest('hex').slice(0, 32);
+}
+
+module.exports = { clientKey };
@@ -0,0 +1,36 @@
+// Opaque cursors for keyset pagination on /list. A cursor holds the sort, the
+// requested direction and the last entry's sort key and ID; the stores
+// continue strictly after that position, so uploads or deletes while someone
+// pages through don't make entries repeat or get skipped.
+
+function encodeCursor({ sort, order, key, id }) {
+    return Buffer.from(JSON.stringify([sort, order || null, key, id])).toString('base64url');
+}
+
+// { sort, order, key, id }, or null for anything that isn't a cursor
+function decodeCursor(value) {
+    let parts;
+    try {
+        parts = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    } catch (e) {
+        return null;
+    }
+    if (!Array.isArray(parts) || parts.length !== 4) {
+        return null;
+    }
+    const [sort, order, key, id] = parts;
+    const valid = typeof sort === 'string' &&
+        (order === null || order === 'asc' || order === 'desc') &&
+        Array.isArray(key) && key.every(value => typeof value === 'string' || typeof value === 'number') &&
+        Number.isInteger(id) && id > 0;
+    return valid ? { sort, order, key, id } : null;
+}
+
+// Thrown by the stores for a cursor whose key doesn't fit its sort
+function invalidCursor() {
+    const error = new Error('Invalid cursor');
+    error.code = 'INVALID_CURSOR';
+    return error;
+}
+
+module.exports = { encodeCursor, decodeCursor, invalidCursor };
@@ -0,0 +1,147 @@
+// Structural diff between two parsed data.json payloads.
+//
+// Objects are compared key by key, so each reported change carries the path
+// of the value that changed, e.g. `waypoints[3].y`. Leaf values are compared by
+// value. Array elements are aligned on their longest common subsequence, so a
+// waypoint inserted near the start is one `added` change rather than every
+// later waypoint `modified`. Elements left between aligned ones are compared in
+// place. Removed elements carry their index in the old array, everything else
+// the index in the new one.
+const MAX_CHANGES = 1000;
+// Alignment takes (n + 1) * (m + 1) cells for the differing middle of two
+// arrays; bigger ones are compared index by index
+const MAX_ALIGN_CELLS = 4000000;
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function childPath(path, key) {
+    if (typeof key === 'number') {
+        return `${path}[${key}]`;
+    }
+    const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+    if (!path) {
+        return name;
+    }
+    return name.startsWith('"') ? `${path}[${name}]` : `${path}.${name}`;
+}
+
+// JSON text with sorted keys, so equal values give equal strings
+function canonical(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonical).join(',')}]`;
+    }
+    if (isObject(value)) {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// Index pairs [i, j] of equal elements of a and b, in order
+function alignArrays(a, b) {
+    const x = a.map(canonical);
+    const y = b.map(canonical);
+    let start = 0;
+    while (start < x.length && start < y.length && x[start] === y[start]) {
+        start++;
+    }
+    let endA = x.length;
+    let endB = y.length;
+    while (endA > start && endB > start && x[endA - 1] === y[endB - 1]) {
+        endA--;
+        endB--;
+    }
+    const pairs = [];
+    for (let i = 0; i < start; i++) {
+        pairs.push([i, i]);
+    }
+    const n = endA - start;
+    const m = endB - start;
+    if (n > 0 && m > 0 && (n + 1) * (m + 1) <= MAX_ALIGN_CELLS) {
+        // lengths[i * (m + 1) + j]: common subsequence length of the middles from i and j on
+        const lengths = new Uint32Array((n + 1) * (m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lengths[i * (m + 1) + j] = x[start + i] === y[start + j]
+                    ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1]);
+            }
+        }
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (x[start + i] === y[start + j]) {
+                pairs.push([start + i, start + j]);
+                i++;
+                j++;
+            } else if (lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1]) {
+                i++;
+            } else {
+                j++;
+            }
+        }
+    }
+    for (let k = 0; endA + k < x.length; k++) {
+        pairs.push([endA + k, endB + k]);
+    }
+    return pairs;
+}
+
+function diffJson(before, after, maxChanges = MAX_CHANGES) {
+    const changes = { added: [], removed: [], modified: [] };
+    const summary = { added: 0, removed: 0, modified: 0 };
+
+    function record(type, change) {
+        summary[type]++;
+        if (changes[type].length < maxChanges) {
+            changes[type].push(change);
+        }
+    }
+
+    function walk(a, b, path) {
+        if (Array.isArray(a) && Array.isArray(b)) {
+            let i = 0;
+            let j = 0;
+            for (const [nextA, nextB] of [...alignArrays(a, b), [a.length, b.length]]) {
+                const paired = Math.min(nextA - i, nextB - j);
+                for (let k = 0; k < paired; k++) {
+                    walk(a[i + k], b[j + k], childPath(path, j + k));
+                }
+                for (let k = i + paired; k < nextA; k++) {
+                    record('removed', { path: childPath(path, k), value: a[k] });
+                }
+                for (let k = j + paired; k < nextB; k++) {
+                    record('added', { path: childPath(path, k), value: b[k] });
+                }
+                i = nextA + 1;
+                j = nextB + 1;
+            }
+        } else if (isObject(a) && isObject(b)) {
+            for (const key of Object.keys(a)) {
+                if (!Object.prototype.hasOwnProperty.call(b, key)) {
+                    record('removed', { path: childPath(path, key), value: a[key] });
+                } else {
+                    walk(a[key], b[key], childPath(path, key));
+                }
+            }
+            for (const key of Object.keys(b)) {
+                if (!Object.prototype.hasOwnProperty.call(a, key)) {
+                    record('added', { path: childPath(path, key), value: b[key] });
+                }
+            }
+        } else if (a !== b) {
+            record('modified', { path: path || '$', from: a, to: b });
+        }
+    }
+
+    walk(before, after, '');
+    const total = summary.added + summary.removed + summary.modified;
+    return {
+        summary: { ...summary, total },
+        changes,
+        truncated: Object.keys(summary).some(type => summary[type] > changes[type].length)
+    };
+}
+
+module.exports = { diffJson };
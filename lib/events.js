@@ -0,0 +1,50 @@
+// In-process event bus for the live feed (/api/v1/events).
+//
+// Recent events are kept in a ring buffer so reconnecting clients can replay
+// what they missed via Last-Event-ID. IDs continue from the start time in
+// milliseconds, so they keep increasing across restarts; an ID older than the
+// buffer means events were lost and the client should refetch.
+const DEFAULT_BUFFER_SIZE = 500;
+
+function createEventBus({ bufferSize = DEFAULT_BUFFER_SIZE } = {}) {
+    const buffer = [];
+    const listeners = new Set();
+    let lastId = Date.now();
+
+    return {
+        publish(type, data) {
+            const event = { id: ++lastId, type, data, createdAt: new Date().toISOString() };
+            buffer.push(event);
+            if (buffer.length > bufferSize) {
+                buffer.shift();
+            }
+            listeners.forEach(listener => {
+                try {
+                    listener(event);
+                } catch (error) {
+                    console.error('Event listener error:', error);
+                }
+            });
+            return event;
+        },
+
+        // Events after lastEventId; `complete` is false when some of them
+        // have already dropped out of the buffer (or were lost in a restart)
+        since(lastEventId) {
+            const events = buffer.filter(event => event.id > lastEventId);
+            const oldest = buffer.length ? buffer[0].id : lastId + 1;
+            return { events, complete: lastEventId >= oldest - 1, latestId: lastId };
+        },
+
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        get subscriberCount() {
+            return listeners.size;
+        }
+    };
+}
+
+module.exports = { createEventBus };
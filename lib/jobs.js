@@ -0,0 +1,129 @@
+// Scheduled maintenance jobs on node-cron, which can also be run on demand
+// from the admin endpoint.
+//
+// A job is an async function; what it returns is kept as the run's result
+// and a job that throws is recorded as failed. A job never overlaps itself: a
+// scheduled run is skipped while the previous one is still going. Jobs
+// without a schedule only run on demand.
+const cron = require('node-cron');
+
+// Runs kept per job, newest first
+const MAX_HISTORY = 20;
+
+// JOB_SCHEDULES is a semicolon-separated list of `name=expression` (cron
+// expressions may contain commas), where `off` turns the schedule off, e.g.
+//   JOB_SCHEDULES="prune-download-events=0 4 * * *;refresh-stats=off"
+function loadJobSchedules(value = process.env.JOB_SCHEDULES || '') {
+    const schedules = {};
+    value.split(';')
+        .map(item => item.trim())
+        .filter(Boolean)
+        .forEach(item => {
+            const match = item.match(/^([\w-]+)\s*=\s*(.+)$/);
+            if (!match || (match[2] !== 'off' && !cron.validate(match[2]))) {
+                throw new Error(`Invalid JOB_SCHEDULES entry "${item}"`);
+            }
+            schedules[match[1]] = match[2] === 'off' ? null : match[2];
+        });
+    return schedules;
+}
+
+function createJobRegistry({ schedules = loadJobSchedules() } = {}) {
+    const jobs = new Map();
+    const tasks = [];
+
+    function describe(job) {
+        return {
+            name: job.name,
+            description: job.description,
+            schedule: job.schedule,
+            running: job.running,
+            runCount: job.runCount,
+            failureCount: job.failureCount,
+            lastRun: job.history[0] || null
+        };
+    }
+
+    async function execute(job, trigger) {
+        job.running = true;
+        const startedAt = new Date();
+        const run = { trigger, status: 'ok', startedAt: startedAt.toISOString() };
+        try {
+            run.result = (await job.run()) ?? null;
+        } catch (error) {
+            console.error(`Job ${job.name} failed:`, error);
+            run.status = 'failed';
+            run.error = error.message;
+            job.failureCount++;
+        } finally {
+            job.running = false;
+        }
+        run.finishedAt = new Date().toISOString();
+        run.durationMs = Date.now() - startedAt.getTime();
+        job.runCount++;
+        job.history.unshift(run);
+        job.history.length = Math.min(job.history.length, MAX_HISTORY);
+        return run;
+    }
+
+    return {
+        // schedule is a cron expression, or null for a job that only runs on
+        // demand; JOB_SCHEDULES takes precedence
+        define(name, { schedule = null, description = '', run }) {
+            if (jobs.has(name)) {
+                throw new Error(`Job ${name} is already defined`);
+            }
+            const effective = name in schedules ? schedules[name] : schedule;
+            if (effective && !cron.validate(effective)) {
+                throw new Error(`Invalid schedule "${effective}" for job ${name}`);
+            }
+            jobs.set(name, { name, description, schedule: effective, run, running: false, runCount: 0, failureCount: 0, history: [] });
+        },
+
+        // Schedule every job that has a schedule
+        start() {
+            const unknown = Object.keys(schedules).filter(name => !jobs.has(name));
+            if (unknown.length) {
+                throw new Error(`Unknown job in JOB_SCHEDULES: ${unknown.join(', ')}`);
+            }
+            for (const job of jobs.values()) {
+                if (job.schedule) {
+                    tasks.push(cron.schedule(job.schedule, () => {
+                        if (!job.running) {
+                            execute(job, 'schedule');
+                        }
+                    }));
+                }
+            }
+        },
+
+        stop() {
+            tasks.splice(0).forEach(task => task.stop());
+        },
+
+        // Run a job now and wait for it; null when it is already running
+        async run(name) {
+            const job = jobs.get(name);
+            if (job.running) {
+                return null;
+            }
+            return execute(job, 'manual');
+        },
+
+        has(name) {
+            return jobs.has(name);
+        },
+
+        list() {
+            return [...jobs.values()].map(describe);
+        },
+
+        // One job with its recent runs, or null
+        get(name) {
+            const job = jobs.get(name);
+            return job ? { ...describe(job), runs: job.history.slice() } : null;
+        }
+    };
+}
+
+module.exports = { loadJobSchedules, createJobRegistry };
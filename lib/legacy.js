@@ -0,0 +1,8 @@
+// Records written by the old index.js (storage/database.json) have string IDs
+// and `uploadDate` instead of `uploadedAt`. The file store refuses to load
+// them and the importer maps them to new entries.
+function isLegacyRecord(record) {
+    return record.uploadDate !== undefined && record.uploadedAt === undefined;
+}
+
+module.exports = { isLegacyRecord };
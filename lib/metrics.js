@@ -0,0 +1,111 @@
+// Prometheus metrics for GET /metrics: request counts, latencies and server
+// errors per route, config bytes uploaded and downloaded, and gauges the
+// caller passes in when rendering (database pool usage, live feed clients).
+//
+// Routes are labelled with their Express path (/api/v1/data/download/:id),
+// so IDs don't create a series each.
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function increment(map, labels, by = 1) {
+    const key = JSON.stringify(labels);
+    const series = map.get(key);
+    if (series) {
+        series.value += by;
+    } else {
+        map.set(key, { labels, value: by });
+    }
+}
+
+function createMetrics() {
+    const requests = new Map();
+    const errors = new Map();
+    const latencies = new Map();
+    const bytes = new Map();
+    const startedAt = Date.now();
+
+    function observeLatency(labels, seconds) {
+        const key = JSON.stringify(labels);
+        let histogram = latencies.get(key);
+        if (!histogram) {
+            histogram = { labels, buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+            latencies.set(key, histogram);
+        }
+        LATENCY_BUCKETS.forEach((bound, i) => {
+            if (seconds <= bound) {
+                histogram.buckets[i]++;
+            }
+        });
+        histogram.sum += seconds;
+        histogram.count++;
+    }
+
+    return {
+        // Express middleware recording every request once its response ends
+        // (or the client goes away, as live feed clients do)
+        middleware(req, res, next) {
+            const start = process.hrtime.bigint();
+            let recorded = false;
+            const record = () => {
+                if (recorded) {
+                    return;
+                }
+                recorded = true;
+                const route = req.route ? `${req.baseUrl}${req.route.path}` : 'other';
+                const labels = { method: req.method, route };
+                increment(requests, { ...labels, status: res.statusCode });
+                if (res.statusCode >= 500) {
+                    increment(errors, labels);
+                }
+                observeLatency(labels, Number(process.hrtime.bigint() - start) / 1e9);
+            };
+            res.once('finish', record);
+            res.once('close', record);
+            next();
+        },
+
+        // Config data bytes; direction is upload or download
+        countBytes(direction, count) {
+            increment(bytes, { direction }, count);
+        },
+
+        // Text exposition format. gauges are [{ name, help, series: [{ labels, value }] }].
+        render(gauges = []) {
+            const lines = [];
+            const family = (name, type, help, series) => {
+                lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+                series.forEach(({ labels, value }) => lines.push(`${name}${formatLabels(labels)} ${value}`));
+            };
+            family('http_requests_total', 'counter', 'Requests by method, route and status.', [...requests.values()]);
+            family('http_request_errors_total', 'counter', 'Requests answered with a 5xx status.', [...errors.values()]);
+            lines.push(
+                '# HELP http_request_duration_seconds Request latency by method and route.',
+                '# TYPE http_request_duration_seconds histogram'
+            );
+            for (const { labels, buckets, sum, count } of latencies.values()) {
+                LATENCY_BUCKETS.forEach((bound, i) => {
+                    lines.push(`http_request_duration_seconds_bucket${formatLabels({ ...labels, le: bound })} ${buckets[i]}`);
+                });
+                lines.push(
+                    `http_request_duration_seconds_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+                    `http_request_duration_seconds_sum${formatLabels(labels)} ${sum}`,
+                    `http_request_duration_seconds_count${formatLabels(labels)} ${count}`
+                );
+            }
+            family('bbg_config_bytes_total', 'counter', 'data.json bytes uploaded (uploads, forks, updates) and downloaded.', [...bytes.values()]);
+            family('process_uptime_seconds', 'gauge', 'Seconds since the server started.', [{ labels: {}, value: (Date.now() - startedAt) / 1000 }]);
+            gauges.forEach(({ name, help, series }) => family(name, 'gauge', help, series));
+            return `${lines.join('\n')}\n`;
+        }
+    };
+}
+
+module.exports = { LATENCY_BUCKETS, createMetrics };
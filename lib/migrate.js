@@ -0,0 +1,91 @@
+// Versioned schema migrations for the Postgres store.
+//
+// Each file in migrations/ is named `<version>-<name>.js` and exports an
+// async `up(client)`. Applied versions are recorded in schema_migrations;
+// every migration runs in its own transaction.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+// Arbitrary key for pg_advisory_lock so concurrent instances migrate one at a time
+const LOCK_KEY = 7262001;
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    return fs.readdirSync(dir)
+        .filter(file => /^\d+-.+\.js$/.test(file))
+        .map(file => ({
+            version: parseInt(file, 10),
+            name: path.basename(file, '.js'),
+            up: require(path.join(dir, file)).up
+        }))
+        .sort((a, b) => a.version - b.version);
+}
+
+// Bring the schema up to date (or just inspect it when apply is false).
+// Throws if the database has migrations this code doesn't know about.
+async function migrate(pool, { apply = true, dir } = {}) {
+    const migrations = loadMigrations(dir);
+    const latest = migrations.length ? migrations[migrations.length - 1].version : 0;
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            )
+        `);
+        const result = await client.query('SELECT version FROM schema_migrations');
+        const appliedVersions = new Set(result.rows.map(row => row.version));
+        const current = Math.max(0, ...appliedVersions);
+        if (current > latest) {
+            throw new Error(`Database schema is at version ${current} but this code only knows up to ${latest}; refusing to run against a newer schema`);
+        }
+
+        const pending = migrations.filter(m => !appliedVersions.has(m.version));
+        const applied = [];
+        if (apply) {
+            for (const migration of pending) {
+                await client.query('BEGIN');
+                try {
+                    await migration.up(client);
+                    await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+                    await client.query('COMMIT');
+                } catch (error) {
+                    await client.query('ROLLBACK');
+                    throw new Error(`Migration ${migration.name} failed: ${error.message}`);
+                }
+                console.log(`Applied migration ${migration.name}`);
+                applied.push(migration.name);
+            }
+        }
+        return {
+            current: applied.length ? latest : current,
+            latest,
+            applied,
+            pending: apply ? [] : pending.map(m => m.name)
+        };
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+        client.release();
+    }
+}
+
+// CLI: `npm run migrate` applies pending migrations, `npm run migrate -- status` only reports
+if (require.main === module) {
+    const pool = require('../db');
+    const apply = process.argv[2] !== 'status';
+    migrate(pool, { apply }).then(status => {
+        console.log(`Schema version ${status.current} (latest ${status.latest})`);
+        if (status.pending.length) {
+            console.log(`Pending migrations: ${status.pending.join(', ')}`);
+        }
+        return pool.end();
+    }).catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { migrate, loadMigrations };
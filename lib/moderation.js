@@ -0,0 +1,11 @@
+// Entry statuses and report reasons for moderation.
+//
+// Visible configs are listed, searched and counted in stats. Pending ones
+// (waiting for review) drop out of those but can still be downloaded by ID;
+// hidden ones can only be seen by their owner and moderators.
+const ENTRY_STATUSES = ['visible', 'pending', 'hidden'];
+const REPORT_REASONS = ['broken', 'griefing', 'spam', 'inappropriate', 'other'];
+// Open reports from this many clients put a visible config up for review
+const REPORT_REVIEW_THRESHOLD = parseInt(process.env.REPORT_REVIEW_THRESHOLD) || 3;
+
+module.exports = { ENTRY_STATUSES, REPORT_REASONS, REPORT_REVIEW_THRESHOLD };
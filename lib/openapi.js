@@ -0,0 +1,1303 @@
+// OpenAPI document for the API (served at /api/v1/openapi.json) and the
+// request validation built on it.
+//
+// Every route starts with validateRequest(operationId). Path, query and header
+// values are converted to their schema types, ID parameters (format `id`) lose
+// their zero padding, and a request that doesn't match the document gets a 400
+// listing each problem with its path in `details`. With VALIDATE_RESPONSES=true
+// JSON responses are checked as well and mismatches are logged, which is meant
+// for development and tests.
+const { version } = require('../package.json');
+const { validate, coerce } = require('./schema');
+const { ENTRY_STATUSES, REPORT_REASONS } = require('./moderation');
+const { BLOCK_TYPES } = require('./rate-limit');
+const { BUMPS } = require('./semver');
+const { STATS_INTERVALS } = require('./stats');
+
+// Request bodies that are parsed before the routes run (JSON, and form fields
+// on upload)
+const PARSED_BODIES = ['application/json', 'multipart/form-data'];
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ 'application/json': { schema } });
+const text = (maxLength, extra = {}) => ({ type: 'string', maxLength, ...extra });
+const requiredText = maxLength => text(maxLength, { format: 'non-blank' });
+const nullable = schema => ({ ...schema, type: [schema.type, 'null'] });
+
+// 200 response with `success: true` and the given properties
+function success(properties = {}, required = []) {
+    return {
+        description: 'Success',
+        content: json({
+            type: 'object',
+            required: ['success', ...required],
+            properties: { success: { const: true }, ...properties }
+        })
+    };
+}
+
+function path(name, description, schema = ref('Id')) {
+    return { name, in: 'path', required: true, description, schema };
+}
+
+function query(name, description, schema = { type: 'string' }, required = false) {
+    return { name, in: 'query', required, description, schema };
+}
+
+const configId = path('id', 'Config ID (the zero padding is optional)');
+const collectionId = path('id', 'Collection ID (the zero padding is optional)');
+const tagName = path('tag', 'Tag name, e.g. stable', { type: 'string', format: 'tag' });
+const jobName = path('name', 'Job name, e.g. purge-orphans', { type: 'string' });
+// Every stored version has a name: configs uploaded without one start at 1.0.0
+const storedVersion = { type: 'string', minLength: 1, description: 'A version listed by /versions/:id' };
+const paging = [
+    query('page', 'Page number', { type: 'integer', minimum: 1 }),
+    query('limit', 'Results per page (at most 50)', { type: 'integer', minimum: 1 })
+];
+const auth = [{ bearerAuth: [] }];
+// Routes that hide some configs unless the owner secret or a moderator key is sent
+const optionalAuth = [{}, { bearerAuth: [] }];
+
+function body(schema, extraTypes = []) {
+    const content = json(schema);
+    extraTypes.forEach(type => {
+        content[type] = { schema };
+    });
+    return { required: true, content };
+}
+
+// Owner secret, admin key or update token, for routes that change a config
+const credentials = {
+    ownerSecret: { type: 'string', description: 'Owner secret, if not sent as a Bearer token' },
+    token: { type: 'string', description: 'One-time update token' }
+};
+
+function buildSchemas({ maxUpdateChecks, maxCollectionItems }) {
+    return {
+        Id: {
+            type: 'string',
+            format: 'id',
+            description: 'Numeric ID, zero-padded to 16 digits in responses',
+            examples: ['0000000000000042']
+        },
+        Problem: {
+            type: 'object',
+            required: ['path', 'message'],
+            properties: { path: { type: 'string' }, message: { type: 'string' } }
+        },
+        Error: {
+            type: 'object',
+            required: ['success', 'error'],
+            properties: {
+                success: { const: false },
+                error: { type: 'string' },
+                details: { type: 'array', items: ref('Problem') }
+            }
+        },
+        Rating: {
+            type: 'object',
+            required: ['average', 'count'],
+            properties: { average: { type: ['number', 'null'] }, count: { type: 'integer' } }
+        },
+        ConfigSummary: {
+            type: 'object',
+            required: ['id', 'name', 'category', 'uploaderName', 'version', 'status', 'uploadedAt'],
+            properties: {
+                id: ref('Id'),
+                name: { type: 'string' },
+                description: { type: 'string' },
+                category: { type: 'string' },
+                uploaderName: { type: 'string' },
+                pointCount: { type: 'integer' },
+                configName: { type: 'string' },
+                version: { type: 'string' },
+                downloads: { type: 'integer' },
+                rating: ref('Rating'),
+                commentCount: { type: 'integer' },
+                contentHash: { type: 'string' },
+                status: { enum: ENTRY_STATUSES },
+                parentId: { type: ['string', 'null'] },
+                parentVersion: { type: ['string', 'null'] },
+                forkCount: { type: 'integer' },
+                dataSize: { type: 'integer' },
+                storedSize: { type: 'integer' },
+                uploadedAt: { type: 'string', format: 'date-time' }
+            }
+        },
+        Pagination: {
+            type: 'object',
+            required: ['page', 'limit', 'total', 'totalPages', 'hasNext', 'hasPrev'],
+            properties: {
+                page: { type: 'integer' },
+                limit: { type: 'integer' },
+                total: { type: 'integer' },
+                totalPages: { type: 'integer' },
+                hasNext: { type: 'boolean' },
+                hasPrev: { type: 'boolean' }
+            }
+        },
+        ListPagination: {
+            type: 'object',
+            description: 'Page numbers are only given without a cursor',
+            required: ['limit', 'total', 'hasNext', 'nextCursor'],
+            properties: {
+                page: { type: 'integer' },
+                limit: { type: 'integer' },
+                total: { type: 'integer' },
+                totalPages: { type: 'integer' },
+                hasNext: { type: 'boolean' },
+                hasPrev: { type: 'boolean' },
+                nextCursor: { type: ['string', 'null'], description: 'Pass as ?cursor= for the next page' }
+            }
+        },
+        Highlights: {
+            type: 'object',
+            properties: { name: { type: 'string' }, description: { type: 'string' } }
+        },
+        DataSummary: {
+            type: 'object',
+            required: ['pointCount', 'routeCount', 'dataSize', 'contentHash'],
+            properties: {
+                pointCount: { type: 'integer' },
+                routeCount: { type: 'integer' },
+                dataSize: { type: 'integer' },
+                contentHash: { type: 'string' },
+                configName: { type: ['string', 'null'] },
+                storedSize: { type: 'integer' }
+            }
+        },
+        ChangelogEntry: {
+            type: 'object',
+            required: ['version', 'changes'],
+            properties: {
+                version: { type: ['string', 'null'] },
+                date: { type: ['string', 'null'] },
+                changes: { type: ['string', 'null'] }
+            }
+        },
+        Version: {
+            type: 'object',
+            required: ['version', 'createdAt', 'contentHash'],
+            properties: {
+                version: { type: 'string' },
+                changes: { type: ['string', 'null'] },
+                createdAt: { type: 'string' },
+                contentHash: { type: ['string', 'null'] },
+                size: { type: 'integer' },
+                storedSize: { type: 'integer' }
+            }
+        },
+        Tag: {
+            type: 'object',
+            required: ['tag', 'version'],
+            properties: { tag: { type: 'string' }, version: { type: 'string' }, updatedAt: { type: ['string', 'null'] } }
+        },
+        StatsGroup: {
+            type: 'object',
+            description: 'Visible configs of a category (`category`) or uploader (`uploaderName`)',
+            required: ['configs', 'downloads', 'points', 'averagePoints'],
+            properties: {
+                category: { type: 'string' },
+                uploaderName: { type: 'string' },
+                configs: { type: 'integer' },
+                downloads: { type: 'integer' },
+                points: { type: 'integer' },
+                averagePoints: { type: 'number' }
+            }
+        },
+        StorageUsage: {
+            type: 'object',
+            properties: { count: { type: 'integer' }, dataSize: { type: 'integer' }, storedSize: { type: 'integer' } }
+        },
+        Comment: {
+            type: 'object',
+            required: ['id', 'author', 'text', 'createdAt'],
+            properties: {
+                id: { type: 'integer' },
+                author: { type: 'string' },
+                text: { type: 'string' },
+                createdAt: { type: 'string' }
+            }
+        },
+        UpdateCheckRequest: {
+            type: 'object',
+            required: ['id'],
+            properties: {
+                id: { type: ['string', 'integer'] },
+                version: { type: 'string' },
+                hash: { type: 'string' }
+            },
+            anyOf: [{ required: ['version'] }, { required: ['hash'] }]
+        },
+        UpdateCheckList: {
+            type: 'array',
+            minItems: 1,
+            maxItems: maxUpdateChecks,
+            items: ref('UpdateCheckRequest')
+        },
+        UpdateCheck: {
+            type: 'object',
+            required: ['id', 'status'],
+            properties: {
+                id: { type: 'string' },
+                status: { enum: ['current', 'outdated', 'deleted', 'invalid'] },
+                latestVersion: { type: 'string' },
+                latestHash: { type: 'string' },
+                lastUpdate: { type: 'string' },
+                knownVersion: { type: 'boolean' },
+                changes: { type: 'array', items: ref('ChangelogEntry') },
+                parentUpdate: {
+                    type: 'object',
+                    properties: {
+                        id: ref('Id'),
+                        latestVersion: { type: 'string' },
+                        changes: { type: 'array', items: ref('ChangelogEntry') }
+                    }
+                },
+                error: { type: 'string' }
+            }
+        },
+        CollectionItemRequest: {
+            type: 'object',
+            required: ['id'],
+            properties: {
+                id: { type: ['string', 'integer'], format: 'id' },
+                version: text(32, { description: 'Pinned version; defaults to the current one' })
+            }
+        },
+        CollectionItems: {
+            type: 'array',
+            minItems: 1,
+            maxItems: maxCollectionItems,
+            items: ref('CollectionItemRequest')
+        },
+        Collection: {
+            type: 'object',
+            required: ['id', 'name', 'uploaderName', 'itemCount', 'downloads', 'createdAt'],
+            properties: {
+                id: ref('Id'),
+                name: { type: 'string' },
+                description: { type: 'string' },
+                uploaderName: { type: 'string' },
+                itemCount: { type: 'integer' },
+                downloads: { type: 'integer' },
+                createdAt: { type: 'string' },
+                updatedAt: { type: ['string', 'null'] }
+            }
+        },
+        Report: {
+            type: 'object',
+            required: ['id', 'configId', 'reason', 'createdAt'],
+            properties: {
+                id: { type: 'integer' },
+                configId: ref('Id'),
+                reason: { enum: REPORT_REASONS },
+                details: { type: ['string', 'null'] },
+                createdAt: { type: 'string' },
+                resolvedAt: { type: ['string', 'null'] },
+                resolvedBy: { type: ['string', 'null'] },
+                resolution: { type: ['string', 'null'] },
+                config: { anyOf: [ref('ConfigSummary'), { type: 'null' }] }
+            }
+        },
+        LogEntry: {
+            type: 'object',
+            required: ['id', 'action', 'actor', 'createdAt'],
+            properties: {
+                id: { type: 'integer' },
+                configId: { type: ['string', 'null'] },
+                action: { type: 'string' },
+                actor: { type: 'string' },
+                reason: { type: ['string', 'null'] },
+                details: { type: ['object', 'null'] },
+                createdAt: { type: 'string' }
+            }
+        },
+        Block: {
+            type: 'object',
+            required: ['type', 'value', 'createdAt'],
+            properties: {
+                type: { enum: BLOCK_TYPES },
+                value: { type: 'string' },
+                reason: { type: ['string', 'null'] },
+                createdBy: { type: ['string', 'null'] },
+                createdAt: { type: 'string' },
+                expiresAt: { type: ['string', 'null'] }
+            }
+        },
+        JobRun: {
+            type: 'object',
+            required: ['trigger', 'status', 'startedAt'],
+            properties: {
+                trigger: { enum: ['schedule', 'manual'] },
+                status: { enum: ['ok', 'failed'] },
+                startedAt: { type: 'string' },
+                finishedAt: { type: 'string' },
+                durationMs: { type: 'integer' },
+                result: { description: 'What the job reported, e.g. the number of rows deleted' },
+                error: { type: 'string' }
+            }
+        },
+        Job: {
+            type: 'object',
+            required: ['name', 'schedule', 'running'],
+            properties: {
+                name: { type: 'string' },
+                description: { type: 'string' },
+                schedule: { type: ['string', 'null'], description: 'Cron expression; null for jobs that only run on demand' },
+                running: { type: 'boolean' },
+                runCount: { type: 'integer' },
+                failureCount: { type: 'integer' },
+                lastRun: { anyOf: [ref('JobRun'), { type: 'null' }] },
+                runs: { type: 'array', items: ref('JobRun') }
+            }
+        },
+        ImportItem: {
+            type: 'object',
+            properties: {
+                line: { type: ['integer', 'null'] },
+                id: { type: ['string', 'null'] },
+                legacyId: { type: ['string', 'null'] },
+                name: { type: 'string' },
+                existingId: { type: ['string', 'null'] },
+                reason: { type: 'string' },
+                error: { type: 'string' },
+                warning: { type: 'string' }
+            }
+        }
+    };
+}
+
+const uploadFields = {
+    name: requiredText(100),
+    description: requiredText(500),
+    category: text(50),
+    uploaderName: requiredText(50),
+    configName: text(100),
+    version: text(32, { format: 'semver', description: 'Defaults to 1.0.0' }),
+    data: { type: 'string', format: 'non-blank', description: 'The data.json as a string' }
+};
+
+const configPage = success({ data: { type: 'array', items: ref('ConfigSummary') }, pagination: ref('Pagination') }, ['data', 'pagination']);
+
+function buildPaths({ listSorts }) {
+    const sort = query('sort', 'Sort order', { enum: listSorts });
+    const order = query('order', "Sort direction; each sort has its own default (`name` ascending, the rest descending)", { enum: ['asc', 'desc'] });
+    const metadataFilters = [
+        query('uploader', 'Only this uploader'),
+        query('version', 'Only this version'),
+        query('from', 'Uploaded at or after this date', { type: 'string', format: 'date' }),
+        query('to', 'Uploaded at or before this date', { type: 'string', format: 'date' })
+    ];
+    const category = query('category', 'Only this category (`All` for every category)');
+    return {
+        '/api/v1/health': {
+            get: { operationId: 'getHealth', tags: ['General'], summary: 'Check that the API is running', responses: { 200: success({ message: { type: 'string' }, storage: { type: 'string' }, timestamp: { type: 'string' } }) } }
+        },
+        '/api/v1/health/live': {
+            get: { operationId: 'getLiveness', tags: ['General'], summary: 'Liveness: the process is serving requests', responses: { 200: success({ status: { const: 'live' }, uptime: { type: 'integer' } }) } }
+        },
+        '/api/v1/health/ready': {
+            get: {
+                operationId: 'getReadiness',
+                tags: ['General'],
+                summary: 'Readiness: the storage answers in time (503 otherwise)',
+                responses: {
+                    200: success({
+                        status: { const: 'ready' },
+                        storage: { type: 'string' },
+                        latencyMs: { type: 'integer' },
+                        pool: {
+                            type: ['object', 'null'],
+                            properties: { total: { type: 'integer' }, idle: { type: 'integer' }, waiting: { type: 'integer' }, max: { type: 'integer' } }
+                        }
+                    }, ['status'])
+                }
+            }
+        },
+        '/metrics': {
+            get: {
+                operationId: 'getMetrics',
+                tags: ['General'],
+                summary: 'Prometheus metrics (metrics scope)',
+                security: auth,
+                responses: { 200: { description: 'Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } } }
+            }
+        },
+        '/api/v1/openapi.json': {
+            get: { operationId: 'getOpenApi', tags: ['General'], summary: 'This document', responses: { 200: { description: 'OpenAPI document', content: json({ type: 'object' }) } } }
+        },
+        '/api/v1/stats': {
+            get: {
+                operationId: 'getStats',
+                tags: ['General'],
+                summary: 'API statistics',
+                parameters: [
+                    query('interval', 'Activity buckets (default day)', { enum: STATS_INTERVALS }),
+                    query('from', 'First day of the activity range (default 30 days or 12 weeks before `to`)', { type: 'string', format: 'date' }),
+                    query('to', 'Last day of the activity range (default today)', { type: 'string', format: 'date' })
+                ],
+                responses: {
+                    200: success({
+                        data: {
+                            type: 'object',
+                            required: ['totalEntries'],
+                            properties: {
+                                totalEntries: { type: 'integer' },
+                                totalCollections: { type: 'integer' },
+                                categories: { type: 'object', additionalProperties: { type: 'integer' } },
+                                topUploaders: { type: 'object', description: 'Configs of the top 10 uploaders', additionalProperties: { type: 'integer' } },
+                                recentUploads: { type: 'array', items: ref('ConfigSummary') },
+                                points: { type: 'object', properties: { total: { type: 'integer' }, average: { type: 'number' } } },
+                                breakdown: {
+                                    type: 'object',
+                                    description: 'Visible configs per category and for the top uploaders, most configs first',
+                                    properties: {
+                                        categories: { type: 'array', items: ref('StatsGroup') },
+                                        uploaders: { type: 'array', items: ref('StatsGroup') }
+                                    }
+                                },
+                                storage: {
+                                    type: 'object',
+                                    description: 'Bytes used by every config (whatever its status) and by the stored versions; storedSize is the compressed size',
+                                    properties: {
+                                        configs: ref('StorageUsage'),
+                                        versions: ref('StorageUsage'),
+                                        storedSize: { type: 'integer' }
+                                    }
+                                },
+                                activity: {
+                                    type: 'object',
+                                    description: 'Uploads and updates of visible configs per day or week (UTC, weeks start on Monday)',
+                                    properties: {
+                                        interval: { enum: STATS_INTERVALS },
+                                        from: { type: 'string' },
+                                        to: { type: 'string' },
+                                        uploads: { type: 'integer' },
+                                        updates: { type: 'integer' },
+                                        buckets: {
+                                            type: 'array',
+                                            items: {
+                                                type: 'object',
+                                                properties: { start: { type: 'string' }, uploads: { type: 'integer' }, updates: { type: 'integer' } }
+                                            }
+                                        }
+                                    }
+                                },
+                                generatedAt: { type: 'string', description: 'When these numbers were computed' }
+                            }
+                        }
+                    }, ['data'])
+                }
+            }
+        },
+        '/api/v1/data/upload': {
+            post: {
+                operationId: 'uploadConfig',
+                tags: ['Configs'],
+                summary: 'Upload a data.json',
+                requestBody: body({
+                    type: 'object',
+                    required: ['name', 'description', 'uploaderName', 'data'],
+                    properties: {
+                        ...uploadFields,
+                        onDuplicate: { enum: ['reject', 'link'], description: '`link` answers identical data with the existing config' }
+                    }
+                }, ['multipart/form-data']),
+                responses: {
+                    200: success({
+                        dataId: ref('Id'),
+                        duplicate: { type: 'boolean' },
+                        uploadedAt: { type: 'string' },
+                        summary: ref('DataSummary'),
+                        ownerSecret: { type: 'string' },
+                        message: { type: 'string' }
+                    }, ['dataId'])
+                }
+            }
+        },
+        '/api/v1/data/fork/{id}': {
+            post: {
+                operationId: 'forkConfig',
+                tags: ['Forks'],
+                summary: 'Fork a config; metadata left out is copied from the parent',
+                parameters: [configId],
+                requestBody: body({
+                    type: 'object',
+                    required: ['uploaderName'],
+                    properties: { ...uploadFields, fromVersion: text(32, { description: 'Fork this version of the parent' }) }
+                }),
+                responses: {
+                    200: success({
+                        dataId: ref('Id'),
+                        parentId: ref('Id'),
+                        forkedFromVersion: { type: 'string' },
+                        uploadedAt: { type: 'string' },
+                        summary: ref('DataSummary'),
+                        ownerSecret: { type: 'string' },
+                        message: { type: 'string' }
+                    }, ['dataId', 'parentId', 'ownerSecret'])
+                }
+            }
+        },
+        '/api/v1/data/{id}/forks': {
+            get: { operationId: 'listForks', tags: ['Forks'], summary: 'Visible direct forks of a config', parameters: [configId, ...paging, sort, order], responses: { 200: configPage } }
+        },
+        '/api/v1/data/{id}/ancestry': {
+            get: {
+                operationId: 'getAncestry',
+                tags: ['Forks'],
+                summary: "A fork's ancestors, parent first",
+                security: optionalAuth,
+                parameters: [configId],
+                responses: {
+                    200: success({
+                        id: ref('Id'),
+                        ancestors: { type: 'array', items: { anyOf: [ref('ConfigSummary'), { type: 'object', required: ['id', 'status'] }] } },
+                        deletedAncestorId: { type: ['string', 'null'] },
+                        truncated: { type: 'boolean' }
+                    }, ['ancestors'])
+                }
+            }
+        },
+        '/api/v1/data/{id}/parent-update': {
+            get: {
+                operationId: 'getParentUpdate',
+                tags: ['Forks'],
+                summary: "Whether a fork's parent has a newer version",
+                parameters: [configId],
+                responses: {
+                    200: success({
+                        parentId: ref('Id'),
+                        available: { type: 'boolean' },
+                        parentDeleted: { type: 'boolean' },
+                        forkedFromVersion: { type: 'string' },
+                        latestVersion: { type: 'string' },
+                        latestHash: { type: 'string' },
+                        changes: { type: 'array', items: ref('ChangelogEntry') },
+                        diff: { type: ['object', 'null'] }
+                    }, ['parentId', 'available'])
+                }
+            }
+        },
+        '/api/v1/data/{id}/pull-parent': {
+            post: {
+                operationId: 'pullParent',
+                tags: ['Forks'],
+                summary: "Replace a fork's data with its parent's current data",
+                security: auth,
+                parameters: [configId],
+                requestBody: body({ type: 'object', properties: { changes: text(1000), ...credentials } }),
+                responses: { 200: success({ version: { type: 'string' }, pulledVersion: { type: 'string' }, summary: ref('DataSummary') }, ['version']) }
+            }
+        },
+        '/api/v1/data/download/{id}': {
+            get: {
+                operationId: 'downloadConfig',
+                tags: ['Configs'],
+                summary: 'Download a config (conditional with If-None-Match / If-Modified-Since)',
+                security: optionalAuth,
+                parameters: [
+                    configId,
+                    query('version', 'A specific stored version', storedVersion),
+                    query('tag', 'The version a tag points to (`latest` is the current one)', { type: 'string', format: 'tag' }),
+                    query('format', '`raw` sends the data.json itself', { enum: ['raw'] })
+                ],
+                responses: {
+                    200: {
+                        description: 'The data, JSON-wrapped or raw',
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['success', 'data', 'version'],
+                                    properties: {
+                                        success: { const: true },
+                                        data: { type: 'string' },
+                                        version: { type: 'string' },
+                                        size: { type: 'integer' },
+                                        rating: ref('Rating'),
+                                        commentCount: { type: 'integer' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    304: { description: 'Not modified' }
+                }
+            }
+        },
+        '/api/v1/data/list': {
+            get: {
+                operationId: 'listConfigs',
+                tags: ['Configs'],
+                summary: 'List visible configs by page number or cursor',
+                parameters: [
+                    query('page', 'Page number (ignored with a cursor)', { type: 'integer', minimum: 1 }),
+                    query('limit', 'Results per page (at most 100)', { type: 'integer', minimum: 1 }),
+                    query('cursor', "The previous page's nextCursor; it keeps the sort and order it was made with"),
+                    sort,
+                    order,
+                    category,
+                    ...metadataFilters
+                ],
+                responses: {
+                    200: success({ data: { type: 'array', items: ref('ConfigSummary') }, pagination: ref('ListPagination') }, ['data', 'pagination'])
+                }
+            }
+        },
+        '/api/v1/data/trending': {
+            get: {
+                operationId: 'getTrending',
+                tags: ['Configs'],
+                summary: 'Configs ranked by recent download velocity',
+                parameters: [
+                    query('days', 'Window in days (at most 30)', { type: 'integer', minimum: 1 }),
+                    query('limit', 'Number of results (at most 50)', { type: 'integer', minimum: 1 }),
+                    category
+                ],
+                responses: { 200: success({ data: { type: 'array', items: ref('ConfigSummary') }, days: { type: 'integer' } }, ['data']) }
+            }
+        },
+        '/api/v1/data/search': {
+            get: {
+                operationId: 'searchConfigs',
+                tags: ['Configs'],
+                summary: 'Ranked search over config metadata (and collections on the first page)',
+                parameters: [
+                    query('q', 'Search words; each must match as a word prefix', text(200, { format: 'non-blank' }), true),
+                    ...paging,
+                    category,
+                    ...metadataFilters
+                ],
+                responses: {
+                    200: success({
+                        data: { type: 'array', items: ref('ConfigSummary') },
+                        collections: { type: 'array', items: ref('Collection') },
+                        pagination: ref('Pagination'),
+                        query: { type: 'string' },
+                        count: { type: 'integer' }
+                    }, ['data', 'pagination'])
+                }
+            }
+        },
+        '/api/v1/data/rate/{id}': {
+            post: {
+                operationId: 'rateConfig',
+                tags: ['Ratings and comments'],
+                summary: 'Rate a config; rating again replaces the earlier rating',
+                parameters: [configId],
+                requestBody: body({ type: 'object', required: ['rating'], properties: { rating: { type: 'integer', minimum: 1, maximum: 5 } } }),
+                responses: { 200: success({ rating: ref('Rating'), yourRating: { type: 'integer' } }, ['rating']) }
+            }
+        },
+        '/api/v1/data/comments/{id}': {
+            get: {
+                operationId: 'listComments',
+                tags: ['Ratings and comments'],
+                summary: 'Comments on a config, newest first',
+                parameters: [configId, ...paging],
+                responses: { 200: success({ data: { type: 'array', items: ref('Comment') }, pagination: ref('Pagination') }, ['data']) }
+            },
+            post: {
+                operationId: 'addComment',
+                tags: ['Ratings and comments'],
+                summary: 'Comment on a config; returns a secret to delete the comment',
+                parameters: [configId],
+                requestBody: body({ type: 'object', required: ['author', 'text'], properties: { author: requiredText(50), text: requiredText(1000) } }),
+                responses: { 200: success({ comment: ref('Comment'), commentSecret: { type: 'string' } }, ['comment', 'commentSecret']) }
+            }
+        },
+        '/api/v1/data/comments/{id}/{commentId}': {
+            delete: {
+                operationId: 'deleteComment',
+                tags: ['Ratings and comments'],
+                summary: 'Delete a comment (comment secret, owner secret or moderator key)',
+                security: auth,
+                parameters: [configId, path('commentId', 'Comment ID', { type: 'integer', minimum: 1 })],
+                responses: { 200: success({ message: { type: 'string' }, id: { type: 'integer' } }) }
+            }
+        },
+        '/api/v1/data/report/{id}': {
+            post: {
+                operationId: 'reportConfig',
+                tags: ['Moderation'],
+                summary: 'Report a config',
+                parameters: [configId],
+                requestBody: body({ type: 'object', required: ['reason'], properties: { reason: { enum: REPORT_REASONS }, details: text(500) } }),
+                responses: { 200: success({ message: { type: 'string' }, reportId: { type: 'integer' } }, ['reportId']) }
+            }
+        },
+        '/api/v1/data/delete/{id}': {
+            delete: {
+                operationId: 'deleteConfig',
+                tags: ['Config updates'],
+                summary: 'Delete a config (owner secret or admin key)',
+                security: auth,
+                parameters: [configId],
+                responses: { 200: success({ message: { type: 'string' }, id: ref('Id') }) }
+            }
+        },
+        '/api/v1/data/token/{id}': {
+            get: {
+                operationId: 'getUpdateToken',
+                tags: ['Config updates'],
+                summary: 'One-time update token (owner secret or admin key)',
+                security: auth,
+                parameters: [configId],
+                responses: { 200: success({ token: { type: 'string' }, expiresAt: { type: 'string' } }, ['token', 'expiresAt']) }
+            }
+        },
+        '/api/v1/data/update/{id}': {
+            post: {
+                operationId: 'updateConfig',
+                tags: ['Config updates'],
+                summary: 'Store new data as the next version (conditional with If-Match / expectedVersion)',
+                security: auth,
+                parameters: [
+                    configId,
+                    { name: 'If-Match', in: 'header', description: 'ETag of the data the edit started from, as sent by the download route', schema: { type: 'string' } }
+                ],
+                requestBody: body({
+                    type: 'object',
+                    required: ['changes', 'data'],
+                    properties: {
+                        changes: requiredText(1000),
+                        data: uploadFields.data,
+                        bump: { enum: BUMPS, description: 'Part of the current version to increment (default patch)' },
+                        preid: { type: 'string', format: 'tag', description: 'Publish the bumped version as a pre-release on this channel, e.g. beta' },
+                        version: text(32, { format: 'semver', description: 'Explicit new version instead of a bump' }),
+                        tag: { type: 'string', format: 'tag', description: 'Also point this tag at the new version' },
+                        expectedVersion: { type: 'string', description: 'Version the edit started from' },
+                        ...credentials
+                    }
+                }),
+                responses: {
+                    200: success({
+                        version: { type: 'string' },
+                        prerelease: { type: 'boolean' },
+                        tags: { type: 'array', items: { type: 'string' } },
+                        summary: ref('DataSummary')
+                    }, ['version']),
+                    409: {
+                        description: 'The config changed since the version the edit started from, or the new version is not higher than the current one or already exists',
+                        content: json({
+                            type: 'object',
+                            required: ['success', 'error', 'currentVersion'],
+                            properties: {
+                                success: { const: false },
+                                error: { type: 'string' },
+                                currentVersion: { type: 'string' },
+                                currentHash: { type: ['string', 'null'] },
+                                diff: {
+                                    type: ['object', 'null'],
+                                    description: 'What changed from the version the edit started from to the current one, when that version is still stored',
+                                    properties: { from: { type: 'string' }, to: { type: 'string' }, summary: { type: 'object' } }
+                                }
+                            }
+                        })
+                    }
+                }
+            }
+        },
+        '/api/v1/data/versions/{id}': {
+            get: {
+                operationId: 'listVersions',
+                tags: ['Config updates'],
+                summary: 'Every stored version of a config, newest first',
+                parameters: [configId],
+                responses: {
+                    200: success({
+                        current: { type: 'string' },
+                        tags: { type: 'object', additionalProperties: { type: 'string' }, description: 'Version of each tag' },
+                        versions: { type: 'array', items: ref('Version') }
+                    }, ['versions'])
+                }
+            }
+        },
+        '/api/v1/data/{id}/tags': {
+            get: {
+                operationId: 'listTags',
+                tags: ['Config updates'],
+                summary: 'Tags of a config; `latest` is always the current version',
+                parameters: [configId],
+                responses: { 200: success({ tags: { type: 'array', items: ref('Tag') } }, ['tags']) }
+            }
+        },
+        '/api/v1/data/{id}/tags/{tag}': {
+            put: {
+                operationId: 'setTag',
+                tags: ['Config updates'],
+                summary: 'Point a tag at a stored version (owner secret or admin key)',
+                security: auth,
+                parameters: [configId, tagName],
+                requestBody: body({ type: 'object', required: ['version'], properties: { version: storedVersion, ownerSecret: credentials.ownerSecret } }),
+                responses: { 200: success({ tag: ref('Tag') }, ['tag']) }
+            },
+            delete: {
+                operationId: 'deleteTag',
+                tags: ['Config updates'],
+                summary: 'Remove a tag (owner secret or admin key)',
+                security: auth,
+                parameters: [configId, tagName],
+                responses: { 200: success({ message: { type: 'string' } }) }
+            }
+        },
+        '/api/v1/data/diff/{id}': {
+            get: {
+                operationId: 'diffVersions',
+                tags: ['Config updates'],
+                summary: 'Added, removed and modified keys between two versions',
+                parameters: [
+                    configId,
+                    query('from', 'Older version', storedVersion, true),
+                    query('to', 'Newer version (defaults to the current one)', storedVersion)
+                ],
+                responses: {
+                    200: success({
+                        from: { type: 'string' },
+                        to: { type: 'string' },
+                        summary: { type: 'object' },
+                        changes: { type: 'object' },
+                        truncated: { type: 'boolean' }
+                    }, ['summary', 'changes'])
+                }
+            }
+        },
+        '/api/v1/data/rollback/{id}': {
+            post: {
+                operationId: 'rollbackConfig',
+                tags: ['Config updates'],
+                summary: "Restore an earlier version's data as a new version",
+                security: auth,
+                parameters: [configId],
+                requestBody: body({
+                    type: 'object',
+                    required: ['version'],
+                    properties: { version: storedVersion, changes: text(1000), ...credentials }
+                }),
+                responses: { 200: success({ version: { type: 'string' }, restoredFrom: { type: 'string' } }, ['version']) }
+            }
+        },
+        '/api/v1/data/changelog/{id}': {
+            get: {
+                operationId: 'getChangelog',
+                tags: ['Config updates'],
+                summary: 'Changelog of a config, newest first',
+                parameters: [configId],
+                responses: { 200: success({ changelog: { type: 'array', items: ref('ChangelogEntry') } }, ['changelog']) }
+            }
+        },
+        '/api/v1/data/check-updates': {
+            post: {
+                operationId: 'checkUpdates',
+                tags: ['Config updates'],
+                summary: 'Check many installed configs for updates at once',
+                requestBody: body({
+                    anyOf: [
+                        ref('UpdateCheckList'),
+                        { type: 'object', required: ['configs'], properties: { configs: ref('UpdateCheckList') } }
+                    ]
+                }),
+                responses: { 200: success({ results: { type: 'array', items: ref('UpdateCheck') }, outdated: { type: 'integer' } }, ['results']) }
+            }
+        },
+        '/api/v1/events': {
+            get: {
+                operationId: 'streamEvents',
+                tags: ['Live feed'],
+                summary: 'Server-Sent Events stream of upload, update and delete events',
+                parameters: [
+                    query('category', 'Only events for this category'),
+                    query('id', 'Only events for these comma-separated config IDs', { type: 'string', format: 'id-list' }),
+                    query('lastEventId', 'Replay events after this ID', { type: 'integer' }),
+                    { name: 'Last-Event-ID', in: 'header', description: 'Replay events after this ID', schema: { type: 'string' } }
+                ],
+                responses: { 200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } } }
+            }
+        },
+        '/api/v1/collections': {
+            get: {
+                operationId: 'listCollections',
+                tags: ['Collections'],
+                summary: 'List collections, newest first, or search them',
+                parameters: [...paging, query('q', 'Search words', text(200, { format: 'non-blank' }))],
+                responses: { 200: success({ data: { type: 'array', items: ref('Collection') }, pagination: ref('Pagination') }, ['data']) }
+            },
+            post: {
+                operationId: 'createCollection',
+                tags: ['Collections'],
+                summary: 'Create a collection of configs pinned to versions',
+                requestBody: body({
+                    type: 'object',
+                    required: ['name', 'uploaderName', 'items'],
+                    properties: { name: requiredText(100), description: text(500), uploaderName: requiredText(50), items: ref('CollectionItems') }
+                }),
+                responses: {
+                    200: success({
+                        collectionId: ref('Id'),
+                        collection: ref('Collection'),
+                        ownerSecret: { type: 'string' },
+                        message: { type: 'string' }
+                    }, ['collectionId', 'ownerSecret'])
+                }
+            }
+        },
+        '/api/v1/collections/{id}': {
+            get: {
+                operationId: 'getCollection',
+                tags: ['Collections'],
+                summary: 'A collection with its items in order',
+                parameters: [collectionId],
+                responses: {
+                    200: success({
+                        data: {
+                            type: 'object',
+                            required: ['id', 'items'],
+                            properties: {
+                                id: ref('Id'),
+                                items: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        required: ['id', 'version'],
+                                        properties: { id: ref('Id'), version: { type: 'string' }, missing: { const: true }, config: ref('ConfigSummary') }
+                                    }
+                                }
+                            }
+                        }
+                    }, ['data'])
+                }
+            },
+            put: {
+                operationId: 'updateCollection',
+                tags: ['Collections'],
+                summary: "Change a collection's name, description or items",
+                security: auth,
+                parameters: [collectionId],
+                requestBody: body({
+                    type: 'object',
+                    properties: { name: requiredText(100), description: text(500), items: ref('CollectionItems'), ownerSecret: credentials.ownerSecret }
+                }),
+                responses: { 200: success({ collection: ref('Collection') }, ['collection']) }
+            },
+            delete: {
+                operationId: 'deleteCollection',
+                tags: ['Collections'],
+                summary: 'Delete a collection (its configs are kept)',
+                security: auth,
+                parameters: [collectionId],
+                responses: { 200: success({ message: { type: 'string' }, id: ref('Id') }) }
+            }
+        },
+        '/api/v1/collections/{id}/download': {
+            get: {
+                operationId: 'downloadCollection',
+                tags: ['Collections'],
+                summary: 'Every config of a collection at its pinned version',
+                parameters: [collectionId],
+                responses: {
+                    200: success({
+                        collection: ref('Collection'),
+                        configs: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['id', 'version', 'data'],
+                                properties: {
+                                    id: ref('Id'),
+                                    name: { type: 'string' },
+                                    category: { type: 'string' },
+                                    configName: { type: 'string' },
+                                    version: { type: 'string' },
+                                    contentHash: { type: 'string' },
+                                    data: { type: 'string' }
+                                }
+                            }
+                        },
+                        missing: { type: 'array', items: { type: 'object', required: ['id', 'version'] } }
+                    }, ['configs', 'missing'])
+                }
+            }
+        },
+        '/api/v1/admin/blocks': {
+            get: {
+                operationId: 'listBlocks',
+                tags: ['Admin'],
+                summary: 'Active blocks (moderate scope)',
+                security: auth,
+                responses: { 200: success({ blocks: { type: 'array', items: ref('Block') } }, ['blocks']) }
+            },
+            post: {
+                operationId: 'createBlock',
+                tags: ['Admin'],
+                summary: 'Block an IP address or uploader name (moderate scope)',
+                security: auth,
+                requestBody: body({
+                    type: 'object',
+                    required: ['type', 'value'],
+                    properties: {
+                        type: { enum: BLOCK_TYPES },
+                        value: requiredText(100),
+                        reason: text(500),
+                        hours: { type: 'number', exclusiveMinimum: 0, description: 'Without hours the block is permanent' }
+                    }
+                }),
+                responses: { 200: success({ block: ref('Block') }, ['block']) }
+            }
+        },
+        '/api/v1/admin/blocks/{type}/{value}': {
+            delete: {
+                operationId: 'deleteBlock',
+                tags: ['Admin'],
+                summary: 'Remove a block (moderate scope)',
+                security: auth,
+                parameters: [path('type', 'Block type', { enum: BLOCK_TYPES }), path('value', 'Blocked IP address or uploader name', { type: 'string' })],
+                responses: { 200: success({ message: { type: 'string' } }) }
+            }
+        },
+        '/api/v1/admin/reports': {
+            get: {
+                operationId: 'listReports',
+                tags: ['Admin'],
+                summary: 'Open (or resolved) reports, newest first (moderate scope)',
+                security: auth,
+                parameters: [query('resolved', 'List resolved reports instead', { type: 'boolean' }), ...paging],
+                responses: { 200: success({ data: { type: 'array', items: ref('Report') }, pagination: ref('Pagination') }, ['data']) }
+            }
+        },
+        '/api/v1/admin/data': {
+            get: {
+                operationId: 'listConfigsByStatus',
+                tags: ['Admin'],
+                summary: 'Configs in a moderation status (moderate scope)',
+                security: auth,
+                parameters: [query('status', 'Status (default pending)', { enum: ENTRY_STATUSES }), ...paging],
+                responses: { 200: configPage }
+            }
+        },
+        '/api/v1/admin/data/{id}/status': {
+            post: {
+                operationId: 'setConfigStatus',
+                tags: ['Admin'],
+                summary: 'Hide, restore or queue a config for review (moderate scope)',
+                security: auth,
+                parameters: [configId],
+                requestBody: body({ type: 'object', required: ['status'], properties: { status: { enum: ENTRY_STATUSES }, reason: text(500) } }),
+                responses: {
+                    200: success({
+                        id: ref('Id'),
+                        status: { enum: ENTRY_STATUSES },
+                        previousStatus: { enum: ENTRY_STATUSES },
+                        resolvedReports: { type: 'integer' }
+                    }, ['status'])
+                }
+            }
+        },
+        '/api/v1/admin/moderation-log': {
+            get: {
+                operationId: 'listModerationLog',
+                tags: ['Admin'],
+                summary: 'Moderation audit log, newest first (moderate scope)',
+                security: auth,
+                parameters: [query('id', 'Only entries for this config', ref('Id')), ...paging],
+                responses: { 200: success({ data: { type: 'array', items: ref('LogEntry') }, pagination: ref('Pagination') }, ['data']) }
+            }
+        },
+        '/api/v1/admin/export': {
+            get: {
+                operationId: 'exportConfigs',
+                tags: ['Admin'],
+                summary: 'Every config with its changelog, versions and tags as NDJSON (export scope)',
+                security: auth,
+                responses: { 200: { description: 'A header line, then one line per config', content: { 'application/x-ndjson': { schema: { type: 'string' } } } } }
+            }
+        },
+        '/api/v1/admin/import': {
+            post: {
+                operationId: 'importConfigs',
+                tags: ['Admin'],
+                summary: 'Import an NDJSON export or a legacy database.json (import scope)',
+                security: auth,
+                parameters: [query('dryRun', 'Only report what would be imported', { type: 'boolean' })],
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/x-ndjson': { schema: { type: 'string' } },
+                        'application/json': { schema: { type: ['object', 'array'] } }
+                    }
+                },
+                responses: {
+                    200: success({
+                        dryRun: { type: 'boolean' },
+                        imported: { type: 'integer' },
+                        created: { type: 'array', items: ref('ImportItem') },
+                        conflicts: { type: 'array', items: ref('ImportItem') },
+                        errors: { type: 'array', items: ref('ImportItem') },
+                        warnings: { type: 'array', items: ref('ImportItem') }
+                    }, ['imported'])
+                }
+            }
+        },
+        '/api/v1/admin/jobs': {
+            get: {
+                operationId: 'listJobs',
+                tags: ['Admin'],
+                summary: 'Maintenance jobs with their schedule and last run (jobs scope)',
+                security: auth,
+                responses: { 200: success({ jobs: { type: 'array', items: ref('Job') } }, ['jobs']) }
+            }
+        },
+        '/api/v1/admin/jobs/{name}': {
+            get: {
+                operationId: 'getJob',
+                tags: ['Admin'],
+                summary: 'A maintenance job with its recent runs (jobs scope)',
+                security: auth,
+                parameters: [jobName],
+                responses: { 200: success({ job: ref('Job') }, ['job']) }
+            }
+        },
+        '/api/v1/admin/jobs/{name}/run': {
+            post: {
+                operationId: 'runJob',
+                tags: ['Admin'],
+                summary: 'Run a maintenance job now and wait for it (jobs scope)',
+                security: auth,
+                parameters: [jobName],
+                responses: { 200: success({ run: ref('JobRun') }, ['run']) }
+            }
+        }
+    };
+}
+
+// The whole document. Every operation's other responses are errors.
+function buildDocument(options) {
+    const paths = buildPaths(options);
+    Object.values(paths).forEach(item => Object.values(item).forEach(operation => {
+        operation.responses.default = { $ref: '#/components/responses/Error' };
+    }));
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'BBG Data Sharing API',
+            version,
+            description: 'Share BBG (byebyegoldor) data.json configs. Errors are `{ success: false, error }`; invalid requests also list each problem with its path in `details`.'
+        },
+        servers: [{ url: '/' }],
+        paths,
+        components: {
+            schemas: buildSchemas(options),
+            responses: {
+                Error: { description: 'Error', content: json(ref('Error')) }
+            },
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', description: 'Owner secret, comment secret or admin API key' }
+            }
+        }
+    };
+}
+
+// 400 body for a request that doesn't match the document; like the data.json
+// errors, the first problem is spelled out in `error` and all are in `details`
+function validationErrorBody(errors) {
+    const [first] = errors;
+    return {
+        success: false,
+        error: `Invalid request: ${first.path} ${first.message}`,
+        details: errors
+    };
+}
+
+function createRequestValidator(document, { checkResponses = process.env.VALIDATE_RESPONSES === 'true' } = {}) {
+    const { components } = document;
+    const operations = new Map();
+    Object.values(document.paths).forEach(item => Object.values(item).forEach(operation => {
+        operations.set(operation.operationId, operation);
+    }));
+
+    function checkParameters(operation, req) {
+        const errors = [];
+        (operation.parameters || []).forEach(parameter => {
+            const source = parameter.in === 'path' ? req.params : parameter.in === 'query' ? req.query : null;
+            const at = `${parameter.in}.${parameter.name}`;
+            let value = source ? source[parameter.name] : req.get(parameter.name);
+            if (value === undefined || (value === '' && parameter.in !== 'path')) {
+                if (parameter.required) {
+                    errors.push({ path: at, message: 'is required' });
+                }
+                return;
+            }
+            if (Array.isArray(value) || typeof value === 'object') {
+                errors.push({ path: at, message: 'must be given once' });
+                return;
+            }
+            value = coerce(parameter.schema, value, components);
+            const found = validate(parameter.schema, value, at, components);
+            if (found.length) {
+                errors.push(...found);
+                return;
+            }
+            const schema = parameter.schema.$ref ? components.schemas[parameter.schema.$ref.split('/').pop()] : parameter.schema;
+            if (schema.format === 'id') {
+                value = String(value).replace(/^0+/, '');
+            }
+            if (source) {
+                source[parameter.name] = value;
+            }
+        });
+        return errors;
+    }
+
+    // Parsed bodies (JSON or form fields) are checked; other content types,
+    // like an NDJSON import, are left to the route. A missing body is
+    // checked as an empty JSON object.
+    function checkBody(operation, req) {
+        if (!operation.requestBody) {
+            return [];
+        }
+        const type = req.is(Object.keys(operation.requestBody.content));
+        const media = type ? operation.requestBody.content[type] : !req.is('*/*') && operation.requestBody.content['application/json'];
+        if (!media || (type && !PARSED_BODIES.includes(type))) {
+            return [];
+        }
+        return validate(media.schema, req.body === undefined ? {} : req.body, 'body', components);
+    }
+
+    function responseSchema(operation, status) {
+        let response = operation.responses[status] || operation.responses[`${String(status)[0]}XX`] || operation.responses.default;
+        if (response && response.$ref) {
+            response = components.responses[response.$ref.split('/').pop()];
+        }
+        return response && response.content && response.content['application/json']
+            ? response.content['application/json'].schema
+            : null;
+    }
+
+    return function validateRequest(operationId) {
+        const operation = operations.get(operationId);
+        if (!operation) {
+            throw new Error(`Unknown operation ${operationId}`);
+        }
+        return (req, res, next) => {
+            const errors = [...checkParameters(operation, req), ...checkBody(operation, req)];
+            if (errors.length) {
+                return res.status(400).json(validationErrorBody(errors));
+            }
+            if (checkResponses) {
+                const send = res.json.bind(res);
+                res.json = payload => {
+                    const schema = responseSchema(operation, res.statusCode);
+                    const problems = schema ? validate(schema, JSON.parse(JSON.stringify(payload)), 'response', components) : [];
+                    if (problems.length) {
+                        console.warn(`Response of ${operationId} (${res.statusCode}) does not match the OpenAPI document:`, problems);
+                    }
+                    return send(payload);
+                };
+            }
+            next();
+        };
+    };
+}
+
+module.exports = { buildDocument, createRequestValidator, validationErrorBody };
@@ -0,0 +1,204 @@
+// Rate limits, daily upload quotas and block values for write endpoints.
+//
+// Limits are fixed windows counted in a counter store, which only needs
+// `increment(key, resetAt)` (returns the new count) and `get(key)`. Counters
+// are kept in memory by default; RATE_LIMIT_STORE=postgres shares them between
+// instances through the rate_limit_counters table (migration 009).
+const DURATION_UNITS = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000
+};
+const ACTIONS = ['upload', 'token', 'update', 'report', 'collection', 'rate', 'comment'];
+const KEYS = ['ip', 'uploader'];
+const BLOCK_TYPES = ['ip', 'uploader'];
+const DEFAULT_LIMITS = 'upload.ip=10/1h,upload.uploader=10/1h,token.ip=30/1h,update.ip=30/1h,report.ip=10/1h,collection.ip=20/1h,rate.ip=60/1h,comment.ip=20/1h,comment.uploader=20/1h';
+const DEFAULT_DAILY_UPLOAD_QUOTA = 20;
+// How often expired counters are cleaned up
+const SWEEP_INTERVAL = 10 * 60 * 1000;
+
+function parseDuration(value) {
+    const match = String(value).trim().match(/^(\d+)([smhd])$/);
+    return match ? parseInt(match[1], 10) * DURATION_UNITS[match[2]] : null;
+}
+
+// RATE_LIMITS is a comma-separated list of `action.key=max/window`, where
+// the action is upload, token, update, report, collection, rate or comment, the key is ip or uploader
+// and the window is a number with s, m, h or d, e.g.
+//   RATE_LIMITS="upload.ip=5/10m,token.ip=20/1h"
+// Entries replace the default for the same action and key; a max of 0 turns it off.
+function loadRateLimits(value = process.env.RATE_LIMITS || '') {
+    const limits = {};
+    `${DEFAULT_LIMITS},${value}`.split(',')
+        .map(item => item.trim())
+        .filter(Boolean)
+        .forEach(item => {
+            const match = item.match(/^(\w+)\.(\w+)=(\d+)(?:\/(\w+))?$/);
+            const windowMs = match && parseDuration(match[4] || '1h');
+            if (!match || !ACTIONS.includes(match[1]) || !KEYS.includes(match[2]) || !windowMs) {
+                throw new Error(`Invalid RATE_LIMITS entry "${item}"`);
+            }
+            const [, action, key, max] = match;
+            limits[`${action}.${key}`] = { action, key, max: parseInt(max, 10), windowMs };
+        });
+    return Object.values(limits).filter(limit => limit.max > 0);
+}
+
+// Block values are compared normalized: uploader names ignore case, and
+// IPv4 addresses seen through IPv6 sockets lose their ::ffff: prefix
+function normalizeBlockValue(type, value) {
+    const text = String(value || '').trim();
+    return type === 'uploader' ? text.toLowerCase() : text.replace(/^::ffff:/i, '');
+}
+
+function createMemoryCounterStore() {
+    const counters = new Map();
+    let nextSweep = 0;
+
+    function sweep(now) {
+        if (now < nextSweep) {
+            return;
+        }
+        nextSweep = now + SWEEP_INTERVAL;
+        for (const [key, counter] of counters) {
+            if (counter.resetAt <= now) {
+                counters.delete(key);
+            }
+        }
+    }
+
+    return {
+        async increment(key, resetAt) {
+            const now = Date.now();
+            sweep(now);
+            const counter = counters.get(key);
+            if (!counter || counter.resetAt <= now) {
+                counters.set(key, { count: 1, resetAt: resetAt.getTime() });
+                return 1;
+            }
+            return ++counter.count;
+        },
+
+        async get(key) {
+            const counter = counters.get(key);
+            return counter && counter.resetAt > Date.now() ? counter.count : 0;
+        }
+    };
+}
+
+function createPostgresCounterStore(pool) {
+    let nextSweep = 0;
+
+    return {
+        async increment(key, resetAt) {
+            if (Date.now() >= nextSweep) {
+                nextSweep = Date.now() + SWEEP_INTERVAL;
+                await pool.query('DELETE FROM rate_limit_counters WHERE reset_at <= NOW()');
+            }
+            const result = await pool.query(
+                `INSERT INTO rate_limit_counters (key, count, reset_at) VALUES ($1, 1, $2)
+                ON CONFLICT (key) DO UPDATE SET count = rate_limit_counters.count + 1
+                RETURNING count`,
+                [key, resetAt]
+            );
+            return result.rows[0].count;
+        },
+
+        async get(key) {
+            const result = await pool.query('SELECT count FROM rate_limit_counters WHERE key = $1 AND reset_at > NOW()', [key]);
+            return result.rows.length ? result.rows[0].count : 0;
+        }
+    };
+}
+
+// RATE_LIMIT_STORE=memory (default) or postgres; postgres needs the Postgres
+// storage so migration 009 has created the counters table
+function createCounterStore(options = {}) {
+    const type = options.type || process.env.RATE_LIMIT_STORE || 'memory';
+    switch (type) {
+        case 'memory':
+            return createMemoryCounterStore();
+        case 'postgres':
+            return createPostgresCounterStore(options.pool || require('../db'));
+        default:
+            throw new Error(`Unknown rate limit store: ${type}`);
+    }
+}
+
+// Start of the fixed window `now` falls into; day windows start at UTC midnight
+function windowStart(now, windowMs) {
+    return Math.floor(now / windowMs) * windowMs;
+}
+
+function createRateLimiter(options = {}) {
+    const counters = options.counters || createCounterStore();
+    const limits = options.limits || loadRateLimits();
+    const dailyUploadQuota = options.dailyUploadQuota !== undefined
+        ? options.dailyUploadQuota
+        : parseInt(process.env.DAILY_UPLOAD_QUOTA || DEFAULT_DAILY_UPLOAD_QUOTA, 10);
+
+    function quotaKey(uploader, now) {
+        return `quota.upload:${uploader}:${windowStart(now, DURATION_UNITS.d)}`;
+    }
+
+    return {
+        limits,
+        dailyUploadQuota,
+
+        // Count a request against every limit for the action. identities maps
+        // limit keys (ip, uploader) to values; missing ones are skipped.
+        // Returns the seconds to wait when a limit is exceeded, otherwise 0.
+        async hit(action, identities) {
+            const now = Date.now();
+            let wait = 0;
+            for (const limit of limits) {
+                if (limit.action !== action || !identities[limit.key]) {
+                    continue;
+                }
+                const start = windowStart(now, limit.windowMs);
+                const resetAt = start + limit.windowMs;
+                const count = await counters.increment(
+                    `${action}.${limit.key}:${identities[limit.key]}:${limit.windowMs}:${start}`,
+                    new Date(resetAt)
+                );
+                if (count > limit.max) {
+                    wait = Math.max(wait, resetAt - now);
+                }
+            }
+            return Math.ceil(wait / 1000);
+        },
+
+        // Seconds until the uploader's quota resets when it is used up, otherwise 0
+        async checkQuota(uploader) {
+            if (!dailyUploadQuota || !uploader) {
+                return 0;
+            }
+            const now = Date.now();
+            if (await counters.get(quotaKey(uploader, now)) < dailyUploadQuota) {
+                return 0;
+            }
+            return Math.ceil((windowStart(now, DURATION_UNITS.d) + DURATION_UNITS.d - now) / 1000);
+        },
+
+        // Quotas only count uploads that were saved
+        async useQuota(uploader) {
+            if (!dailyUploadQuota || !uploader) {
+                return;
+            }
+            const now = Date.now();
+            await counters.increment(quotaKey(uploader, now), new Date(windowStart(now, DURATION_UNITS.d) + DURATION_UNITS.d));
+        }
+    };
+}
+
+module.exports = {
+    BLOCK_TYPES,
+    parseDuration,
+    loadRateLimits,
+    normalizeBlockValue,
+    createMemoryCounterStore,
+    createPostgresCounterStore,
+    createCounterStore,
+    createRateLimiter
+};
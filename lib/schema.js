@@ -0,0 +1,206 @@
+// Validation against the JSON Schema subset used by lib/openapi.js.
+//
+// Supported: $ref (to #/components/schemas), type (a name or a list), enum,
+// const, anyOf, minLength/maxLength, pattern, format, minimum/maximum,
+// exclusiveMinimum, required, properties, additionalProperties, items and
+// minItems/maxItems. Errors are { path, message } like the data.json checks,
+// e.g. { path: 'body.items[0].id', message: 'must be a valid ID' }.
+const semver = require('./semver');
+
+const MAX_ERRORS = 20;
+const MAX_ID = 2147483647;
+
+// Custom formats: config IDs (zero-padded or not), lists of them, dates the
+// routes can parse, semantic versions (blank meaning no version) and tag names
+const FORMATS = {
+    id: {
+        test: value => /^\d+$/.test(String(value)) && Number(value) >= 1 && Number(value) <= MAX_ID,
+        message: 'must be a valid ID'
+    },
+    'id-list': {
+        test: value => String(value).split(',').every(id => !id.trim() || FORMATS.id.test(id.trim())),
+        message: 'must be comma-separated IDs'
+    },
+    'non-blank': {
+        test: value => String(value).trim().length > 0,
+        message: 'must not be blank'
+    },
+    date: {
+        test: value => !isNaN(new Date(value)),
+        message: 'must be a date'
+    },
+    semver: {
+        test: value => !String(value).trim() || semver.parse(String(value)) !== null,
+        message: 'must be a semantic version like 1.2.0 or 1.3.0-beta.1'
+    },
+    tag: {
+        test: value => /^[a-z][a-z0-9-]{0,31}$/.test(String(value)),
+        message: 'must be a lowercase name like stable (letters, digits and -, at most 32)'
+    }
+};
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function childPath(path, key) {
+    if (typeof key === 'number') {
+        return `${path}[${key}]`;
+    }
+    return path ? `${path}.${key}` : key;
+}
+
+function resolve(schema, components) {
+    while (schema && schema.$ref) {
+        const name = schema.$ref.replace('#/components/schemas/', '');
+        if (!components.schemas || !components.schemas[name]) {
+            throw new Error(`Unknown schema reference ${schema.$ref}`);
+        }
+        schema = components.schemas[name];
+    }
+    return schema;
+}
+
+// Errors for value against schema; an empty list means it is valid
+function validate(schema, value, path = '', components = {}) {
+    const errors = [];
+
+    function fail(at, message) {
+        if (errors.length < MAX_ERRORS) {
+            errors.push({ path: at || '$', message });
+        }
+    }
+
+    function check(schema, value, path) {
+        schema = resolve(schema, components);
+        if (!schema) {
+            return;
+        }
+        if (schema.anyOf) {
+            // Report the closest alternative: the one matching the value's
+            // type with the fewest errors
+            const candidates = schema.anyOf
+                .map(option => resolve(option, components))
+                .filter(option => !option.type || [].concat(option.type).some(type => matchesType(value, type)));
+            if (!candidates.length) {
+                const types = schema.anyOf.map(option => resolve(option, components).type).filter(Boolean);
+                fail(path, `must be ${[...new Set([].concat(...types))].join(' or ')}`);
+                return;
+            }
+            const results = candidates.map(option => validate(option, value, path, components));
+            if (results.some(result => result.length === 0)) {
+                return;
+            }
+            results.sort((a, b) => a.length - b.length)[0].forEach(error => fail(error.path, error.message));
+            return;
+        }
+        if (schema.type) {
+            const types = [].concat(schema.type);
+            if (!types.some(type => matchesType(value, type))) {
+                fail(path, `must be ${types.map(type => (type === 'integer' ? 'a whole number' : type === 'array' || type === 'object' ? `an ${type}` : type === 'null' ? 'null' : `a ${type}`)).join(' or ')}`);
+                return;
+            }
+        }
+        if (schema.const !== undefined && value !== schema.const) {
+            fail(path, `must be ${JSON.stringify(schema.const)}`);
+            return;
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            fail(path, `must be one of: ${schema.enum.join(', ')}`);
+            return;
+        }
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                fail(path, schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                fail(path, `must be at most ${schema.maxLength} characters`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                fail(path, `must match ${schema.pattern}`);
+            }
+        }
+        if (schema.format && FORMATS[schema.format] && (typeof value === 'string' || typeof value === 'number') &&
+            !FORMATS[schema.format].test(value)) {
+            fail(path, FORMATS[schema.format].message);
+        }
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                fail(path, `must be at least ${schema.minimum}`);
+            }
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                fail(path, `must be greater than ${schema.exclusiveMinimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                fail(path, `must be at most ${schema.maximum}`);
+            }
+        }
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                fail(path, `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                fail(path, `must have at most ${schema.maxItems} items`);
+            }
+            if (schema.items) {
+                value.forEach((item, i) => check(schema.items, item, childPath(path, i)));
+            }
+        }
+        if (typeOf(value) === 'object') {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    fail(childPath(path, key), 'is required');
+                }
+            });
+            const properties = schema.properties || {};
+            Object.keys(value).forEach(key => {
+                if (value[key] === undefined) {
+                    return;
+                }
+                if (properties[key]) {
+                    check(properties[key], value[key], childPath(path, key));
+                } else if (schema.additionalProperties === false) {
+                    fail(childPath(path, key), 'is not allowed');
+                } else if (typeof schema.additionalProperties === 'object') {
+                    check(schema.additionalProperties, value[key], childPath(path, key));
+                }
+            });
+        }
+    }
+
+    check(schema, value, path);
+    return errors;
+}
+
+// Convert a path or query string to the schema's type ('5' -> 5, 'true' -> true).
+// Values that don't convert are returned as they are, so validation reports them.
+function coerce(schema, value, components = {}) {
+    schema = resolve(schema, components) || {};
+    const types = [].concat(schema.type || []);
+    if (typeof value !== 'string' || types.includes('string')) {
+        return value;
+    }
+    if ((types.includes('integer') && /^-?\d+$/.test(value)) || (types.includes('number') && value.trim() !== '' && !isNaN(value))) {
+        return Number(value);
+    }
+    if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+}
+
+module.exports = { FORMATS, validate, coerce };
@@ -0,0 +1,71 @@
+// Search helpers shared by the store adapters.
+//
+// A query is split into lowercase word terms; every term has to match (as a
+// word prefix) somewhere in the entry. Matches are wrapped in <mark></mark>
+// and the rest of the text is HTML-escaped, so highlights can be shown as HTML.
+const MAX_TERMS = 10;
+const SNIPPET_WORDS = 25;
+const HIGHLIGHT_START = '<mark>';
+const HIGHLIGHT_STOP = '</mark>';
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Field weights, best first; the Postgres search_vector uses the same A-D order
+const SEARCH_FIELDS = [
+    { field: 'name', weight: 1.0 },
+    { field: 'configName', weight: 0.4 },
+    { field: 'uploaderName', weight: 0.4 },
+    { field: 'category', weight: 0.2 },
+    { field: 'description', weight: 0.1 }
+];
+
+function parseTerms(query) {
+    const words = String(query || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+    return [...new Set(words)].slice(0, MAX_TERMS);
+}
+
+// Prefix tsquery for Postgres, e.g. ['gold', 'p3'] -> 'gold:* & p3:*'
+function toTsQuery(terms) {
+    return terms.map(term => `${term}:*`).join(' & ');
+}
+
+function matchesTerm(word, terms) {
+    const lower = word.toLowerCase();
+    return terms.some(term => lower.startsWith(term));
+}
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// Wrap matching words; text is split on word boundaries and everything else is escaped
+function highlight(text, terms) {
+    return String(text || '').replace(/([\p{L}\p{N}_]+)|[^\p{L}\p{N}_]+/gu, (token, word) =>
+        word && matchesTerm(word, terms) ? `${HIGHLIGHT_START}${word}${HIGHLIGHT_STOP}` : escapeHtml(token)
+    );
+}
+
+// Highlighted window of words around the first match (or the start of the text)
+function snippet(text, terms) {
+    const words = String(text || '').split(/\s+/).filter(Boolean);
+    if (words.length <= SNIPPET_WORDS) {
+        return highlight(words.join(' '), terms);
+    }
+    const first = Math.max(0, words.findIndex(word =>
+        (word.match(/[\p{L}\p{N}_]+/gu) || []).some(part => matchesTerm(part, terms))
+    ));
+    const start = Math.max(0, Math.min(first - 5, words.length - SNIPPET_WORDS));
+    return highlight(words.slice(start, start + SNIPPET_WORDS).join(' '), terms);
+}
+
+module.exports = {
+    SEARCH_FIELDS,
+    HIGHLIGHT_START,
+    HIGHLIGHT_STOP,
+    HTML_ESCAPES,
+    SNIPPET_WORDS,
+    parseTerms,
+    toTsQuery,
+    matchesTerm,
+    highlight,
+    snippet
+};
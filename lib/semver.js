@@ -0,0 +1,93 @@
+// Semantic versions (https://semver.org): MAJOR.MINOR.PATCH with an optional
+// pre-release (1.1.0-beta.2) and build metadata (1.1.0+20261019), which
+// doesn't count when comparing.
+//
+// Config updates pick their version here. A release bump (major, minor or
+// patch) works like npm version: 1.2.3 -> 2.0.0 / 1.3.0 / 1.2.4, and a
+// pre-release is released by the bump it was a pre-release of
+// (1.3.0-beta.1 -> 1.3.0 for minor). With a pre-release id the bumped version
+// becomes the next pre-release on that channel: 1.2.3 + minor + beta ->
+// 1.3.0-beta.0, then 1.3.0-beta.1.
+const SEMVER = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[A-Za-z-][0-9A-Za-z-]*)(?:\.(?:0|[1-9]\d*|\d*[A-Za-z-][0-9A-Za-z-]*))*))?(?:\+[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?$/;
+const BUMPS = ['major', 'minor', 'patch'];
+// Version of a config uploaded without one
+const INITIAL_VERSION = '1.0.0';
+
+// { major, minor, patch, prerelease: ['beta', 2] } or null when not a semantic version
+function parse(version) {
+    const match = typeof version === 'string' && SEMVER.exec(version);
+    if (!match) {
+        return null;
+    }
+    return {
+        major: Number(match[1]),
+        minor: Number(match[2]),
+        patch: Number(match[3]),
+        prerelease: match[4] ? match[4].split('.').map(part => (/^\d+$/.test(part) ? Number(part) : part)) : []
+    };
+}
+
+function format({ major, minor, patch, prerelease = [] }) {
+    return `${major}.${minor}.${patch}${prerelease.length ? `-${prerelease.join('.')}` : ''}`;
+}
+
+function isPrerelease(version) {
+    const parsed = parse(version);
+    return Boolean(parsed && parsed.prerelease.length);
+}
+
+// Precedence of two semantic versions: negative, 0 or positive
+function compare(a, b) {
+    const x = typeof a === 'string' ? parse(a) : a;
+    const y = typeof b === 'string' ? parse(b) : b;
+    for (const part of ['major', 'minor', 'patch']) {
+        if (x[part] !== y[part]) {
+            return x[part] - y[part];
+        }
+    }
+    // A pre-release comes before its release; identifiers compare one by
+    // one, numbers numerically and below names
+    if (!x.prerelease.length || !y.prerelease.length) {
+        return y.prerelease.length - x.prerelease.length;
+    }
+    for (let i = 0; i < Math.max(x.prerelease.length, y.prerelease.length); i++) {
+        const [p, q] = [x.prerelease[i], y.prerelease[i]];
+        if (p === undefined || q === undefined) {
+            return p === undefined ? -1 : 1;
+        }
+        if (p !== q) {
+            if (typeof p !== typeof q) {
+                return typeof p === 'number' ? -1 : 1;
+            }
+            return typeof p === 'number' ? p - q : (p < q ? -1 : 1);
+        }
+    }
+    return 0;
+}
+
+// The version after `current` for a bump (major, minor or patch), as the
+// next `preid` pre-release when one is given; `existing` are the versions
+// already stored, which pick the pre-release number
+function increment(current, bump, preid, existing = []) {
+    const { major, minor, patch, prerelease } = parse(current);
+    const pre = prerelease.length > 0;
+    let next;
+    if (bump === 'major') {
+        next = { major: pre && !minor && !patch ? major : major + 1, minor: 0, patch: 0 };
+    } else if (bump === 'minor') {
+        next = { major, minor: pre && !patch ? minor : minor + 1, patch: 0 };
+    } else {
+        next = { major, minor, patch: pre ? patch : patch + 1 };
+    }
+    if (!preid) {
+        return format(next);
+    }
+    // One more than the highest <next>-<preid>.N stored so far
+    const numbers = existing.map(parse)
+        .filter(v => v && v.major === next.major && v.minor === next.minor && v.patch === next.patch &&
+            v.prerelease.length === 2 && v.prerelease[0] === preid && typeof v.prerelease[1] === 'number')
+        .map(v => v.prerelease[1]);
+    return format({ ...next, prerelease: [preid, numbers.length ? Math.max(...numbers) + 1 : 0] });
+}
+
+module.exports = { BUMPS, INITIAL_VERSION, parse, format, isPrerelease, compare, increment };
@@ -0,0 +1,32 @@
+// Day and week buckets for the /stats activity series. Buckets are in UTC and
+// weeks start on Monday, like Postgres date_trunc('week').
+const STATS_INTERVALS = ['day', 'week'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Start of the bucket `date` falls in
+function bucketStart(date, interval) {
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    if (interval === 'week') {
+        return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY);
+    }
+    return day;
+}
+
+// The bucket `count` buckets after (or before, when negative) `start`
+function addBuckets(start, interval, count) {
+    return new Date(start.getTime() + count * (interval === 'week' ? 7 : 1) * DAY);
+}
+
+// Buckets from `from` up to `to` (exclusive), with counts looked up by the
+// YYYY-MM-DD start of each bucket
+function fillBuckets({ from, to, interval }, uploads, updates) {
+    const buckets = [];
+    for (let start = from; start < to; start = addBuckets(start, interval, 1)) {
+        const key = start.toISOString().slice(0, 10);
+        buckets.push({ start: key, uploads: uploads[key] || 0, updates: updates[key] || 0 });
+    }
+    return buckets;
+}
+
+module.exports = { STATS_INTERVALS, bucketStart, addBuckets, fillBuckets };
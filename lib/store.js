@@ -0,0 +1,29 @@
+const path = require('path');
+const { createFileStore } = require('./stores/file');
+const { createPostgresStore } = require('./stores/postgres');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'storage', 'database.json');
+
+// Pick the storage adapter from config:
+//   STORAGE=postgres  uses DATABASE_URL through db.js; migrations run at
+//                     startup unless AUTO_MIGRATE=false
+//   STORAGE=file      uses STORAGE_FILE (default storage/database.json)
+//   STORAGE=memory    keeps everything in memory (tests, throwaway instances)
+// Without STORAGE, postgres is used when DATABASE_URL is set, otherwise file.
+function createStore(options = {}) {
+    const type = options.type || process.env.STORAGE || (process.env.DATABASE_URL ? 'postgres' : 'file');
+    switch (type) {
+        case 'postgres':
+            return createPostgresStore(options.pool || require('../db'), {
+                autoMigrate: process.env.AUTO_MIGRATE !== 'false'
+            });
+        case 'file':
+            return createFileStore({ file: options.file || process.env.STORAGE_FILE || DEFAULT_FILE });
+        case 'memory':
+            return createFileStore();
+        default:
+            throw new Error(`Unknown storage type: ${type}`);
+    }
+}
+
+module.exports = { createStore };
@@ -0,0 +1,925 @@
+// JSON-file store. Everything is kept in memory and the whole file is
+// rewritten after each change; without a file it is a plain in-memory store.
+const fs = require('fs').promises;
+const path = require('path');
+const { SEARCH_FIELDS, matchesTerm, highlight, snippet } = require('../search');
+const { contentHash } = require('../bbg-data');
+const { invalidCursor } = require('../cursor');
+const { isLegacyRecord } = require('../legacy');
+const { INITIAL_VERSION } = require('../semver');
+const { bucketStart, fillBuckets } = require('../stats');
+
+function emptyDatabase() {
+    return {
+        entries: [],
+        changelog: [],
+        versions: [],
+        updateTokens: [],
+        downloadEvents: [],
+        ratings: [],
+        comments: [],
+        blocks: [],
+        reports: [],
+        moderationLog: [],
+        collections: [],
+        tags: [],
+        metadata: {
+            created: new Date().toISOString(),
+            version: '1.0.0',
+            nextId: 1
+        }
+    };
+}
+
+function byNewest(a, b) {
+    return new Date(b.uploadedAt) - new Date(a.uploadedAt);
+}
+
+// Entries are returned as copies so callers can't mutate the stored state.
+// Data isn't compressed here, so the stored size is the raw size.
+function summary({ data, ...entry }) {
+    const size = Buffer.byteLength(data || '');
+    return { ...entry, dataSize: size, storedSize: size };
+}
+
+function applyFilters(entries, { category, uploader, version, from, to, status, parentId }) {
+    return entries.filter(e =>
+        (!status || e.status === status) &&
+        (!parentId || e.parentId === Number(parentId)) &&
+        (!category || (e.category || '').toLowerCase() === category.toLowerCase()) &&
+        (!uploader || (e.uploaderName || '').toLowerCase() === uploader.toLowerCase()) &&
+        (!version || e.version === version) &&
+        (!from || new Date(e.uploadedAt) >= from) &&
+        (!to || new Date(e.uploadedAt) <= to)
+    );
+}
+
+// Weighted count of matching words, or null unless every term matches somewhere
+function rankEntry(entry, terms) {
+    let rank = 0;
+    const matched = new Set();
+    for (const { field, weight } of SEARCH_FIELDS) {
+        const words = String(entry[field] || '').match(/[\p{L}\p{N}_]+/gu) || [];
+        for (const word of words) {
+            const hits = terms.filter(term => matchesTerm(word, [term]));
+            hits.forEach(term => matched.add(term));
+            rank += hits.length * weight;
+        }
+    }
+    return matched.size === terms.length ? Math.round(rank * 10000) / 10000 : null;
+}
+
+function byUpdated(entry) {
+    return new Date(entry.lastUpdate || entry.uploadedAt);
+}
+
+// Sort keys for listEntries and their default direction. The ID breaks ties,
+// so every entry has a unique position for cursors to continue after.
+const LIST_SORTS = {
+    newest: { key: e => [new Date(e.uploadedAt).getTime()], order: 'desc' },
+    uploaded: { key: e => [new Date(e.uploadedAt).getTime()], order: 'desc' },
+    updated: { key: e => [byUpdated(e).getTime()], order: 'desc' },
+    name: { key: e => [(e.name || '').toLowerCase()], order: 'asc' },
+    points: { key: e => [e.pointCount || 0], order: 'desc' },
+    downloads: { key: e => [e.downloads || 0], order: 'desc' },
+    rating: { key: e => [ratingOf(e).average || 0, ratingOf(e).count], order: 'desc' },
+    forks: { key: e => [e.forkCount || 0], order: 'desc' },
+    version: { key: e => [versionSortKey(e.version)], order: 'desc' }
+};
+
+// Same key as version_sort_key() in migration 014: digit runs padded to 12 places
+function versionSortKey(version) {
+    return String(version || '').replace(/\d+/g, digits => digits.padStart(12, '0').slice(0, 12));
+}
+
+function compareKeys(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        const diff = typeof a[i] === 'number' && typeof b[i] === 'number'
+            ? a[i] - b[i]
+            : String(a[i]).localeCompare(String(b[i]));
+        if (diff) {
+            return diff;
+        }
+    }
+    return 0;
+}
+
+function ratingOf(entry) {
+    return entry.rating || { average: null, count: 0 };
+}
+
+function toComment({ configId, ...comment }) {
+    return comment;
+}
+
+function toReport({ reporterHash, ...report }) {
+    return report;
+}
+
+function toCollection(collection) {
+    return { ...collection, items: collection.items.map(item => ({ ...item })) };
+}
+
+function countBy(entries, key) {
+    const counts = {};
+    entries.forEach(entry => {
+        counts[entry[key] || ''] = (counts[entry[key] || ''] || 0) + 1;
+    });
+    return counts;
+}
+
+// Configs, downloads and points per value of `key`, most configs first
+function breakdownBy(entries, key, name) {
+    const groups = new Map();
+    entries.forEach(entry => {
+        const value = entry[key] || '';
+        const group = groups.get(value) || { [name]: value, configs: 0, downloads: 0, points: 0 };
+        group.configs++;
+        group.downloads += entry.downloads || 0;
+        group.points += entry.pointCount || 0;
+        groups.set(value, group);
+    });
+    return [...groups.values()]
+        .sort((a, b) => b.configs - a.configs || b.downloads - a.downloads || (a[name] < b[name] ? -1 : 1))
+        .map(group => ({ ...group, averagePoints: Math.round(group.points / group.configs * 10) / 10 }));
+}
+
+// Counts of the dates in the activity range, by bucket start
+function countByBucket(dates, { from, to, interval }) {
+    const counts = {};
+    dates.map(date => new Date(date))
+        .filter(date => date >= from && date < to)
+        .forEach(date => {
+            const key = bucketStart(date, interval).toISOString().slice(0, 10);
+            counts[key] = (counts[key] || 0) + 1;
+        });
+    return counts;
+}
+
+function storageOf(rows) {
+    const size = rows.reduce((sum, row) => sum + Buffer.byteLength(row.data || ''), 0);
+    return { count: rows.length, dataSize: size, storedSize: size };
+}
+
+function createFileStore(options = {}) {
+    const file = options.file || null;
+    let db = emptyDatabase();
+    let writing = Promise.resolve();
+
+    function findEntry(id) {
+        return db.entries.find(e => e.id === Number(id));
+    }
+
+    function setTag(configId, tag, version, now) {
+        const found = db.tags.find(t => t.configId === configId && t.tag === tag);
+        if (found) {
+            found.version = version;
+            found.updatedAt = now;
+        } else {
+            db.tags.push({ configId, tag, version, updatedAt: now });
+        }
+    }
+
+    // Writes are chained so two changes never interleave on disk
+    function persist() {
+        if (!file) {
+            return Promise.resolve();
+        }
+        const snapshot = JSON.stringify(db, null, 2);
+        const tmpFile = `${file}.tmp`;
+        writing = writing
+            .catch(() => {})
+            .then(() => fs.writeFile(tmpFile, snapshot))
+            .then(() => fs.rename(tmpFile, file));
+        return writing;
+    }
+
+    return {
+        name: file ? 'file' : 'memory',
+
+        async init() {
+            if (!file) {
+                return;
+            }
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            try {
+                db = JSON.parse(await fs.readFile(file, 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+                await persist();
+                console.log('Created new database file');
+            }
+            // The old index.js wrote the same default file with string IDs and
+            // `uploadDate`; its entries have to be imported to get new IDs
+            if ((db.entries || []).some(isLegacyRecord)) {
+                throw new Error(`${file} is a legacy index.js database. Move it elsewhere (or set STORAGE_FILE to a new file) and run \`npm run import -- <moved file>\``);
+            }
+            db.entries = db.entries || [];
+            db.changelog = db.changelog || [];
+            db.versions = db.versions || [];
+            db.downloadEvents = db.downloadEvents || [];
+            db.ratings = db.ratings || [];
+            db.comments = db.comments || [];
+            db.updateTokens = db.updateTokens || [];
+            db.blocks = db.blocks || [];
+            db.reports = db.reports || [];
+            db.moderationLog = db.moderationLog || [];
+            db.collections = db.collections || [];
+            db.tags = db.tags || [];
+            db.entries.forEach(entry => {
+                entry.status = entry.status || 'visible';
+                entry.parentId = entry.parentId || null;
+                entry.forkCount = entry.forkCount || 0;
+            });
+            db.metadata = db.metadata || {};
+            // Files written before content hashes existed
+            [...db.entries, ...db.versions].forEach(item => {
+                if (!item.contentHash && item.data) {
+                    item.contentHash = contentHash(item.data);
+                }
+            });
+            // Files from before configs always had a version: the blank first
+            // version becomes 1.0.0 (0.0.0 when 1.0.0 is taken), as in migration 016
+            const hasInitial = new Set(db.versions.filter(v => v.version === INITIAL_VERSION).map(v => v.configId));
+            const replacement = configId => (hasInitial.has(configId) ? '0.0.0' : INITIAL_VERSION);
+            db.entries.forEach(entry => {
+                if (!entry.version) {
+                    entry.version = replacement(entry.id);
+                }
+                if (entry.parentId && entry.parentVersion === '') {
+                    entry.parentVersion = replacement(entry.parentId);
+                }
+            });
+            [...db.changelog, ...db.tags, ...db.versions, ...db.collections.flatMap(c => c.items)].forEach(row => {
+                if (row.version === '') {
+                    row.version = replacement(row.configId);
+                }
+            });
+            if (!db.metadata.nextId) {
+                db.metadata.nextId = db.entries.reduce((max, e) => Math.max(max, Number(e.id) || 0), 0) + 1;
+            }
+        },
+
+        async close() {
+            await writing;
+        },
+
+        // Readiness check: fails while the last write to the file failed
+        async ping() {
+            await writing;
+        },
+
+        // No connection pool
+        poolStats() {
+            return null;
+        },
+
+        async createEntry(fields) {
+            const entry = {
+                id: db.metadata.nextId++,
+                ...fields,
+                data: String(fields.data),
+                uploadedAt: new Date().toISOString(),
+                downloads: 0,
+                rating: { average: null, count: 0 },
+                commentCount: 0,
+                status: 'visible',
+                parentId: fields.parentId || null,
+                parentVersion: fields.parentVersion || null,
+                parentHash: fields.parentHash || null,
+                forkCount: 0,
+                lastUpdate: null,
+                lastChanges: null
+            };
+            db.entries.push(entry);
+            const parent = entry.parentId && findEntry(entry.parentId);
+            if (parent) {
+                parent.forkCount = (parent.forkCount || 0) + 1;
+            }
+            db.versions.push({
+                configId: entry.id,
+                version: entry.version,
+                data: entry.data,
+                changes: null,
+                contentHash: entry.contentHash,
+                createdAt: entry.uploadedAt
+            });
+            await persist();
+            return summary(entry);
+        },
+
+        async importEntry({ changelog, versions, tags, ...fields }) {
+            const entry = {
+                ...fields,
+                id: fields.id || db.metadata.nextId,
+                status: fields.status || 'visible',
+                parentId: fields.parentId || null,
+                forkCount: fields.forkCount || 0,
+                data: String(fields.data),
+                rating: { average: null, count: 0 },
+                commentCount: 0
+            };
+            db.metadata.nextId = Math.max(db.metadata.nextId, entry.id + 1);
+            db.entries.push(entry);
+            versions.forEach(item => db.versions.push({ configId: entry.id, ...item, data: String(item.data) }));
+            tags.forEach(item => db.tags.push({ configId: entry.id, ...item }));
+            changelog.forEach(item => db.changelog.push({ configId: entry.id, ...item }));
+            await persist();
+            return summary(entry);
+        },
+
+        async exportEntries({ afterId, limit }) {
+            return db.entries
+                .filter(e => e.id > afterId)
+                .sort((a, b) => a.id - b.id)
+                .slice(0, limit)
+                .map(e => ({ ...summary(e), data: e.data }));
+        },
+
+        async findEntryByLegacyId(legacyId) {
+            const entry = db.entries.find(e => e.legacyId === legacyId);
+            return entry ? summary(entry) : null;
+        },
+
+        async findEntryByHash(contentHash, { includeHidden = true } = {}) {
+            const entry = db.entries.find(e => e.contentHash === contentHash && (includeHidden || e.status !== 'hidden'));
+            return entry ? summary(entry) : null;
+        },
+
+        async getEntry(id) {
+            const entry = findEntry(id);
+            return entry ? { ...summary(entry), data: entry.data } : null;
+        },
+
+        // `after` ({ key, id } from a cursor) continues after that entry
+        // instead of skipping `offset` entries
+        async listEntries({ limit, offset = 0, sort = 'newest', order, after, ...filters }) {
+            const spec = LIST_SORTS[sort];
+            if (!spec) {
+                throw new Error(`Unknown sort: ${sort}`);
+            }
+            const sample = spec.key({});
+            if (after && (after.key.length !== sample.length || after.key.some((value, i) => typeof value !== typeof sample[i]))) {
+                throw invalidCursor();
+            }
+            const sign = (order || spec.order) === 'asc' ? 1 : -1;
+            const keyed = applyFilters(db.entries, filters)
+                .map(entry => ({ entry, key: [...spec.key(entry), entry.id] }))
+                .sort((a, b) => sign * compareKeys(a.key, b.key));
+            const start = after
+                ? keyed.findIndex(({ key }) => sign * compareKeys(key, [...after.key, after.id]) > 0)
+                : offset;
+            return {
+                entries: (start === -1 ? [] : keyed.slice(start, start + limit))
+                    .map(({ entry, key }) => ({ ...summary(entry), sortKey: key.slice(0, -1) })),
+                total: keyed.length
+            };
+        },
+
+        async searchEntries({ terms, limit, offset, ...filters }) {
+            const matches = applyFilters(db.entries, filters)
+                .map(entry => ({ entry, rank: rankEntry(entry, terms) }))
+                .filter(match => match.rank !== null)
+                .sort((a, b) => b.rank - a.rank || byNewest(a.entry, b.entry));
+            return {
+                entries: matches.slice(offset, offset + limit).map(({ entry, rank }) => ({
+                    ...summary(entry),
+                    rank,
+                    highlights: {
+                        name: highlight(entry.name, terms),
+                        description: snippet(entry.description, terms)
+                    }
+                })),
+                total: matches.length
+            };
+        },
+
+        async recordDownload(id, clientHash, windowMs) {
+            const entry = findEntry(id);
+            const now = Date.now();
+            const recent = db.downloadEvents.some(d =>
+                d.configId === entry.id && d.clientHash === clientHash && now - new Date(d.downloadedAt) < windowMs
+            );
+            if (recent) {
+                return false;
+            }
+            db.downloadEvents.push({ configId: entry.id, clientHash, downloadedAt: new Date(now).toISOString() });
+            entry.downloads = (entry.downloads || 0) + 1;
+            await persist();
+            return true;
+        },
+
+        async getTrending({ since, halfLifeMs, limit, category, status }) {
+            const now = Date.now();
+            const scores = new Map();
+            for (const event of db.downloadEvents) {
+                const downloadedAt = new Date(event.downloadedAt);
+                if (downloadedAt <= since) {
+                    continue;
+                }
+                const current = scores.get(event.configId) || { recentDownloads: 0, score: 0 };
+                current.recentDownloads++;
+                current.score += Math.pow(0.5, (now - downloadedAt) / halfLifeMs);
+                scores.set(event.configId, current);
+            }
+            return applyFilters(db.entries, { category, status })
+                .filter(entry => scores.has(entry.id))
+                .map(entry => ({
+                    ...summary(entry),
+                    recentDownloads: scores.get(entry.id).recentDownloads,
+                    score: Math.round(scores.get(entry.id).score * 1000) / 1000
+                }))
+                .sort((a, b) => b.score - a.score || (b.downloads || 0) - (a.downloads || 0))
+                .slice(0, limit);
+        },
+
+        async rateEntry(id, raterHash, rating) {
+            const entry = findEntry(id);
+            const existing = db.ratings.find(r => r.configId === entry.id && r.raterHash === raterHash);
+            if (existing) {
+                existing.rating = rating;
+                existing.ratedAt = new Date().toISOString();
+            } else {
+                db.ratings.push({ configId: entry.id, raterHash, rating, ratedAt: new Date().toISOString() });
+            }
+            const ratings = db.ratings.filter(r => r.configId === entry.id);
+            const average = ratings.reduce((sum, r) => sum + r.rating, 0) / ratings.length;
+            entry.rating = { average: Math.round(average * 100) / 100, count: ratings.length };
+            await persist();
+            return { ...entry.rating };
+        },
+
+        async addComment(id, { author, text, secretHash }) {
+            const entry = findEntry(id);
+            db.metadata.nextCommentId = db.metadata.nextCommentId || 1;
+            const comment = {
+                id: db.metadata.nextCommentId++,
+                configId: entry.id,
+                author,
+                text,
+                createdAt: new Date().toISOString(),
+                secretHash
+            };
+            db.comments.push(comment);
+            entry.commentCount = (entry.commentCount || 0) + 1;
+            await persist();
+            return toComment(comment);
+        },
+
+        async listComments(id, { limit, offset }) {
+            const comments = db.comments.filter(c => c.configId === Number(id)).reverse();
+            return {
+                comments: comments.slice(offset, offset + limit).map(toComment),
+                total: comments.length
+            };
+        },
+
+        async getComment(id, commentId) {
+            const comment = db.comments.find(c => c.configId === Number(id) && c.id === Number(commentId));
+            return comment ? toComment(comment) : null;
+        },
+
+        async deleteComment(id, commentId) {
+            const index = db.comments.findIndex(c => c.configId === Number(id) && c.id === Number(commentId));
+            if (index === -1) {
+                return false;
+            }
+            db.comments.splice(index, 1);
+            const entry = findEntry(id);
+            entry.commentCount = Math.max((entry.commentCount || 0) - 1, 0);
+            await persist();
+            return true;
+        },
+
+        // Stats only count visible configs
+        async getStats({ activity, topUploaders }) {
+            const entries = applyFilters(db.entries, { status: 'visible' });
+            const ids = new Set(entries.map(e => e.id));
+            const points = entries.reduce((sum, e) => sum + (e.pointCount || 0), 0);
+            const configs = storageOf(db.entries);
+            const versions = storageOf(db.versions);
+            const uploaders = breakdownBy(entries, 'uploaderName', 'uploaderName').slice(0, topUploaders);
+            return {
+                totalEntries: entries.length,
+                totalCollections: db.collections.length,
+                categories: countBy(entries, 'category'),
+                topUploaders: Object.fromEntries(uploaders.map(u => [u.uploaderName, u.configs])),
+                recentUploads: entries.slice().sort(byNewest).slice(0, 5).map(summary),
+                points: { total: points, average: entries.length ? Math.round(points / entries.length * 10) / 10 : 0 },
+                breakdown: {
+                    categories: breakdownBy(entries, 'category', 'category'),
+                    uploaders
+                },
+                storage: { configs, versions, storedSize: configs.storedSize + versions.storedSize },
+                activity: fillBuckets(
+                    activity,
+                    countByBucket(entries.map(e => e.uploadedAt), activity),
+                    countByBucket(db.changelog.filter(c => ids.has(c.configId)).map(c => c.date), activity)
+                )
+            };
+        },
+
+        async purgeOrphans() {
+            const ids = new Set(db.entries.map(e => e.id));
+            const counts = {};
+            for (const name of ['changelog', 'versions', 'tags', 'ratings', 'comments', 'downloadEvents', 'updateTokens']) {
+                const before = db[name].length;
+                db[name] = db[name].filter(row => ids.has(row.configId));
+                counts[name] = before - db[name].length;
+            }
+            await persist();
+            return counts;
+        },
+
+        async purgeExpired(now) {
+            const tokens = db.updateTokens.length;
+            const blocks = db.blocks.length;
+            db.updateTokens = db.updateTokens.filter(t => new Date(t.expiresAt) > now);
+            db.blocks = db.blocks.filter(b => !b.expiresAt || new Date(b.expiresAt) > now);
+            await persist();
+            return { updateTokens: tokens - db.updateTokens.length, blocks: blocks - db.blocks.length };
+        },
+
+        async pruneDownloadEvents(before) {
+            const count = db.downloadEvents.length;
+            db.downloadEvents = db.downloadEvents.filter(d => new Date(d.downloadedAt) >= before);
+            await persist();
+            return count - db.downloadEvents.length;
+        },
+
+        async deleteEntry(id) {
+            const index = db.entries.findIndex(e => e.id === Number(id));
+            if (index === -1) {
+                return false;
+            }
+            const [entry] = db.entries.splice(index, 1);
+            const parent = entry.parentId && findEntry(entry.parentId);
+            if (parent) {
+                parent.forkCount = Math.max((parent.forkCount || 0) - 1, 0);
+            }
+            db.versions = db.versions.filter(v => v.configId !== entry.id);
+            db.changelog = db.changelog.filter(c => c.configId !== entry.id);
+            db.tags = db.tags.filter(t => t.configId !== entry.id);
+            db.ratings = db.ratings.filter(r => r.configId !== entry.id);
+            db.comments = db.comments.filter(c => c.configId !== entry.id);
+            await persist();
+            return true;
+        },
+
+        // Same contract as the Postgres store; nothing else can run between
+        // reading the version and writing the new one here
+        async updateEntry(id, { data, plan, precondition, changes, pointCount, contentHash }) {
+            const entry = findEntry(id);
+            if (!entry) {
+                return null;
+            }
+            const current = { version: entry.version || '', contentHash: entry.contentHash };
+            if (precondition && !precondition(current)) {
+                return { conflict: current };
+            }
+            const stored = [...new Set(db.versions.filter(v => v.configId === entry.id).map(v => v.version))];
+            const next = plan(current.version, stored);
+            if (next.error) {
+                return { error: next.error, current };
+            }
+            const { version } = next;
+            const now = new Date().toISOString();
+            if (!next.prerelease) {
+                entry.data = String(data);
+                entry.version = version;
+                entry.lastUpdate = now;
+                entry.lastChanges = changes;
+                entry.pointCount = pointCount;
+                entry.contentHash = contentHash;
+                db.changelog.push({ configId: entry.id, version, date: now, changes });
+            }
+            db.versions.push({ configId: entry.id, version, data: String(data), changes, contentHash, createdAt: now });
+            (next.tags || []).forEach(tag => setTag(entry.id, tag, version, now));
+            await persist();
+            return next;
+        },
+
+        async setForkSource(id, { parentVersion, parentHash }) {
+            const entry = findEntry(id);
+            entry.parentVersion = parentVersion;
+            entry.parentHash = parentHash;
+            await persist();
+        },
+
+        async getAncestry(id, maxDepth) {
+            const ancestors = [];
+            let entry = findEntry(id);
+            while (entry && entry.parentId && ancestors.length < maxDepth) {
+                entry = findEntry(entry.parentId);
+                if (entry) {
+                    ancestors.push(summary(entry));
+                }
+            }
+            return ancestors;
+        },
+
+        async listVersions(id) {
+            return db.versions
+                .filter(v => v.configId === Number(id))
+                .reverse()
+                .map(v => ({
+                    version: v.version,
+                    changes: v.changes,
+                    createdAt: v.createdAt,
+                    contentHash: v.contentHash,
+                    size: Buffer.byteLength(v.data),
+                    storedSize: Buffer.byteLength(v.data)
+                }));
+        },
+
+        async getVersion(id, version) {
+            const found = db.versions
+                .filter(v => v.configId === Number(id) && v.version === version)
+                .pop();
+            return found ? {
+                version: found.version,
+                data: found.data,
+                changes: found.changes,
+                createdAt: found.createdAt,
+                contentHash: found.contentHash
+            } : null;
+        },
+
+        async listTags(id) {
+            return db.tags
+                .filter(t => t.configId === Number(id))
+                .sort((a, b) => (a.tag < b.tag ? -1 : 1))
+                .map(({ tag, version, updatedAt }) => ({ tag, version, updatedAt }));
+        },
+
+        async getTag(id, tag) {
+            const found = db.tags.find(t => t.configId === Number(id) && t.tag === tag);
+            return found ? found.version : null;
+        },
+
+        async setTag(id, tag, version) {
+            setTag(Number(id), tag, version, new Date().toISOString());
+            await persist();
+        },
+
+        async deleteTag(id, tag) {
+            const before = db.tags.length;
+            db.tags = db.tags.filter(t => !(t.configId === Number(id) && t.tag === tag));
+            if (db.tags.length === before) {
+                return false;
+            }
+            await persist();
+            return true;
+        },
+
+        async getUpdateHistory(ids) {
+            return db.entries
+                .filter(e => ids.includes(e.id))
+                .map(entry => ({
+                    entry: summary(entry),
+                    versions: db.versions
+                        .filter(v => v.configId === entry.id)
+                        .map(v => ({ version: v.version, contentHash: v.contentHash, createdAt: v.createdAt })),
+                    changelog: db.changelog
+                        .filter(c => c.configId === entry.id)
+                        .sort((a, b) => new Date(b.date) - new Date(a.date))
+                        .map(({ configId, ...row }) => row)
+                }));
+        },
+
+        async getChangelog(id) {
+            return db.changelog
+                .filter(c => c.configId === Number(id))
+                .sort((a, b) => new Date(b.date) - new Date(a.date))
+                .map(({ configId, ...row }) => row);
+        },
+
+        async saveUpdateToken(id, tokenHash, expiresAt) {
+            const now = new Date();
+            db.updateTokens = db.updateTokens.filter(t => new Date(t.expiresAt) > now);
+            db.updateTokens.push({ tokenHash, configId: Number(id), expiresAt: expiresAt.toISOString() });
+            await persist();
+        },
+
+        async consumeUpdateToken(id, tokenHash) {
+            const index = db.updateTokens.findIndex(t => t.tokenHash === tokenHash && t.configId === Number(id));
+            if (index === -1) {
+                return false;
+            }
+            const [token] = db.updateTokens.splice(index, 1);
+            await persist();
+            return new Date(token.expiresAt) > new Date();
+        },
+
+        async setEntryStatus(id, status) {
+            const entry = findEntry(id);
+            if (!entry) {
+                return false;
+            }
+            entry.status = status;
+            await persist();
+            return true;
+        },
+
+        async findOpenReport(id, reporterHash) {
+            const report = db.reports.find(r => r.configId === Number(id) && r.reporterHash === reporterHash && !r.resolvedAt);
+            return report ? toReport(report) : null;
+        },
+
+        async addReport(id, { reason, details, reporterHash }) {
+            db.metadata.nextReportId = db.metadata.nextReportId || 1;
+            const report = {
+                id: db.metadata.nextReportId++,
+                configId: Number(id),
+                reason,
+                details,
+                reporterHash,
+                createdAt: new Date().toISOString(),
+                resolvedAt: null,
+                resolvedBy: null,
+                resolution: null
+            };
+            db.reports.push(report);
+            await persist();
+            const openReports = db.reports.filter(r => r.configId === report.configId && !r.resolvedAt).length;
+            return { report: toReport(report), openReports };
+        },
+
+        async listReports({ resolved = false, limit, offset }) {
+            const reports = db.reports.filter(r => Boolean(r.resolvedAt) === resolved).reverse();
+            return {
+                reports: reports.slice(offset, offset + limit).map(report => {
+                    const entry = findEntry(report.configId);
+                    return { ...toReport(report), entry: entry ? summary(entry) : null };
+                }),
+                total: reports.length
+            };
+        },
+
+        async resolveReports(id, { resolution, resolvedBy }) {
+            const now = new Date().toISOString();
+            const open = db.reports.filter(r => r.configId === Number(id) && !r.resolvedAt);
+            open.forEach(report => {
+                report.resolvedAt = now;
+                report.resolvedBy = resolvedBy;
+                report.resolution = resolution;
+            });
+            if (open.length) {
+                await persist();
+            }
+            return open.length;
+        },
+
+        async addModerationLog({ configId, action, actor, reason, details }) {
+            db.metadata.nextLogId = db.metadata.nextLogId || 1;
+            db.moderationLog.push({
+                id: db.metadata.nextLogId++,
+                configId: configId ? Number(configId) : null,
+                action,
+                actor,
+                reason: reason || null,
+                details: details || null,
+                createdAt: new Date().toISOString()
+            });
+            await persist();
+        },
+
+        async listModerationLog({ configId, limit, offset }) {
+            const entries = db.moderationLog.filter(e => !configId || e.configId === Number(configId)).reverse();
+            return {
+                entries: entries.slice(offset, offset + limit).map(e => ({ ...e })),
+                total: entries.length
+            };
+        },
+
+        async createCollection({ name, description, uploaderName, ownerSecretHash, items }) {
+            db.metadata.nextCollectionId = db.metadata.nextCollectionId || 1;
+            const collection = {
+                id: db.metadata.nextCollectionId++,
+                name,
+                description,
+                uploaderName,
+                ownerSecretHash,
+                downloads: 0,
+                createdAt: new Date().toISOString(),
+                updatedAt: null,
+                items: items.map(({ configId, version }) => ({ configId: Number(configId), version }))
+            };
+            db.collections.push(collection);
+            await persist();
+            return toCollection(collection);
+        },
+
+        async getCollection(id) {
+            const collection = db.collections.find(c => c.id === Number(id));
+            return collection ? toCollection(collection) : null;
+        },
+
+        async updateCollection(id, { name, description, items }) {
+            const collection = db.collections.find(c => c.id === Number(id));
+            if (!collection) {
+                return null;
+            }
+            if (name !== undefined) {
+                collection.name = name;
+            }
+            if (description !== undefined) {
+                collection.description = description;
+            }
+            if (items) {
+                collection.items = items.map(({ configId, version }) => ({ configId: Number(configId), version }));
+            }
+            collection.updatedAt = new Date().toISOString();
+            await persist();
+            return toCollection(collection);
+        },
+
+        async deleteCollection(id) {
+            const count = db.collections.length;
+            db.collections = db.collections.filter(c => c.id !== Number(id));
+            if (db.collections.length === count) {
+                return false;
+            }
+            await persist();
+            return true;
+        },
+
+        async listCollections({ limit, offset }) {
+            const collections = db.collections.slice().reverse();
+            return {
+                collections: collections.slice(offset, offset + limit).map(toCollection),
+                total: collections.length
+            };
+        },
+
+        async searchCollections({ terms, limit, offset }) {
+            const matches = db.collections
+                .map(collection => ({ collection, rank: rankEntry(collection, terms) }))
+                .filter(match => match.rank !== null)
+                .sort((a, b) => b.rank - a.rank || new Date(b.collection.createdAt) - new Date(a.collection.createdAt));
+            return {
+                collections: matches.slice(offset, offset + limit).map(({ collection, rank }) => ({
+                    ...toCollection(collection),
+                    rank,
+                    highlights: {
+                        name: highlight(collection.name, terms),
+                        description: snippet(collection.description, terms)
+                    }
+                })),
+                total: matches.length
+            };
+        },
+
+        async recordCollectionDownload(id) {
+            const collection = db.collections.find(c => c.id === Number(id));
+            collection.downloads++;
+            await persist();
+        },
+
+        async saveBlock({ type, value, reason, createdBy, expiresAt }) {
+            const block = {
+                type,
+                value,
+                reason,
+                createdBy,
+                createdAt: new Date().toISOString(),
+                expiresAt: expiresAt ? expiresAt.toISOString() : null
+            };
+            db.blocks = db.blocks.filter(b => !(b.type === type && b.value === value));
+            db.blocks.push(block);
+            await persist();
+            return { ...block };
+        },
+
+        async removeBlock(type, value) {
+            const count = db.blocks.length;
+            db.blocks = db.blocks.filter(b => !(b.type === type && b.value === value));
+            if (db.blocks.length === count) {
+                return false;
+            }
+            await persist();
+            return true;
+        },
+
+        async listBlocks() {
+            const now = new Date();
+            return db.blocks
+                .filter(b => !b.expiresAt || new Date(b.expiresAt) > now)
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+                .map(b => ({ ...b }));
+        },
+
+        async findBlock(targets) {
+            const now = new Date();
+            const block = db.blocks.find(b =>
+                (!b.expiresAt || new Date(b.expiresAt) > now) &&
+                targets.some(t => t.type === b.type && t.value === b.value)
+            );
+            return block ? { ...block } : null;
+        }
+    };
+}
+
+module.exports = { createFileStore };
@@ -0,0 +1,1131 @@
+// Postgres-backed store (uploaded_files, uploaded_files_changelog and
+// uploaded_files_versions). Data blobs are stored gzipped.
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { migrate } = require('../migrate');
+const { toTsQuery, HIGHLIGHT_START, HIGHLIGHT_STOP, HTML_ESCAPES, SNIPPET_WORDS } = require('../search');
+const { invalidCursor } = require('../cursor');
+const { fillBuckets } = require('../stats');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const SUMMARY_COLUMNS = 'id, filename, mimetype, uploaded_at, description, category, uploader_name, point_count, config_name, version, last_update, last_changes, download_count, rating_average, rating_count, comment_count, content_hash, status, parent_id, parent_version, parent_hash, fork_count, data_size, LENGTH(data) AS stored_size';
+
+// Tables with rows that belong to a config, by the name maintenance reports use
+const CONFIG_TABLES = {
+    changelog: 'uploaded_files_changelog',
+    versions: 'uploaded_files_versions',
+    tags: 'config_tags',
+    ratings: 'config_ratings',
+    comments: 'config_comments',
+    downloadEvents: 'download_events',
+    updateTokens: 'update_tokens'
+};
+
+// Map a database row to the shape the routes work with
+function toEntry(row) {
+    const entry = {
+        id: row.id,
+        name: row.filename,
+        mimetype: row.mimetype,
+        description: row.description,
+        category: row.category,
+        uploaderName: row.uploader_name,
+        pointCount: row.point_count,
+        configName: row.config_name,
+        version: row.version,
+        uploadedAt: row.uploaded_at,
+        lastUpdate: row.last_update,
+        lastChanges: row.last_changes,
+        downloads: row.download_count,
+        rating: {
+            average: row.rating_average === null || row.rating_average === undefined ? null : Math.round(row.rating_average * 100) / 100,
+            count: row.rating_count || 0
+        },
+        commentCount: row.comment_count,
+        contentHash: row.content_hash,
+        status: row.status,
+        parentId: row.parent_id,
+        parentVersion: row.parent_version,
+        parentHash: row.parent_hash,
+        forkCount: row.fork_count,
+        dataSize: row.data_size,
+        storedSize: row.stored_size === undefined ? undefined : parseInt(row.stored_size, 10),
+        ownerSecretHash: row.owner_secret_hash,
+        legacyId: row.legacy_id
+    };
+    return entry;
+}
+
+async function compress(data) {
+    const raw = Buffer.from(data);
+    return { blob: await gzip(raw), size: raw.length };
+}
+
+// Uncompressed data of a row (rows not yet converted by migration 008 are 'identity')
+async function decodeData(row) {
+    return row.data_encoding === 'gzip' ? gunzip(row.data) : row.data;
+}
+
+const NAME_HEADLINE = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, HighlightAll=true`;
+const DESCRIPTION_HEADLINE = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxWords=${SNIPPET_WORDS}, MinWords=10, ShortWord=0`;
+
+// Headlines are made from HTML-escaped text (the parser keeps the entities
+// whole), so only the markers are markup
+function escapedHtml(column) {
+    return Object.entries(HTML_ESCAPES).reduce((sql, [char, entity]) => `replace(${sql}, '${char.replace("'", "''")}', '${entity}')`, column);
+}
+
+// WHERE conditions for the metadata filters shared by list and search;
+// values are appended to params
+function filterConditions({ category, uploader, version, from, to, status, parentId }, params) {
+    const conditions = [];
+    if (status) {
+        params.push(status);
+        conditions.push(`status = $${params.length}`);
+    }
+    if (parentId) {
+        params.push(parentId);
+        conditions.push(`parent_id = $${params.length}`);
+    }
+    if (category) {
+        params.push(category.toLowerCase());
+        conditions.push(`LOWER(category) = $${params.length}`);
+    }
+    if (uploader) {
+        params.push(uploader.toLowerCase());
+        conditions.push(`LOWER(uploader_name) = $${params.length}`);
+    }
+    if (version) {
+        params.push(version);
+        conditions.push(`version = $${params.length}`);
+    }
+    if (from) {
+        params.push(from);
+        conditions.push(`uploaded_at >= $${params.length}`);
+    }
+    if (to) {
+        params.push(to);
+        conditions.push(`uploaded_at <= $${params.length}`);
+    }
+    return conditions;
+}
+
+// Sort keys for listEntries with their types (cursor values come back as text
+// and are cast to these) and default direction. The ID breaks ties, so every
+// row has a unique position to continue after.
+const LIST_SORTS = {
+    newest: { keys: [['uploaded_at', 'timestamptz']], order: 'desc' },
+    uploaded: { keys: [['uploaded_at', 'timestamptz']], order: 'desc' },
+    updated: { keys: [['COALESCE(last_update, uploaded_at)', 'timestamptz']], order: 'desc' },
+    name: { keys: [['LOWER(filename)', 'text']], order: 'asc' },
+    points: { keys: [['point_count', 'integer']], order: 'desc' },
+    downloads: { keys: [['download_count', 'integer']], order: 'desc' },
+    rating: { keys: [['COALESCE(rating_average, 0)', 'real'], ['rating_count', 'integer']], order: 'desc' },
+    forks: { keys: [['fork_count', 'integer']], order: 'desc' },
+    version: { keys: [['version_sort_key(version)', 'text']], order: 'desc' }
+};
+// Errors from casting a cursor value to its sort key's type
+const CURSOR_CAST_ERRORS = ['22P02', '22007', '22008', '22003'];
+
+function toComment(row) {
+    return {
+        id: row.id,
+        author: row.author,
+        text: row.body,
+        createdAt: row.created_at,
+        secretHash: row.secret_hash
+    };
+}
+
+function toReport(row) {
+    return {
+        id: row.id,
+        configId: row.config_id,
+        reason: row.reason,
+        details: row.details,
+        createdAt: row.created_at,
+        resolvedAt: row.resolved_at,
+        resolvedBy: row.resolved_by,
+        resolution: row.resolution
+    };
+}
+
+function toLogEntry(row) {
+    return {
+        id: row.id,
+        configId: row.config_id,
+        action: row.action,
+        actor: row.actor,
+        reason: row.reason,
+        details: row.details,
+        createdAt: row.created_at
+    };
+}
+
+function toCollection(row, items) {
+    return {
+        id: row.id,
+        name: row.name,
+        description: row.description,
+        uploaderName: row.uploader_name,
+        ownerSecretHash: row.owner_secret_hash,
+        downloads: row.download_count,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        items: items
+            .filter(item => item.collection_id === row.id)
+            .map(item => ({ configId: item.config_id, version: item.version }))
+    };
+}
+
+function toBlock(row) {
+    return {
+        type: row.kind,
+        value: row.value,
+        reason: row.reason,
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        expiresAt: row.expires_at
+    };
+}
+
+function countBy(rows, key) {
+    const counts = {};
+    rows.forEach(row => {
+        counts[row[key] || ''] = parseInt(row.count, 10);
+    });
+    return counts;
+}
+
+// Configs, downloads and points per category or uploader, most configs first
+function toBreakdown(rows, key, name) {
+    return rows.map(row => {
+        const configs = parseInt(row.count, 10);
+        const points = parseInt(row.points, 10);
+        return {
+            [name]: row[key] || '',
+            configs,
+            downloads: parseInt(row.downloads, 10),
+            points,
+            averagePoints: Math.round(points / configs * 10) / 10
+        };
+    });
+}
+
+function toStorage(row) {
+    return { count: parseInt(row.count, 10), dataSize: parseInt(row.data_size, 10), storedSize: parseInt(row.stored_size, 10) };
+}
+
+function createPostgresStore(pool, options = {}) {
+    const autoMigrate = options.autoMigrate !== false;
+    // Latest migration, known once init has checked the schema
+    let schemaVersion = null;
+
+    // work(client) between BEGIN and COMMIT, rolled back when it throws
+    async function transaction(work) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await work(client);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Collections with their items, in the order of rows
+    async function withItems(rows) {
+        const items = await pool.query(
+            'SELECT * FROM config_collection_items WHERE collection_id = ANY($1::int[]) ORDER BY collection_id, position',
+            [rows.map(row => row.id)]
+        );
+        return rows.map(row => toCollection(row, items.rows));
+    }
+
+    async function saveItems(client, id, items) {
+        await client.query('DELETE FROM config_collection_items WHERE collection_id = $1', [id]);
+        await client.query(
+            `INSERT INTO config_collection_items (collection_id, position, config_id, version)
+            SELECT $1, t.position, t.config_id, t.version
+            FROM unnest($2::int[], $3::text[]) WITH ORDINALITY AS t(config_id, version, position)`,
+            [id, items.map(item => item.configId), items.map(item => item.version)]
+        );
+    }
+
+    return {
+        name: 'postgres',
+
+        // Apply pending migrations. With auto-migrate off the schema has to
+        // be up to date already: the queries here only work on the latest one.
+        async init() {
+            const status = await migrate(pool, { apply: autoMigrate });
+            if (status.pending.length) {
+                throw new Error(`Database schema is behind (pending: ${status.pending.join(', ')}); run \`npm run migrate\``);
+            }
+            schemaVersion = status.latest;
+        },
+
+        async close() {
+            await pool.end();
+        },
+
+        // Readiness check: a round trip through the pool that also catches a
+        // schema migrated away from the one this code runs on
+        async ping() {
+            const result = await pool.query('SELECT MAX(version) AS version FROM schema_migrations');
+            if (result.rows[0].version !== schemaVersion) {
+                throw new Error(`database schema is at version ${result.rows[0].version}, expected ${schemaVersion}`);
+            }
+        },
+
+        // Connections in use and waiting for the metrics endpoint
+        poolStats() {
+            return {
+                total: pool.totalCount,
+                idle: pool.idleCount,
+                waiting: pool.waitingCount,
+                max: pool.options.max
+            };
+        },
+
+        // A fork passes parentId, parentVersion and parentHash (the parent's
+        // version and data hash it was copied from); the parent's fork count goes up.
+        // The entry, its first version and the fork count are written together.
+        async createEntry(fields) {
+            const { blob, size } = await compress(fields.data);
+            return transaction(async client => {
+                const result = await client.query(
+                    `INSERT INTO uploaded_files (filename, mimetype, data, data_encoding, data_size, description, category, uploader_name, point_count, config_name, version, owner_secret_hash, content_hash, parent_id, parent_version, parent_hash) VALUES ($1, $2, $3, 'gzip', $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15) RETURNING ${SUMMARY_COLUMNS}`,
+                    [
+                        fields.name,
+                        fields.mimetype,
+                        blob,
+                        size,
+                        fields.description,
+                        fields.category,
+                        fields.uploaderName,
+                        fields.pointCount,
+                        fields.configName,
+                        fields.version,
+                        fields.ownerSecretHash,
+                        fields.contentHash,
+                        fields.parentId || null,
+                        fields.parentVersion || null,
+                        fields.parentHash || null
+                    ]
+                );
+                const entry = toEntry(result.rows[0]);
+                await client.query(
+                    `INSERT INTO uploaded_files_versions (config_id, version, data, data_encoding, data_size, content_hash, created_at) VALUES ($1, $2, $3, 'gzip', $4, $5, $6)`,
+                    [entry.id, fields.version, blob, size, fields.contentHash, entry.uploadedAt]
+                );
+                if (fields.parentId) {
+                    await client.query('UPDATE uploaded_files SET fork_count = fork_count + 1 WHERE id = $1', [fields.parentId]);
+                }
+                return entry;
+            });
+        },
+
+        // Entry from a bulk import, keeping its timestamps, counts, changelog,
+        // stored versions and tags, all written together.
+        // With an `id` the row keeps that ID and the sequence moves past it.
+        async importEntry(fields) {
+            const { blob, size } = await compress(fields.data);
+            const values = {
+                filename: fields.name,
+                mimetype: fields.mimetype,
+                data: blob,
+                data_encoding: 'gzip',
+                data_size: size,
+                description: fields.description,
+                category: fields.category,
+                uploader_name: fields.uploaderName,
+                point_count: fields.pointCount,
+                config_name: fields.configName,
+                version: fields.version,
+                owner_secret_hash: fields.ownerSecretHash,
+                content_hash: fields.contentHash,
+                uploaded_at: fields.uploadedAt,
+                last_update: fields.lastUpdate,
+                last_changes: fields.lastChanges,
+                download_count: fields.downloads,
+                legacy_id: fields.legacyId,
+                status: fields.status,
+                parent_id: fields.parentId,
+                parent_version: fields.parentVersion,
+                parent_hash: fields.parentHash,
+                fork_count: fields.forkCount || 0
+            };
+            if (fields.id) {
+                values.id = fields.id;
+            }
+            const columns = Object.keys(values);
+            const versions = await Promise.all(fields.versions.map(async item => ({ ...item, ...await compress(item.data) })));
+            return transaction(async client => {
+                const result = await client.query(
+                    `INSERT INTO uploaded_files (${columns.join(', ')}) VALUES (${columns.map((column, i) => `$${i + 1}`).join(', ')}) RETURNING ${SUMMARY_COLUMNS}`,
+                    Object.values(values)
+                );
+                if (fields.id) {
+                    await client.query(`SELECT setval(pg_get_serial_sequence('uploaded_files', 'id'), (SELECT MAX(id) FROM uploaded_files))`);
+                }
+                const entry = toEntry(result.rows[0]);
+                for (const item of versions) {
+                    await client.query(
+                        `INSERT INTO uploaded_files_versions (config_id, version, data, data_encoding, data_size, changes, content_hash, created_at) VALUES ($1, $2, $3, 'gzip', $4, $5, $6, $7)`,
+                        [entry.id, item.version, item.blob, item.size, item.changes, item.contentHash, item.createdAt]
+                    );
+                }
+                for (const item of fields.tags) {
+                    await client.query(
+                        'INSERT INTO config_tags (config_id, tag, version, updated_at) VALUES ($1, $2, $3, $4)',
+                        [entry.id, item.tag, item.version, item.updatedAt]
+                    );
+                }
+                for (const item of fields.changelog) {
+                    await client.query(
+                        'INSERT INTO uploaded_files_changelog (config_id, version, date, changes) VALUES ($1, $2, $3, $4)',
+                        [entry.id, item.version, item.date, item.changes]
+                    );
+                }
+                return entry;
+            });
+        },
+
+        // Full entries (with data) in ID order, for exports
+        async exportEntries({ afterId, limit }) {
+            const result = await pool.query(
+                'SELECT *, LENGTH(data) AS stored_size FROM uploaded_files WHERE id > $1 ORDER BY id LIMIT $2',
+                [afterId, limit]
+            );
+            return Promise.all(result.rows.map(async row => ({ ...toEntry(row), data: await decodeData(row) })));
+        },
+
+        async findEntryByLegacyId(legacyId) {
+            const result = await pool.query(`SELECT ${SUMMARY_COLUMNS} FROM uploaded_files WHERE legacy_id = $1`, [legacyId]);
+            return result.rows.length ? toEntry(result.rows[0]) : null;
+        },
+
+        async findEntryByHash(contentHash, { includeHidden = true } = {}) {
+            const result = await pool.query(
+                `SELECT ${SUMMARY_COLUMNS} FROM uploaded_files WHERE content_hash = $1 ${includeHidden ? '' : "AND status <> 'hidden'"} ORDER BY uploaded_at LIMIT 1`,
+                [contentHash]
+            );
+            return result.rows.length ? toEntry(result.rows[0]) : null;
+        },
+
+        async getEntry(id) {
+            const result = await pool.query('SELECT *, LENGTH(data) AS stored_size FROM uploaded_files WHERE id = $1', [id]);
+            if (result.rows.length === 0) {
+                return null;
+            }
+            return { ...toEntry(result.rows[0]), data: await decodeData(result.rows[0]) };
+        },
+
+        // One page of entries with the total in a single query. `after` ({ key, id }
+        // from a cursor) continues after that entry instead of skipping `offset`
+        // rows. Each entry has its `sortKey` for the next cursor.
+        async listEntries({ limit, offset = 0, sort = 'newest', order, after, ...filters }) {
+            const spec = LIST_SORTS[sort];
+            if (!spec) {
+                throw new Error(`Unknown sort: ${sort}`);
+            }
+            if (after && after.key.length !== spec.keys.length) {
+                throw invalidCursor();
+            }
+            const direction = (order || spec.order) === 'asc' ? 'ASC' : 'DESC';
+            const params = [];
+            const conditions = filterConditions(filters, params);
+            const where = conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '';
+            const columns = [...spec.keys.map(([expression]) => expression), 'id'];
+            const pageConditions = [...conditions];
+            if (after) {
+                params.push(...after.key.map(String), after.id);
+                const start = params.length - columns.length;
+                const values = spec.keys.map(([, type], i) => `$${start + i + 1}::${type}`);
+                pageConditions.push(`(${columns.join(', ')}) ${direction === 'ASC' ? '>' : '<'} (${values.join(', ')}, $${params.length})`);
+            }
+            const pageWhere = pageConditions.length ? ` WHERE ${pageConditions.join(' AND ')}` : '';
+            let result;
+            try {
+                result = await pool.query(
+                    `SELECT page.*, counted.total
+                    FROM (SELECT COUNT(*) AS total FROM uploaded_files${where}) counted
+                    LEFT JOIN LATERAL (
+                        SELECT ${SUMMARY_COLUMNS}, ARRAY[${spec.keys.map(([expression]) => `(${expression})::text`).join(', ')}] AS sort_key
+                        FROM uploaded_files${pageWhere}
+                        ORDER BY ${columns.map(column => `${column} ${direction}`).join(', ')}
+                        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+                    ) page ON TRUE`,
+                    [...params, limit, after ? 0 : offset]
+                );
+            } catch (error) {
+                if (after && CURSOR_CAST_ERRORS.includes(error.code)) {
+                    throw invalidCursor();
+                }
+                throw error;
+            }
+            return {
+                entries: result.rows.filter(row => row.id !== null).map(row => ({ ...toEntry(row), sortKey: row.sort_key })),
+                total: parseInt(result.rows[0].total, 10)
+            };
+        },
+
+        // Ranked full-text search over search_vector (see migration 004)
+        async searchEntries({ terms, limit, offset, ...filters }) {
+            const params = [toTsQuery(terms)];
+            const conditions = ['search_vector @@ query', ...filterConditions(filters, params)];
+            const where = conditions.join(' AND ');
+            const result = await pool.query(
+                `SELECT ${SUMMARY_COLUMNS},
+                    ts_rank(search_vector, query) AS rank,
+                    ts_headline('simple', ${escapedHtml('filename')}, query, '${NAME_HEADLINE}') AS name_highlight,
+                    ts_headline('simple', ${escapedHtml('description')}, query, '${DESCRIPTION_HEADLINE}') AS description_highlight,
+                    COUNT(*) OVER () AS total
+                FROM uploaded_files, to_tsquery('simple', $1) AS query
+                WHERE ${where}
+                ORDER BY rank DESC, uploaded_at DESC
+                LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                [...params, limit, offset]
+            );
+            let total = result.rows.length ? parseInt(result.rows[0].total, 10) : 0;
+            if (!result.rows.length && offset > 0) {
+                // Paged past the end, so the window count isn't available
+                const countResult = await pool.query(
+                    `SELECT COUNT(*) FROM uploaded_files, to_tsquery('simple', $1) AS query WHERE ${where}`,
+                    params
+                );
+                total = parseInt(countResult.rows[0].count, 10);
+            }
+            return {
+                entries: result.rows.map(row => ({
+                    ...toEntry(row),
+                    rank: Number(row.rank),
+                    highlights: {
+                        name: row.name_highlight,
+                        description: row.description_highlight
+                    }
+                })),
+                total
+            };
+        },
+
+        // Count a download unless this client already had one counted within the window
+        async recordDownload(id, clientHash, windowMs) {
+            const result = await pool.query(
+                `INSERT INTO download_events (config_id, client_hash)
+                SELECT $1, $2
+                WHERE NOT EXISTS (
+                    SELECT 1 FROM download_events
+                    WHERE config_id = $1 AND client_hash = $2 AND downloaded_at > NOW() - $3 * INTERVAL '1 millisecond'
+                )
+                RETURNING id`,
+                [id, clientHash, windowMs]
+            );
+            if (result.rows.length === 0) {
+                return false;
+            }
+            await pool.query('UPDATE uploaded_files SET download_count = download_count + 1 WHERE id = $1', [id]);
+            return true;
+        },
+
+        // Entries ranked by downloads since `since`, each one decaying by half every halfLifeMs
+        async getTrending({ since, halfLifeMs, limit, category, status }) {
+            const params = [since, halfLifeMs / 1000];
+            const conditions = filterConditions({ category, status }, params);
+            const where = conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '';
+            const result = await pool.query(
+                `SELECT ${SUMMARY_COLUMNS}, t.recent_downloads, t.score
+                FROM (
+                    SELECT config_id, COUNT(*) AS recent_downloads,
+                        SUM(POWER(0.5, EXTRACT(EPOCH FROM NOW() - downloaded_at) / $2)) AS score
+                    FROM download_events
+                    WHERE downloaded_at > $1
+                    GROUP BY config_id
+                ) t
+                JOIN uploaded_files f ON f.id = t.config_id${where}
+                ORDER BY t.score DESC, download_count DESC
+                LIMIT $${params.length + 1}`,
+                [...params, limit]
+            );
+            return result.rows.map(row => ({
+                ...toEntry(row),
+                recentDownloads: parseInt(row.recent_downloads, 10),
+                score: Math.round(Number(row.score) * 1000) / 1000
+            }));
+        },
+
+        // One rating per rater; rating again replaces the earlier one
+        async rateEntry(id, raterHash, rating) {
+            await pool.query(
+                `INSERT INTO config_ratings (config_id, rater_hash, rating) VALUES ($1, $2, $3)
+                ON CONFLICT (config_id, rater_hash) DO UPDATE SET rating = EXCLUDED.rating, rated_at = NOW()`,
+                [id, raterHash, rating]
+            );
+            const result = await pool.query(
+                `UPDATE uploaded_files SET rating_average = s.average, rating_count = s.count
+                FROM (SELECT AVG(rating) AS average, COUNT(*) AS count FROM config_ratings WHERE config_id = $1) s
+                WHERE id = $1
+                RETURNING rating_average, rating_count`,
+                [id]
+            );
+            return toEntry(result.rows[0]).rating;
+        },
+
+        async addComment(id, { author, text, secretHash }) {
+            const result = await pool.query(
+                'INSERT INTO config_comments (config_id, author, body, secret_hash) VALUES ($1, $2, $3, $4) RETURNING *',
+                [id, author, text, secretHash]
+            );
+            await pool.query('UPDATE uploaded_files SET comment_count = comment_count + 1 WHERE id = $1', [id]);
+            return toComment(result.rows[0]);
+        },
+
+        async listComments(id, { limit, offset }) {
+            const result = await pool.query(
+                'SELECT *, COUNT(*) OVER () AS total FROM config_comments WHERE config_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2 OFFSET $3',
+                [id, limit, offset]
+            );
+            let total = result.rows.length ? parseInt(result.rows[0].total, 10) : 0;
+            if (!result.rows.length && offset > 0) {
+                const countResult = await pool.query('SELECT COUNT(*) FROM config_comments WHERE config_id = $1', [id]);
+                total = parseInt(countResult.rows[0].count, 10);
+            }
+            return { comments: result.rows.map(toComment), total };
+        },
+
+        async getComment(id, commentId) {
+            const result = await pool.query('SELECT * FROM config_comments WHERE config_id = $1 AND id = $2', [id, commentId]);
+            return result.rows.length ? toComment(result.rows[0]) : null;
+        },
+
+        async deleteComment(id, commentId) {
+            const result = await pool.query('DELETE FROM config_comments WHERE config_id = $1 AND id = $2', [id, commentId]);
+            if (result.rowCount === 0) {
+                return false;
+            }
+            await pool.query('UPDATE uploaded_files SET comment_count = GREATEST(comment_count - 1, 0) WHERE id = $1', [id]);
+            return true;
+        },
+
+        // Stats only count visible configs
+        // `activity` is the range of the uploads and updates series
+        // ({ from, to, interval } in whole buckets)
+        async getStats({ activity, topUploaders }) {
+            const groupBy = column => pool.query(`
+                SELECT ${column}, COUNT(*), SUM(download_count) AS downloads, SUM(point_count) AS points
+                FROM uploaded_files WHERE status = 'visible'
+                GROUP BY ${column} ORDER BY COUNT(*) DESC, SUM(download_count) DESC, ${column}
+            `);
+            const storage = table => pool.query(`SELECT COUNT(*), COALESCE(SUM(data_size), 0) AS data_size, COALESCE(SUM(LENGTH(data)), 0) AS stored_size FROM ${table}`);
+            // Counts per bucket start, in UTC like lib/stats
+            const countByBucket = async (sql, params) => {
+                const result = await pool.query(sql, params);
+                return Object.fromEntries(result.rows.map(row => [row.bucket, parseInt(row.count, 10)]));
+            };
+            const range = [activity.from, activity.to, activity.interval];
+
+            const totalResult = await pool.query(`SELECT COUNT(*), COALESCE(SUM(point_count), 0) AS points FROM uploaded_files WHERE status = 'visible'`);
+            const categoryResult = await groupBy('category');
+            const uploaderResult = await groupBy('uploader_name');
+            const recentResult = await pool.query(`SELECT ${SUMMARY_COLUMNS} FROM uploaded_files WHERE status = 'visible' ORDER BY uploaded_at DESC LIMIT 5`);
+            const collectionResult = await pool.query('SELECT COUNT(*) FROM config_collections');
+            const configs = toStorage((await storage('uploaded_files')).rows[0]);
+            const versions = toStorage((await storage('uploaded_files_versions')).rows[0]);
+            const uploads = await countByBucket(`
+                SELECT to_char(date_trunc($3, uploaded_at AT TIME ZONE 'UTC'), 'YYYY-MM-DD') AS bucket, COUNT(*)
+                FROM uploaded_files
+                WHERE status = 'visible' AND uploaded_at >= $1 AND uploaded_at < $2
+                GROUP BY bucket
+            `, range);
+            const updates = await countByBucket(`
+                SELECT to_char(date_trunc($3, c.date AT TIME ZONE 'UTC'), 'YYYY-MM-DD') AS bucket, COUNT(*)
+                FROM uploaded_files_changelog c JOIN uploaded_files f ON f.id = c.config_id
+                WHERE f.status = 'visible' AND c.date >= $1 AND c.date < $2
+                GROUP BY bucket
+            `, range);
+
+            const totalEntries = parseInt(totalResult.rows[0].count, 10);
+            const points = parseInt(totalResult.rows[0].points, 10);
+            return {
+                totalEntries,
+                totalCollections: parseInt(collectionResult.rows[0].count, 10),
+                categories: countBy(categoryResult.rows, 'category'),
+                topUploaders: countBy(uploaderResult.rows.slice(0, topUploaders), 'uploader_name'),
+                recentUploads: recentResult.rows.map(toEntry),
+                points: { total: points, average: totalEntries ? Math.round(points / totalEntries * 10) / 10 : 0 },
+                breakdown: {
+                    categories: toBreakdown(categoryResult.rows, 'category', 'category'),
+                    uploaders: toBreakdown(uploaderResult.rows.slice(0, topUploaders), 'uploader_name', 'uploaderName')
+                },
+                storage: { configs, versions, storedSize: configs.storedSize + versions.storedSize },
+                activity: fillBuckets(activity, uploads, updates)
+            };
+        },
+
+        // Maintenance: delete rows of configs that no longer exist (left by
+        // deletes before they cleaned up after themselves). Reports and the
+        // moderation log are kept. Returns the number deleted per table.
+        async purgeOrphans() {
+            const counts = {};
+            for (const [name, table] of Object.entries(CONFIG_TABLES)) {
+                const result = await pool.query(`DELETE FROM ${table} t WHERE NOT EXISTS (SELECT 1 FROM uploaded_files f WHERE f.id = t.config_id)`);
+                counts[name] = result.rowCount;
+            }
+            return counts;
+        },
+
+        // Maintenance: delete update tokens and blocks that expired before `now`
+        async purgeExpired(now) {
+            const tokens = await pool.query('DELETE FROM update_tokens WHERE expires_at <= $1', [now]);
+            const blocks = await pool.query('DELETE FROM blocked_clients WHERE expires_at <= $1', [now]);
+            return { updateTokens: tokens.rowCount, blocks: blocks.rowCount };
+        },
+
+        // Maintenance: delete download events older than `before`, which
+        // neither trending nor the repeat download check look at any more
+        async pruneDownloadEvents(before) {
+            const result = await pool.query('DELETE FROM download_events WHERE downloaded_at < $1', [before]);
+            return result.rowCount;
+        },
+
+        // Forks of a deleted entry keep their parent_id, so their ancestry
+        // shows where the chain was cut
+        async deleteEntry(id) {
+            return transaction(async client => {
+                const result = await client.query('DELETE FROM uploaded_files WHERE id = $1 RETURNING parent_id', [id]);
+                if (result.rowCount === 0) {
+                    return false;
+                }
+                if (result.rows[0].parent_id) {
+                    await client.query('UPDATE uploaded_files SET fork_count = GREATEST(fork_count - 1, 0) WHERE id = $1', [result.rows[0].parent_id]);
+                }
+                await client.query('DELETE FROM uploaded_files_versions WHERE config_id = $1', [id]);
+                await client.query('DELETE FROM uploaded_files_changelog WHERE config_id = $1', [id]);
+                await client.query('DELETE FROM config_tags WHERE config_id = $1', [id]);
+                await client.query('DELETE FROM config_ratings WHERE config_id = $1', [id]);
+                await client.query('DELETE FROM config_comments WHERE config_id = $1', [id]);
+                return true;
+            });
+        },
+
+        // New version of a config in one transaction: the row is locked while
+        // the next version is planned and stays locked until everything is
+        // written. plan(currentVersion, storedVersions) returns { version,
+        // prerelease, tags } or { error }; a pre-release is only added to the
+        // version history (and its tags), not made the config's current data.
+        // precondition({ version, contentHash }) can refuse a stale write.
+        // Returns the plan, { conflict: current }, { error, current } or null
+        // when the config doesn't exist.
+        async updateEntry(id, { data, plan, precondition, changes, pointCount, contentHash }) {
+            const { blob, size } = await compress(data);
+            const client = await pool.connect();
+            try {
+                await client.query('BEGIN');
+                const current = await client.query('SELECT version, content_hash FROM uploaded_files WHERE id = $1 FOR UPDATE', [id]);
+                if (!current.rows.length) {
+                    await client.query('ROLLBACK');
+                    return null;
+                }
+                const row = { version: current.rows[0].version || '', contentHash: current.rows[0].content_hash };
+                if (precondition && !precondition(row)) {
+                    await client.query('ROLLBACK');
+                    return { conflict: row };
+                }
+                const stored = await client.query('SELECT DISTINCT version FROM uploaded_files_versions WHERE config_id = $1', [id]);
+                const next = plan(row.version, stored.rows.map(r => r.version));
+                if (next.error) {
+                    await client.query('ROLLBACK');
+                    return { error: next.error, current: row };
+                }
+                const { version } = next;
+                if (!next.prerelease) {
+                    await client.query(
+                        `UPDATE uploaded_files SET data = $1, data_encoding = 'gzip', data_size = $2, version = $3, last_update = NOW(), last_changes = $4, point_count = $5, content_hash = $6 WHERE id = $7`,
+                        [blob, size, version, changes, pointCount, contentHash, id]
+                    );
+                    await client.query(
+                        'INSERT INTO uploaded_files_changelog (config_id, version, date, changes) VALUES ($1, $2, NOW(), $3)',
+                        [id, version, changes]
+                    );
+                }
+                await client.query(
+                    `INSERT INTO uploaded_files_versions (config_id, version, data, data_encoding, data_size, changes, content_hash) VALUES ($1, $2, $3, 'gzip', $4, $5, $6)`,
+                    [id, version, blob, size, changes, contentHash]
+                );
+                for (const tag of next.tags || []) {
+                    await client.query(
+                        `INSERT INTO config_tags (config_id, tag, version) VALUES ($1, $2, $3)
+                        ON CONFLICT (config_id, tag) DO UPDATE SET version = EXCLUDED.version, updated_at = NOW()`,
+                        [id, tag, version]
+                    );
+                }
+                await client.query('COMMIT');
+                return next;
+            } catch (error) {
+                await client.query('ROLLBACK').catch(() => {});
+                throw error;
+            } finally {
+                client.release();
+            }
+        },
+
+        // Record which of the parent's versions a fork now matches (after pulling it)
+        async setForkSource(id, { parentVersion, parentHash }) {
+            await pool.query('UPDATE uploaded_files SET parent_version = $1, parent_hash = $2 WHERE id = $3', [parentVersion, parentHash, id]);
+        },
+
+        // Existing ancestors of a config, parent first, up to maxDepth of them.
+        // The chain stops early at an ancestor that was deleted.
+        async getAncestry(id, maxDepth) {
+            const result = await pool.query(
+                `WITH RECURSIVE chain AS (
+                    SELECT id, parent_id AS next_id, 0 AS depth FROM uploaded_files WHERE id = $1
+                    UNION ALL
+                    SELECT f.id, f.parent_id, chain.depth + 1 FROM uploaded_files f JOIN chain ON f.id = chain.next_id
+                    WHERE chain.depth < $2
+                )
+                SELECT ${SUMMARY_COLUMNS} FROM chain JOIN uploaded_files USING (id) WHERE depth > 0 ORDER BY depth`,
+                [id, maxDepth]
+            );
+            return result.rows.map(toEntry);
+        },
+
+        async listVersions(id) {
+            const result = await pool.query(
+                'SELECT version, changes, created_at, content_hash, data_size, LENGTH(data) AS stored_size FROM uploaded_files_versions WHERE config_id = $1 ORDER BY created_at DESC, id DESC',
+                [id]
+            );
+            return result.rows.map(row => ({
+                version: row.version,
+                changes: row.changes,
+                createdAt: row.created_at,
+                contentHash: row.content_hash,
+                size: row.data_size,
+                storedSize: parseInt(row.stored_size, 10)
+            }));
+        },
+
+        // Latest stored data for a version string (versions can repeat in old data)
+        async getVersion(id, version) {
+            const result = await pool.query(
+                'SELECT version, data, data_encoding, changes, created_at, content_hash FROM uploaded_files_versions WHERE config_id = $1 AND version = $2 ORDER BY created_at DESC, id DESC LIMIT 1',
+                [id, version]
+            );
+            if (result.rows.length === 0) {
+                return null;
+            }
+            const row = result.rows[0];
+            return {
+                version: row.version,
+                data: await decodeData(row),
+                changes: row.changes,
+                createdAt: row.created_at,
+                contentHash: row.content_hash
+            };
+        },
+
+        // Tags of a config by name, as [{ tag, version, updatedAt }]
+        async listTags(id) {
+            const result = await pool.query('SELECT tag, version, updated_at FROM config_tags WHERE config_id = $1 ORDER BY tag', [id]);
+            return result.rows.map(row => ({ tag: row.tag, version: row.version, updatedAt: row.updated_at }));
+        },
+
+        // Version a tag points to, or null
+        async getTag(id, tag) {
+            const result = await pool.query('SELECT version FROM config_tags WHERE config_id = $1 AND tag = $2', [id, tag]);
+            return result.rows.length ? result.rows[0].version : null;
+        },
+
+        async setTag(id, tag, version) {
+            await pool.query(
+                `INSERT INTO config_tags (config_id, tag, version) VALUES ($1, $2, $3)
+                ON CONFLICT (config_id, tag) DO UPDATE SET version = EXCLUDED.version, updated_at = NOW()`,
+                [id, tag, version]
+            );
+        },
+
+        async deleteTag(id, tag) {
+            const result = await pool.query('DELETE FROM config_tags WHERE config_id = $1 AND tag = $2', [id, tag]);
+            return result.rowCount > 0;
+        },
+
+        // Summary, stored versions (oldest first) and changelog (newest first)
+        // of each existing config among ids, for update checks
+        async getUpdateHistory(ids) {
+            const entries = await pool.query(`SELECT ${SUMMARY_COLUMNS} FROM uploaded_files WHERE id = ANY($1::bigint[])`, [ids]);
+            const versions = await pool.query(
+                'SELECT config_id, version, content_hash, created_at FROM uploaded_files_versions WHERE config_id = ANY($1::bigint[]) ORDER BY created_at, id',
+                [ids]
+            );
+            const changelog = await pool.query(
+                'SELECT config_id, version, date, changes FROM uploaded_files_changelog WHERE config_id = ANY($1::bigint[]) ORDER BY date DESC',
+                [ids]
+            );
+            return entries.rows.map(row => ({
+                entry: toEntry(row),
+                versions: versions.rows
+                    .filter(v => v.config_id === row.id)
+                    .map(v => ({ version: v.version, contentHash: v.content_hash, createdAt: v.created_at })),
+                changelog: changelog.rows
+                    .filter(c => c.config_id === row.id)
+                    .map(({ version, date, changes }) => ({ version, date, changes }))
+            }));
+        },
+
+        async getChangelog(id) {
+            const result = await pool.query(
+                'SELECT version, date, changes FROM uploaded_files_changelog WHERE config_id = $1 ORDER BY date DESC',
+                [id]
+            );
+            return result.rows;
+        },
+
+        async saveUpdateToken(id, tokenHash, expiresAt) {
+            await pool.query(
+                'INSERT INTO update_tokens (token_hash, config_id, expires_at) VALUES ($1, $2, $3)',
+                [tokenHash, id, expiresAt]
+            );
+        },
+
+        // Deletes the token as it is checked so it can only be used once
+        async consumeUpdateToken(id, tokenHash) {
+            const result = await pool.query(
+                'DELETE FROM update_tokens WHERE token_hash = $1 AND config_id = $2 RETURNING expires_at',
+                [tokenHash, id]
+            );
+            return result.rows.length > 0 && new Date(result.rows[0].expires_at) > new Date();
+        },
+
+        async setEntryStatus(id, status) {
+            const result = await pool.query('UPDATE uploaded_files SET status = $1 WHERE id = $2', [status, id]);
+            return result.rowCount > 0;
+        },
+
+        async findOpenReport(id, reporterHash) {
+            const result = await pool.query(
+                'SELECT * FROM config_reports WHERE config_id = $1 AND reporter_hash = $2 AND resolved_at IS NULL',
+                [id, reporterHash]
+            );
+            return result.rows.length ? toReport(result.rows[0]) : null;
+        },
+
+        // Returns the report and how many open reports the config now has
+        async addReport(id, { reason, details, reporterHash }) {
+            const result = await pool.query(
+                'INSERT INTO config_reports (config_id, reason, details, reporter_hash) VALUES ($1, $2, $3, $4) RETURNING *',
+                [id, reason, details, reporterHash]
+            );
+            const countResult = await pool.query(
+                'SELECT COUNT(*) FROM config_reports WHERE config_id = $1 AND resolved_at IS NULL',
+                [id]
+            );
+            return { report: toReport(result.rows[0]), openReports: parseInt(countResult.rows[0].count, 10) };
+        },
+
+        // Open (or resolved) reports, newest first, each with its config's summary
+        async listReports({ resolved = false, limit, offset }) {
+            const result = await pool.query(
+                `SELECT r.*, COUNT(*) OVER () AS total FROM config_reports r
+                WHERE resolved_at IS ${resolved ? 'NOT NULL' : 'NULL'}
+                ORDER BY created_at DESC, id DESC LIMIT $1 OFFSET $2`,
+                [limit, offset]
+            );
+            let total = result.rows.length ? parseInt(result.rows[0].total, 10) : 0;
+            if (!result.rows.length && offset > 0) {
+                const countResult = await pool.query(`SELECT COUNT(*) FROM config_reports WHERE resolved_at IS ${resolved ? 'NOT NULL' : 'NULL'}`);
+                total = parseInt(countResult.rows[0].count, 10);
+            }
+            const ids = [...new Set(result.rows.map(row => row.config_id))];
+            const entries = await pool.query(`SELECT ${SUMMARY_COLUMNS} FROM uploaded_files WHERE id = ANY($1::int[])`, [ids]);
+            const byId = new Map(entries.rows.map(row => [row.id, toEntry(row)]));
+            return {
+                reports: result.rows.map(row => ({ ...toReport(row), entry: byId.get(row.config_id) || null })),
+                total
+            };
+        },
+
+        // Close every open report on a config; returns how many were closed
+        async resolveReports(id, { resolution, resolvedBy }) {
+            const result = await pool.query(
+                'UPDATE config_reports SET resolved_at = NOW(), resolved_by = $1, resolution = $2 WHERE config_id = $3 AND resolved_at IS NULL',
+                [resolvedBy, resolution, id]
+            );
+            return result.rowCount;
+        },
+
+        async addModerationLog({ configId, action, actor, reason, details }) {
+            await pool.query(
+                'INSERT INTO moderation_log (config_id, action, actor, reason, details) VALUES ($1, $2, $3, $4, $5)',
+                [configId, action, actor, reason, details ? JSON.stringify(details) : null]
+            );
+        },
+
+        async listModerationLog({ configId, limit, offset }) {
+            const params = [];
+            let where = '';
+            if (configId) {
+                params.push(configId);
+                where = ' WHERE config_id = $1';
+            }
+            const result = await pool.query(
+                `SELECT *, COUNT(*) OVER () AS total FROM moderation_log${where} ORDER BY created_at DESC, id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                [...params, limit, offset]
+            );
+            let total = result.rows.length ? parseInt(result.rows[0].total, 10) : 0;
+            if (!result.rows.length && offset > 0) {
+                const countResult = await pool.query(`SELECT COUNT(*) FROM moderation_log${where}`, params);
+                total = parseInt(countResult.rows[0].count, 10);
+            }
+            return { entries: result.rows.map(toLogEntry), total };
+        },
+
+        // items are [{ configId, version }] in collection order
+        async createCollection({ name, description, uploaderName, ownerSecretHash, items }) {
+            const result = await transaction(async client => {
+                const inserted = await client.query(
+                    'INSERT INTO config_collections (name, description, uploader_name, owner_secret_hash) VALUES ($1, $2, $3, $4) RETURNING *',
+                    [name, description, uploaderName, ownerSecretHash]
+                );
+                await saveItems(client, inserted.rows[0].id, items);
+                return inserted;
+            });
+            return (await withItems(result.rows))[0];
+        },
+
+        async getCollection(id) {
+            const result = await pool.query('SELECT * FROM config_collections WHERE id = $1', [id]);
+            return result.rows.length ? (await withItems(result.rows))[0] : null;
+        },
+
+        // Fields left undefined keep their value; items replace the whole list
+        async updateCollection(id, { name, description, items }) {
+            const result = await transaction(async client => {
+                const updated = await client.query(
+                    'UPDATE config_collections SET name = COALESCE($1, name), description = COALESCE($2, description), updated_at = NOW() WHERE id = $3 RETURNING *',
+                    [name, description, id]
+                );
+                if (updated.rowCount > 0 && items) {
+                    await saveItems(client, id, items);
+                }
+                return updated;
+            });
+            if (result.rowCount === 0) {
+                return null;
+            }
+            return (await withItems(result.rows))[0];
+        },
+
+        async deleteCollection(id) {
+            return transaction(async client => {
+                const result = await client.query('DELETE FROM config_collections WHERE id = $1', [id]);
+                if (result.rowCount === 0) {
+                    return false;
+                }
+                await client.query('DELETE FROM config_collection_items WHERE collection_id = $1', [id]);
+                return true;
+            });
+        },
+
+        async listCollections({ limit, offset }) {
+            const result = await pool.query(
+                'SELECT *, COUNT(*) OVER () AS total FROM config_collections ORDER BY created_at DESC, id DESC LIMIT $1 OFFSET $2',
+                [limit, offset]
+            );
+            let total = result.rows.length ? parseInt(result.rows[0].total, 10) : 0;
+            if (!result.rows.length && offset > 0) {
+                const countResult = await pool.query('SELECT COUNT(*) FROM config_collections');
+                total = parseInt(countResult.rows[0].count, 10);
+            }
+            return { collections: await withItems(result.rows), total };
+        },
+
+        // Ranked full-text search over name, uploader and description (see migration 013)
+        async searchCollections({ terms, limit, offset }) {
+            const result = await pool.query(
+                `SELECT c.*,
+                    ts_rank(search_vector, query) AS rank,
+                    ts_headline('simple', ${escapedHtml('name')}, query, '${NAME_HEADLINE}') AS name_highlight,
+                    ts_headline('simple', ${escapedHtml('description')}, query, '${DESCRIPTION_HEADLINE}') AS description_highlight,
+                    COUNT(*) OVER () AS total
+                FROM config_collections c, to_tsquery('simple', $1) AS query
+                WHERE search_vector @@ query
+                ORDER BY rank DESC, created_at DESC
+                LIMIT $2 OFFSET $3`,
+                [toTsQuery(terms), limit, offset]
+            );
+            let total = result.rows.length ? parseInt(result.rows[0].total, 10) : 0;
+            if (!result.rows.length && offset > 0) {
+                const countResult = await pool.query(
+                    `SELECT COUNT(*) FROM config_collections, to_tsquery('simple', $1) AS query WHERE search_vector @@ query`,
+                    [toTsQuery(terms)]
+                );
+                total = parseInt(countResult.rows[0].count, 10);
+            }
+            const collections = await withItems(result.rows);
+            return {
+                collections: collections.map((collection, i) => ({
+                    ...collection,
+                    rank: Number(result.rows[i].rank),
+                    highlights: {
+                        name: result.rows[i].name_highlight,
+                        description: result.rows[i].description_highlight
+                    }
+                })),
+                total
+            };
+        },
+
+        async recordCollectionDownload(id) {
+            await pool.query('UPDATE config_collections SET download_count = download_count + 1 WHERE id = $1', [id]);
+        },
+
+        // Blocking the same value again replaces the earlier block
+        async saveBlock({ type, value, reason, createdBy, expiresAt }) {
+            const result = await pool.query(
+                `INSERT INTO blocked_clients (kind, value, reason, created_by, expires_at) VALUES ($1, $2, $3, $4, $5)
+                ON CONFLICT (kind, value) DO UPDATE SET reason = EXCLUDED.reason, created_by = EXCLUDED.created_by, created_at = NOW(), expires_at = EXCLUDED.expires_at
+                RETURNING *`,
+                [type, value, reason, createdBy, expiresAt]
+            );
+            return toBlock(result.rows[0]);
+        },
+
+        async removeBlock(type, value) {
+            const result = await pool.query('DELETE FROM blocked_clients WHERE kind = $1 AND value = $2', [type, value]);
+            return result.rowCount > 0;
+        },
+
+        async listBlocks() {
+            const result = await pool.query(
+                'SELECT * FROM blocked_clients WHERE expires_at IS NULL OR expires_at > NOW() ORDER BY created_at DESC'
+            );
+            return result.rows.map(toBlock);
+        },
+
+        // First active block matching any of the [{ type, value }] targets
+        async findBlock(targets) {
+            if (targets.length === 0) {
+                return null;
+            }
+            const params = [];
+            const matches = targets.map(({ type, value }) => {
+                params.push(type, value);
+                return `(kind = $${params.length - 1} AND value = $${params.length})`;
+            });
+            const result = await pool.query(
+                `SELECT * FROM blocked_clients WHERE (${matches.join(' OR ')}) AND (expires_at IS NULL OR expires_at > NOW()) LIMIT 1`,
+                params
+            );
+            return result.rows.length ? toBlock(result.rows[0]) : null;
+        }
+    };
+}
+
+module.exports = { createPostgresStore };
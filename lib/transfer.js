@@ -0,0 +1,348 @@
+// Bulk export and import of configs.
+//
+// Exports are NDJSON: a header line, then one `config` line per entry with
+// its data, changelog, every stored version (with its data) and tags, so
+// rollbacks, diffs and version/tag downloads work after an import. Ratings,
+// comments, download events, reports and collections are not included.
+// Imports read the same lines (version 1 exports have no versions or tags;
+// the current data becomes the only version), or entries in
+// the legacy storage/database.json format written by the old index.js
+// (string IDs, `uploadDate`, `dataSize`). Exported configs keep their IDs;
+// legacy entries get new ones and keep the old ID as `legacyId`, which is how
+// a second import of the same file is recognized.
+//
+// From the command line (storage is picked as for the server):
+//   npm run export -- [file]              NDJSON to the file or stdout
+//   npm run import -- <file> [--dry-run]  .ndjson/.jsonl, or a database.json
+const fs = require('fs');
+const readline = require('readline');
+const { inspectData, dataToString, contentHash } = require('./bbg-data');
+const { FORMATS } = require('./schema');
+const { ENTRY_STATUSES } = require('./moderation');
+const { INITIAL_VERSION } = require('./semver');
+const { isLegacyRecord } = require('./legacy');
+
+const EXPORT_FORMAT = 'bbg-data-export';
+const EXPORT_VERSION = 2;
+const EXPORT_BATCH_SIZE = 50;
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function text(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+function toIsoDate(value) {
+    const date = new Date(value);
+    return value && !isNaN(date) ? date.toISOString() : null;
+}
+
+// Header line, then one record per config in ID order, fetched in batches
+async function* exportRecords(store) {
+    yield {
+        type: 'header',
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        storage: store.name,
+        exportedAt: new Date().toISOString()
+    };
+    let afterId = 0;
+    for (;;) {
+        const entries = await store.exportEntries({ afterId, limit: EXPORT_BATCH_SIZE });
+        if (entries.length === 0) {
+            return;
+        }
+        for (const entry of entries) {
+            const changelog = await store.getChangelog(entry.id);
+            const versions = [];
+            for (const { version } of (await store.listVersions(entry.id)).reverse()) {
+                const stored = await store.getVersion(entry.id, version);
+                versions.push({
+                    version,
+                    changes: stored.changes || null,
+                    createdAt: stored.createdAt,
+                    contentHash: stored.contentHash,
+                    data: dataToString(stored.data)
+                });
+            }
+            const tags = await store.listTags(entry.id);
+            yield {
+                type: 'config',
+                id: entry.id,
+                legacyId: entry.legacyId || null,
+                name: entry.name,
+                description: entry.description,
+                category: entry.category,
+                uploaderName: entry.uploaderName,
+                configName: entry.configName,
+                version: entry.version,
+                pointCount: entry.pointCount,
+                downloads: entry.downloads || 0,
+                status: entry.status || 'visible',
+                parentId: entry.parentId || null,
+                parentVersion: entry.parentVersion || null,
+                parentHash: entry.parentHash || null,
+                forkCount: entry.forkCount || 0,
+                contentHash: entry.contentHash,
+                ownerSecretHash: entry.ownerSecretHash || null,
+                uploadedAt: entry.uploadedAt,
+                lastUpdate: entry.lastUpdate || null,
+                lastChanges: entry.lastChanges || null,
+                changelog: changelog.map(({ version, date, changes }) => ({ version, date, changes })),
+                versions,
+                tags: tags.map(({ tag, version, updatedAt }) => ({ tag, version, updatedAt })),
+                data: dataToString(entry.data)
+            };
+        }
+        afterId = entries[entries.length - 1].id;
+    }
+}
+
+// Fields for store.importEntry from an export or legacy record. Returns
+// { error } for records that can't be imported.
+function toImportFields(record) {
+    const legacy = isLegacyRecord(record);
+    if (typeof record.data !== 'string' || !record.data) {
+        return { error: 'data must be a non-empty string' };
+    }
+    const { errors, summary } = inspectData(record.data);
+    if (errors.length) {
+        return { error: `Invalid data.json at ${errors[0].path}: ${errors[0].message}` };
+    }
+    const uploadedAt = toIsoDate(legacy ? record.uploadDate : record.uploadedAt);
+    if (!uploadedAt) {
+        return { error: `Invalid ${legacy ? 'uploadDate' : 'uploadedAt'}` };
+    }
+    let id = null;
+    if (!legacy) {
+        id = parseInt(String(record.id).replace(/^0+/, ''), 10);
+        if (!Number.isInteger(id) || id < 1) {
+            return { error: 'Invalid id' };
+        }
+    }
+    const warnings = [];
+    // index.js stored the string length as dataSize, so a mismatch means the data was cut or altered
+    if (legacy && record.dataSize !== undefined && record.dataSize !== record.data.length) {
+        warnings.push(`dataSize ${record.dataSize} does not match the data (${record.data.length} characters)`);
+    }
+    const parentId = legacy ? null : parseInt(String(record.parentId || '').replace(/^0+/, ''), 10) || null;
+    const changelog = (Array.isArray(record.changelog) ? record.changelog : [])
+        .filter(item => isObject(item) && toIsoDate(item.date))
+        .map(item => ({ version: text(item.version), date: toIsoDate(item.date), changes: text(item.changes) }));
+    const version = text(record.version) || INITIAL_VERSION;
+    const lastUpdate = toIsoDate(record.lastUpdate);
+    // Stored versions, oldest first and one row per version; the current data
+    // is added as the current version when it is missing
+    const versions = new Map();
+    (Array.isArray(record.versions) ? record.versions : []).forEach((item, i) => {
+        if (!isObject(item) || !text(item.version) || typeof item.data !== 'string' || !item.data) {
+            warnings.push(`versions[${i}] skipped: needs a version and data`);
+            return;
+        }
+        versions.delete(text(item.version));
+        versions.set(text(item.version), {
+            version: text(item.version),
+            data: item.data,
+            changes: text(item.changes) || null,
+            contentHash: contentHash(item.data),
+            createdAt: toIsoDate(item.createdAt) || uploadedAt
+        });
+    });
+    if (!versions.has(version) || versions.get(version).contentHash !== summary.contentHash) {
+        versions.delete(version);
+        versions.set(version, {
+            version,
+            data: record.data,
+            changes: text(record.lastChanges) || null,
+            contentHash: summary.contentHash,
+            createdAt: lastUpdate || uploadedAt
+        });
+    }
+    const tags = [];
+    (Array.isArray(record.tags) ? record.tags : []).forEach((item, i) => {
+        if (!isObject(item) || !FORMATS.tag.test(text(item.tag)) || !versions.has(text(item.version))) {
+            warnings.push(`tags[${i}] skipped: needs a valid tag name and a stored version`);
+            return;
+        }
+        tags.push({ tag: text(item.tag), version: text(item.version), updatedAt: toIsoDate(item.updatedAt) || uploadedAt });
+    });
+    return {
+        warnings,
+        fields: {
+            id,
+            legacyId: legacy ? String(record.id) : text(record.legacyId) || null,
+            name: text(record.name),
+            mimetype: 'application/json',
+            data: record.data,
+            description: text(record.description),
+            category: text(record.category),
+            uploaderName: text(record.uploaderName),
+            pointCount: summary.pointCount,
+            configName: text(record.configName) || summary.configName || '',
+            version,
+            contentHash: summary.contentHash,
+            ownerSecretHash: legacy ? null : text(record.ownerSecretHash) || null,
+            uploadedAt,
+            lastUpdate,
+            lastChanges: text(record.lastChanges) || null,
+            downloads: Number.isInteger(record.downloads) && record.downloads > 0 ? record.downloads : 0,
+            status: ENTRY_STATUSES.includes(record.status) ? record.status : 'visible',
+            parentId,
+            parentVersion: parentId ? text(record.parentVersion) || null : null,
+            parentHash: parentId ? text(record.parentHash) || null : null,
+            forkCount: Number.isInteger(record.forkCount) && record.forkCount > 0 ? record.forkCount : 0,
+            changelog,
+            versions: [...versions.values()],
+            tags
+        }
+    };
+}
+
+// Imports records one at a time and collects a report. Conflicts (an ID or
+// legacy ID that already exists, or data identical to an existing config)
+// are skipped and reported. With dryRun everything is checked, nothing written.
+function createImporter(store, { dryRun = false } = {}) {
+    const report = { dryRun, imported: 0, created: [], conflicts: [], errors: [], warnings: [] };
+    const seenIds = new Set();
+    const seenLegacyIds = new Map();
+    const seenHashes = new Map();
+
+    async function findConflict(fields) {
+        if (fields.id && (seenIds.has(fields.id) || await store.getEntry(fields.id))) {
+            return { reason: 'ID already exists', existingId: fields.id };
+        }
+        if (fields.legacyId) {
+            const existing = seenLegacyIds.get(fields.legacyId) || await store.findEntryByLegacyId(fields.legacyId);
+            if (existing) {
+                return { reason: 'Legacy ID already imported', existingId: existing.id };
+            }
+        }
+        const existing = seenHashes.get(fields.contentHash) || await store.findEntryByHash(fields.contentHash);
+        if (existing) {
+            return { reason: 'Identical data already exists', existingId: existing.id };
+        }
+        return null;
+    }
+
+    return {
+        report,
+
+        async importRecord(record, line) {
+            if (!isObject(record)) {
+                report.errors.push({ line, error: 'Expected a JSON object' });
+                return;
+            }
+            if (record.type === 'header') {
+                if (record.format !== EXPORT_FORMAT || record.version > EXPORT_VERSION) {
+                    report.errors.push({ line, error: `Unsupported export format ${record.format} v${record.version}` });
+                }
+                return;
+            }
+            const { error, fields, warnings } = toImportFields(record);
+            const label = { line, id: fields ? fields.id : null, legacyId: fields ? fields.legacyId : null, name: text(record.name) };
+            if (error) {
+                report.errors.push({ ...label, error });
+                return;
+            }
+            warnings.forEach(warning => report.warnings.push({ ...label, warning }));
+            const conflict = await findConflict(fields);
+            if (conflict) {
+                report.conflicts.push({ ...label, ...conflict });
+                return;
+            }
+            const entry = dryRun ? { id: fields.id } : await store.importEntry(fields);
+            if (fields.id) {
+                seenIds.add(fields.id);
+            }
+            if (fields.legacyId) {
+                seenLegacyIds.set(fields.legacyId, entry);
+            }
+            seenHashes.set(fields.contentHash, entry);
+            report.imported++;
+            report.created.push({ ...label, id: entry.id });
+        }
+    };
+}
+
+// Import an NDJSON stream line by line
+async function importLines(importer, input) {
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let line = 0;
+    for await (const raw of lines) {
+        line++;
+        if (!raw.trim()) {
+            continue;
+        }
+        let record;
+        try {
+            record = JSON.parse(raw);
+        } catch (e) {
+            importer.report.errors.push({ line, error: `Invalid JSON: ${e.message}` });
+            continue;
+        }
+        await importer.importRecord(record, line);
+    }
+    return importer.report;
+}
+
+// Import a whole JSON document: a legacy database ({ entries: [...] }) or an array of records
+async function importDocument(importer, document) {
+    const records = Array.isArray(document) ? document : isObject(document) && Array.isArray(document.entries) ? document.entries : null;
+    if (!records) {
+        importer.report.errors.push({ line: null, error: 'Expected an array of records or an object with an entries array' });
+        return importer.report;
+    }
+    for (let i = 0; i < records.length; i++) {
+        await importer.importRecord(records[i], i + 1);
+    }
+    return importer.report;
+}
+
+if (require.main === module) {
+    const { createStore } = require('./store');
+    const [command, file, ...flags] = process.argv.slice(2);
+    const store = createStore();
+
+    async function run() {
+        await store.init();
+        if (command === 'export') {
+            const output = file ? fs.createWriteStream(file) : process.stdout;
+            let count = 0;
+            for await (const record of exportRecords(store)) {
+                if (!output.write(`${JSON.stringify(record)}\n`)) {
+                    await new Promise(resolve => output.once('drain', resolve));
+                }
+                count += record.type === 'config' ? 1 : 0;
+            }
+            if (file) {
+                await new Promise(resolve => output.end(resolve));
+                console.error(`Exported ${count} configs to ${file}`);
+            }
+        } else if (command === 'import' && file) {
+            const importer = createImporter(store, { dryRun: flags.includes('--dry-run') });
+            const report = /\.(ndjson|jsonl)$/i.test(file)
+                ? await importLines(importer, fs.createReadStream(file))
+                : await importDocument(importer, JSON.parse(fs.readFileSync(file, 'utf8')));
+            console.log(JSON.stringify(report, null, 2));
+            console.error(`${report.dryRun ? 'Would import' : 'Imported'} ${report.imported} configs, ${report.conflicts.length} conflicts, ${report.errors.length} errors`);
+        } else {
+            throw new Error('Usage: node lib/transfer.js export [file] | import <file> [--dry-run]');
+        }
+    }
+
+    run().then(() => store.close()).catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    EXPORT_FORMAT,
+    exportRecords,
+    toImportFields,
+    createImporter,
+    importLines,
+    importDocument
+};
@@ -0,0 +1,37 @@
+// Baseline schema. Uses IF NOT EXISTS throughout so deployments whose tables
+// were created by hand are adopted without changes.
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS uploaded_files (
+                id SERIAL PRIMARY KEY,
+                filename TEXT NOT NULL DEFAULT '',
+                mimetype TEXT NOT NULL DEFAULT 'application/json',
+                data BYTEA,
+                uploaded_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            )
+        `);
+        await client.query(`
+            ALTER TABLE uploaded_files
+                ADD COLUMN IF NOT EXISTS description TEXT NOT NULL DEFAULT '',
+                ADD COLUMN IF NOT EXISTS category TEXT NOT NULL DEFAULT '',
+                ADD COLUMN IF NOT EXISTS uploader_name TEXT NOT NULL DEFAULT '',
+                ADD COLUMN IF NOT EXISTS point_count INTEGER NOT NULL DEFAULT 0,
+                ADD COLUMN IF NOT EXISTS config_name TEXT NOT NULL DEFAULT '',
+                ADD COLUMN IF NOT EXISTS version TEXT NOT NULL DEFAULT '',
+                ADD COLUMN IF NOT EXISTS last_update TIMESTAMPTZ,
+                ADD COLUMN IF NOT EXISTS last_changes TEXT
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS uploaded_files_changelog (
+                id SERIAL PRIMARY KEY,
+                config_id INTEGER NOT NULL,
+                version TEXT NOT NULL DEFAULT '',
+                date TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                changes TEXT
+            )
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS uploaded_files_changelog_config_id_idx ON uploaded_files_changelog (config_id)');
+        await client.query('CREATE INDEX IF NOT EXISTS uploaded_files_uploaded_at_idx ON uploaded_files (uploaded_at)');
+    }
+};
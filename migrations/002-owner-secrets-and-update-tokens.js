@@ -0,0 +1,14 @@
+// Per-upload owner secrets and persistent one-time update tokens
+module.exports = {
+    async up(client) {
+        await client.query('ALTER TABLE uploaded_files ADD COLUMN IF NOT EXISTS owner_secret_hash TEXT');
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS update_tokens (
+                token_hash TEXT PRIMARY KEY,
+                config_id INTEGER NOT NULL,
+                expires_at TIMESTAMPTZ NOT NULL
+            )
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS update_tokens_expires_at_idx ON update_tokens (expires_at)');
+    }
+};
@@ -0,0 +1,23 @@
+// Keep the data of every version, not just the latest. Existing configs get
+// their current data recorded as the only known version.
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS uploaded_files_versions (
+                id SERIAL PRIMARY KEY,
+                config_id INTEGER NOT NULL,
+                version TEXT NOT NULL DEFAULT '',
+                data BYTEA NOT NULL,
+                changes TEXT,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            )
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS uploaded_files_versions_config_id_idx ON uploaded_files_versions (config_id, version)');
+        await client.query(`
+            INSERT INTO uploaded_files_versions (config_id, version, data, changes, created_at)
+            SELECT id, COALESCE(version, ''), data, last_changes, COALESCE(last_update, uploaded_at)
+            FROM uploaded_files
+            WHERE data IS NOT NULL
+        `);
+    }
+};
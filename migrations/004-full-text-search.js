@@ -0,0 +1,18 @@
+// Weighted full-text search vector over the entry metadata:
+// A name, B config name and uploader, C category, D description
+module.exports = {
+    async up(client) {
+        await client.query(`
+            ALTER TABLE uploaded_files ADD COLUMN IF NOT EXISTS search_vector tsvector
+            GENERATED ALWAYS AS (
+                setweight(to_tsvector('simple', COALESCE(filename, '')), 'A') ||
+                setweight(to_tsvector('simple', COALESCE(config_name, '') || ' ' || COALESCE(uploader_name, '')), 'B') ||
+                setweight(to_tsvector('simple', COALESCE(category, '')), 'C') ||
+                setweight(to_tsvector('simple', COALESCE(description, '')), 'D')
+            ) STORED
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS uploaded_files_search_vector_idx ON uploaded_files USING GIN (search_vector)');
+        await client.query('CREATE INDEX IF NOT EXISTS uploaded_files_uploader_idx ON uploaded_files (LOWER(uploader_name))');
+        await client.query('CREATE INDEX IF NOT EXISTS uploaded_files_category_idx ON uploaded_files (LOWER(category))');
+    }
+};
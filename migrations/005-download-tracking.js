@@ -0,0 +1,16 @@
+// Download counters plus one row per counted download for trending
+module.exports = {
+    async up(client) {
+        await client.query('ALTER TABLE uploaded_files ADD COLUMN IF NOT EXISTS download_count INTEGER NOT NULL DEFAULT 0');
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS download_events (
+                id SERIAL PRIMARY KEY,
+                config_id INTEGER NOT NULL,
+                client_hash TEXT NOT NULL,
+                downloaded_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            )
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS download_events_client_idx ON download_events (config_id, client_hash, downloaded_at)');
+        await client.query('CREATE INDEX IF NOT EXISTS download_events_downloaded_at_idx ON download_events (downloaded_at)');
+    }
+};
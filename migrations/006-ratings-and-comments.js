@@ -0,0 +1,32 @@
+// Ratings (one per rater per config) and comments. The aggregates are kept
+// on uploaded_files so list queries can show and sort by them cheaply.
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS config_ratings (
+                config_id INTEGER NOT NULL,
+                rater_hash TEXT NOT NULL,
+                rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+                rated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                PRIMARY KEY (config_id, rater_hash)
+            )
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS config_comments (
+                id SERIAL PRIMARY KEY,
+                config_id INTEGER NOT NULL,
+                author TEXT NOT NULL,
+                body TEXT NOT NULL,
+                secret_hash TEXT,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            )
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS config_comments_config_id_idx ON config_comments (config_id, created_at)');
+        await client.query(`
+            ALTER TABLE uploaded_files
+                ADD COLUMN IF NOT EXISTS rating_average REAL,
+                ADD COLUMN IF NOT EXISTS rating_count INTEGER NOT NULL DEFAULT 0,
+                ADD COLUMN IF NOT EXISTS comment_count INTEGER NOT NULL DEFAULT 0
+        `);
+    }
+};
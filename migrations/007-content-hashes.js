@@ -0,0 +1,33 @@
+// SHA-256 of each config's data (and of each stored version) for duplicate
+// detection and ETags. Existing rows are hashed in batches.
+const crypto = require('crypto');
+
+const BATCH_SIZE = 100;
+
+async function backfill(client, table) {
+    let lastId = 0;
+    for (;;) {
+        const result = await client.query(
+            `SELECT id, data FROM ${table} WHERE content_hash IS NULL AND data IS NOT NULL AND id > $1 ORDER BY id LIMIT $2`,
+            [lastId, BATCH_SIZE]
+        );
+        if (result.rows.length === 0) {
+            return;
+        }
+        for (const row of result.rows) {
+            const hash = crypto.createHash('sha256').update(row.data).digest('hex');
+            await client.query(`UPDATE ${table} SET content_hash = $1 WHERE id = $2`, [hash, row.id]);
+        }
+        lastId = result.rows[result.rows.length - 1].id;
+    }
+}
+
+module.exports = {
+    async up(client) {
+        await client.query('ALTER TABLE uploaded_files ADD COLUMN IF NOT EXISTS content_hash TEXT');
+        await client.query('ALTER TABLE uploaded_files_versions ADD COLUMN IF NOT EXISTS content_hash TEXT');
+        await backfill(client, 'uploaded_files');
+        await backfill(client, 'uploaded_files_versions');
+        await client.query('CREATE INDEX IF NOT EXISTS uploaded_files_content_hash_idx ON uploaded_files (content_hash)');
+    }
+};
@@ -0,0 +1,38 @@
+// Store blobs gzipped. data_encoding says how `data` is stored and data_size
+// keeps the uncompressed size; existing rows are compressed in batches.
+const zlib = require('zlib');
+
+const BATCH_SIZE = 50;
+
+async function compressRows(client, table) {
+    let lastId = 0;
+    for (;;) {
+        const result = await client.query(
+            `SELECT id, data FROM ${table} WHERE data_encoding = 'identity' AND data IS NOT NULL AND id > $1 ORDER BY id LIMIT $2`,
+            [lastId, BATCH_SIZE]
+        );
+        if (result.rows.length === 0) {
+            return;
+        }
+        for (const row of result.rows) {
+            await client.query(
+                `UPDATE ${table} SET data = $1, data_encoding = 'gzip', data_size = $2 WHERE id = $3`,
+                [zlib.gzipSync(row.data), row.data.length, row.id]
+            );
+        }
+        lastId = result.rows[result.rows.length - 1].id;
+    }
+}
+
+module.exports = {
+    async up(client) {
+        for (const table of ['uploaded_files', 'uploaded_files_versions']) {
+            await client.query(`
+                ALTER TABLE ${table}
+                    ADD COLUMN IF NOT EXISTS data_encoding TEXT NOT NULL DEFAULT 'identity',
+                    ADD COLUMN IF NOT EXISTS data_size INTEGER NOT NULL DEFAULT 0
+            `);
+            await compressRows(client, table);
+        }
+    }
+};
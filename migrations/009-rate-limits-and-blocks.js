@@ -0,0 +1,24 @@
+// Shared rate limit counters (used with RATE_LIMIT_STORE=postgres) and
+// admin blocks on IP addresses and uploader names.
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS rate_limit_counters (
+                key TEXT PRIMARY KEY,
+                count INTEGER NOT NULL,
+                reset_at TIMESTAMPTZ NOT NULL
+            )
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS blocked_clients (
+                kind TEXT NOT NULL,
+                value TEXT NOT NULL,
+                reason TEXT,
+                created_by TEXT,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                expires_at TIMESTAMPTZ,
+                PRIMARY KEY (kind, value)
+            )
+        `);
+    }
+};
@@ -0,0 +1,8 @@
+// Entries imported from the legacy JSON-file storage keep their old string ID
+// so a second import of the same file can be recognized.
+module.exports = {
+    async up(client) {
+        await client.query('ALTER TABLE uploaded_files ADD COLUMN IF NOT EXISTS legacy_id TEXT');
+        await client.query('CREATE UNIQUE INDEX IF NOT EXISTS uploaded_files_legacy_id_idx ON uploaded_files (legacy_id) WHERE legacy_id IS NOT NULL');
+    }
+};
@@ -0,0 +1,38 @@
+// Moderation: entry status (visible, pending review or hidden), user reports
+// and an audit log of moderation actions.
+module.exports = {
+    async up(client) {
+        await client.query(`
+            ALTER TABLE uploaded_files
+                ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'visible'
+                CHECK (status IN ('visible', 'pending', 'hidden'))
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS uploaded_files_status_idx ON uploaded_files (status)');
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS config_reports (
+                id SERIAL PRIMARY KEY,
+                config_id INTEGER NOT NULL,
+                reason TEXT NOT NULL,
+                details TEXT,
+                reporter_hash TEXT NOT NULL,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                resolved_at TIMESTAMPTZ,
+                resolved_by TEXT,
+                resolution TEXT
+            )
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS config_reports_open_idx ON config_reports (config_id) WHERE resolved_at IS NULL');
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS moderation_log (
+                id SERIAL PRIMARY KEY,
+                config_id INTEGER,
+                action TEXT NOT NULL,
+                actor TEXT NOT NULL,
+                reason TEXT,
+                details JSONB,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            )
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS moderation_log_config_id_idx ON moderation_log (config_id, created_at)');
+    }
+};
@@ -0,0 +1,14 @@
+// Fork lineage: the config (and version/data hash of it) an entry was forked
+// from, and a count of each entry's direct forks.
+module.exports = {
+    async up(client) {
+        await client.query(`
+            ALTER TABLE uploaded_files
+                ADD COLUMN IF NOT EXISTS parent_id INTEGER,
+                ADD COLUMN IF NOT EXISTS parent_version TEXT,
+                ADD COLUMN IF NOT EXISTS parent_hash TEXT,
+                ADD COLUMN IF NOT EXISTS fork_count INTEGER NOT NULL DEFAULT 0
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS uploaded_files_parent_id_idx ON uploaded_files (parent_id) WHERE parent_id IS NOT NULL');
+    }
+};
@@ -0,0 +1,34 @@
+// Collections: named, ordered bundles of configs pinned to a version, with
+// their own owner secret and a search vector like uploaded_files'
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS config_collections (
+                id SERIAL PRIMARY KEY,
+                name TEXT NOT NULL,
+                description TEXT NOT NULL DEFAULT '',
+                uploader_name TEXT NOT NULL DEFAULT '',
+                owner_secret_hash TEXT,
+                download_count INTEGER NOT NULL DEFAULT 0,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                updated_at TIMESTAMPTZ,
+                search_vector tsvector GENERATED ALWAYS AS (
+                    setweight(to_tsvector('simple', COALESCE(name, '')), 'A') ||
+                    setweight(to_tsvector('simple', COALESCE(uploader_name, '')), 'B') ||
+                    setweight(to_tsvector('simple', COALESCE(description, '')), 'D')
+                ) STORED
+            )
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS config_collections_search_vector_idx ON config_collections USING GIN (search_vector)');
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS config_collection_items (
+                collection_id INTEGER NOT NULL,
+                position INTEGER NOT NULL,
+                config_id INTEGER NOT NULL,
+                version TEXT NOT NULL,
+                PRIMARY KEY (collection_id, position)
+            )
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS config_collection_items_config_id_idx ON config_collection_items (config_id)');
+    }
+};
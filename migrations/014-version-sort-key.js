@@ -0,0 +1,15 @@
+// Natural ordering for /list?sort=version: every run of digits is zero-padded
+// to 12 places so 1.0.10 sorts after 1.0.9. The memory store builds the same
+// key in JS (versionSortKey in lib/stores/file.js).
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE OR REPLACE FUNCTION version_sort_key(version TEXT) RETURNS TEXT
+            LANGUAGE SQL IMMUTABLE PARALLEL SAFE AS $$
+                SELECT COALESCE(string_agg(CASE WHEN part[1] ~ '^[0-9]+$' THEN lpad(part[1], 12, '0') ELSE part[1] END, '' ORDER BY n), '')
+                FROM regexp_matches(COALESCE(version, ''), '[0-9]+|[^0-9]+', 'g') WITH ORDINALITY AS parts(part, n)
+            $$
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS uploaded_files_version_sort_idx ON uploaded_files (version_sort_key(version), id)');
+    }
+};
@@ -0,0 +1,14 @@
+// Named tags (stable, beta, ...) pointing to one of a config's versions
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS config_tags (
+                config_id INTEGER NOT NULL,
+                tag TEXT NOT NULL,
+                version TEXT NOT NULL,
+                updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                PRIMARY KEY (config_id, tag)
+            )
+        `);
+    }
+};
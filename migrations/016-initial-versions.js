@@ -0,0 +1,16 @@
+// Configs uploaded without a version stored their first version as '', which
+// rollback, diff and ?version= can't address. It becomes 1.0.0 (what updates
+// already counted it as) wherever it is referenced, or 0.0.0 in configs that
+// already have a 1.0.0. The stored versions go last because the choice looks
+// at them.
+const replacement = configId => `CASE WHEN EXISTS (SELECT 1 FROM uploaded_files_versions v WHERE v.config_id = ${configId} AND v.version = '1.0.0') THEN '0.0.0' ELSE '1.0.0' END`;
+
+module.exports = {
+    async up(client) {
+        await client.query(`UPDATE uploaded_files f SET version = ${replacement('f.id')} WHERE COALESCE(f.version, '') = ''`);
+        await client.query(`UPDATE uploaded_files f SET parent_version = ${replacement('f.parent_id')} WHERE f.parent_id IS NOT NULL AND f.parent_version = ''`);
+        for (const table of ['uploaded_files_changelog', 'config_tags', 'config_collection_items', 'uploaded_files_versions']) {
+            await client.query(`UPDATE ${table} t SET version = ${replacement('t.config_id')} WHERE t.version = ''`);
+        }
+    }
+};
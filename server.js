@@ -1,25 +1,483 @@
 const express = require('express');
 const cors = require('cors');
+const compression = require('compression');
 const { json } = require('body-parser');
 const https = require('https');
-const pool = require('./db');
 const multer = require('multer');
 const upload = multer();
-const cron = require('node-cron');
-const crypto = require('crypto');
+const { createStore } = require('./lib/store');
+const { generateSecret, hashSecret, authorize, credentialMatches } = require('./lib/auth');
+const { diffJson } = require('./lib/diff');
+const { inspectData, contentHash, dataToString } = require('./lib/bbg-data');
+const { parseTerms } = require('./lib/search');
+const { clientKey } = require('./lib/client');
+const { brotliJson } = require('./lib/body');
+const { exportRecords, createImporter, importLines, importDocument } = require('./lib/transfer');
+const { createEventBus } = require('./lib/events');
+const { REPORT_REVIEW_THRESHOLD } = require('./lib/moderation');
+const { normalizeBlockValue, createRateLimiter } = require('./lib/rate-limit');
+const { buildDocument, createRequestValidator, validationErrorBody } = require('./lib/openapi');
+const { encodeCursor, decodeCursor } = require('./lib/cursor');
+const { createMetrics } = require('./lib/metrics');
+const { createJobRegistry } = require('./lib/jobs');
+const semver = require('./lib/semver');
+const { FORMATS } = require('./lib/schema');
+const { bucketStart, addBuckets } = require('./lib/stats');
 
 const app = express();
+const store = createStore();
+const limiter = createRateLimiter();
+const events = createEventBus();
+const metrics = createMetrics();
+const jobs = createJobRegistry();
 
-// In-memory store for one-time tokens (for demo; use Redis or DB in production)
-const updateTokens = {};
+// One-time update tokens expire after 10 minutes
+const UPDATE_TOKEN_TTL = 10 * 60 * 1000;
+// Repeat downloads by the same client within this window count once
+const DOWNLOAD_DEDUP_WINDOW = (parseInt(process.env.DOWNLOAD_DEDUP_MINUTES) || 60) * 60 * 1000;
+// Trending scores halve for every two days a download ages
+const TRENDING_HALF_LIFE = 2 * 24 * 60 * 60 * 1000;
+const MAX_TRENDING_DAYS = 30;
+// Download events older than this are pruned; trending and the repeat
+// download check never look further back
+const DOWNLOAD_EVENT_RETENTION = Math.max(MAX_TRENDING_DAYS * 24 * 60 * 60 * 1000, DOWNLOAD_DEDUP_WINDOW);
+// /stats is recomputed on request when it is older than this; the
+// refresh-stats job renews the default range before that
+const STATS_MAX_AGE = (parseInt(process.env.STATS_MAX_AGE_SECONDS) || 300) * 1000;
+// Activity buckets shown when /stats gets no `from`, and the most it shows
+const STATS_DEFAULT_BUCKETS = { day: 30, week: 12 };
+const MAX_STATS_BUCKETS = 366;
+// Activity ranges kept in the /stats cache
+const MAX_CACHED_STATS = 50;
+const TOP_UPLOADERS = 10;
+// `newest` is the upload date sort under its original name
+const LIST_SORTS = ['newest', 'uploaded', 'updated', 'name', 'points', 'version', 'downloads', 'rating', 'forks'];
+// /list pages can be bigger than the others
+const MAX_LIST_LIMIT = 100;
+// Ancestry lookups follow at most this many parents
+const MAX_ANCESTRY_DEPTH = 50;
+const MAX_COLLECTION_ITEMS = 20;
+// Collections matching a search are listed along with the first page of configs
+const SEARCH_COLLECTIONS = 5;
+// Live feed keep-alive comments stop proxies from closing idle streams
+const EVENT_HEARTBEAT_INTERVAL = 25 * 1000;
+const MAX_EVENT_CLIENTS = 500;
+const MAX_UPDATE_CHECKS = 100;
+// Largest JSON body accepted, after decoding gzip/deflate/br request bodies
+const BODY_LIMIT = 10 * 1024 * 1024;
+// Readiness fails when the storage doesn't answer within this time
+const READINESS_TIMEOUT = parseInt(process.env.READINESS_TIMEOUT_MS) || 2000;
+// Tag that always resolves to the current version and can't be set
+const LATEST_TAG = 'latest';
+
+// The OpenAPI document describes every route's parameters and bodies; each
+// route validates its request against it before doing anything else
+const apiDocument = buildDocument({
+    listSorts: LIST_SORTS,
+    maxUpdateChecks: MAX_UPDATE_CHECKS,
+    maxCollectionItems: MAX_COLLECTION_ITEMS
+});
+const validateRequest = createRequestValidator(apiDocument);
+
+// Behind a proxy (Render), TRUST_PROXY is the number of hops to trust for the client IP
+if (process.env.TRUST_PROXY || process.env.RENDER) {
+    app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || 1);
+}
 
 // Middleware
+app.use(metrics.middleware);
 app.use(cors());
-app.use(json({ limit: '10mb' })); // Increase limit for large data.json files
+// gzip/deflate/br responses, negotiated with Accept-Encoding. The live feed is
+// left uncompressed so events aren't held back in the compressor's buffer.
+app.use(compression({
+    filter: (req, res) => !String(res.getHeader('Content-Type')).startsWith('text/event-stream') && compression.filter(req, res)
+}));
+app.use(brotliJson({ limit: BODY_LIMIT }));
+app.use(json({ limit: BODY_LIMIT })); // Large data.json files; gzip/deflate bodies are inflated here
 app.use(express.static('public'));
 
-// Upload data (now saves to PostgreSQL)
-app.post('/api/v1/data/upload', upload.none(), async (req, res) => {
+// Public IDs are zero-padded to 16 chars for a bigger look
+function formatId(id) {
+    return id.toString().padStart(16, '0');
+}
+
+// Entry metadata as returned by list, search and stats
+function formatSummary(entry) {
+    return {
+        id: formatId(entry.id),
+        name: entry.name || '',
+        description: entry.description || '',
+        category: entry.category || '',
+        uploaderName: entry.uploaderName || '',
+        pointCount: entry.pointCount || 0,
+        configName: entry.configName || '',
+        version: entry.version || '',
+        downloads: entry.downloads || 0,
+        rating: entry.rating || { average: null, count: 0 },
+        commentCount: entry.commentCount || 0,
+        contentHash: entry.contentHash || '',
+        status: entry.status || 'visible',
+        parentId: entry.parentId ? formatId(entry.parentId) : null,
+        parentVersion: entry.parentId ? entry.parentVersion || '' : null,
+        forkCount: entry.forkCount || 0,
+        dataSize: entry.dataSize || 0,
+        storedSize: entry.storedSize || 0,
+        uploadedAt: entry.uploadedAt
+    };
+}
+
+// Collection metadata as returned by list and search
+function formatCollection(collection) {
+    return {
+        id: formatId(collection.id),
+        name: collection.name || '',
+        description: collection.description || '',
+        uploaderName: collection.uploaderName || '',
+        itemCount: collection.items.length,
+        downloads: collection.downloads || 0,
+        createdAt: collection.createdAt,
+        updatedAt: collection.updatedAt || null
+    };
+}
+
+function formatComment(comment) {
+    return {
+        id: comment.id,
+        author: comment.author,
+        text: comment.text,
+        createdAt: comment.createdAt
+    };
+}
+
+// Page and limit from the query string (max 50 per page unless maxLimit says otherwise)
+function parsePaging(query, maxLimit = 50) {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(parseInt(query.limit) || 10, maxLimit);
+    return { page, limit, offset: (page - 1) * limit };
+}
+
+function paginationInfo(page, limit, total) {
+    const totalPages = Math.ceil(total / limit);
+    return {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+    };
+}
+
+// Metadata filters from the (validated) query string
+function parseFilters(query) {
+    return {
+        category: query.category && query.category !== 'All' ? query.category : null,
+        uploader: query.uploader || null,
+        version: query.version || null,
+        from: query.from ? new Date(query.from) : null,
+        to: query.to ? new Date(query.to) : null
+    };
+}
+
+// Plans an update's version inside the store's transaction, from the config's
+// current version and the stored ones: the `bump` (default patch) of the
+// current version, as a `preid` pre-release if one is given, or an explicit
+// `version`. Configs without a version count as 1.0.0. The new version must be
+// higher than the current one and not stored yet. A pre-release moves the tag
+// of its channel (1.3.0-beta.1 -> beta); `tag` is moved to any new version.
+function versionPlan({ bump = 'patch', preid, version, tag }) {
+    return (current, stored) => {
+        const parsed = semver.parse(current || semver.INITIAL_VERSION);
+        let next = version;
+        if (!next) {
+            if (!parsed) {
+                return { error: `The current version ${current} is not a semantic version; send an explicit version` };
+            }
+            next = semver.increment(current || semver.INITIAL_VERSION, bump, preid, stored);
+        }
+        if (stored.includes(next)) {
+            return { error: `Version ${next} already exists` };
+        }
+        if (current && parsed && semver.compare(next, parsed) <= 0) {
+            return { error: `Version ${next} is not higher than the current version ${current}` };
+        }
+        const prerelease = semver.isPrerelease(next);
+        const channel = prerelease ? String(semver.parse(next).prerelease[0]) : null;
+        const tags = [channel, tag].filter(name => name && name !== LATEST_TAG && FORMATS.tag.test(name));
+        return { version: next, prerelease, tags: [...new Set(tags)] };
+    };
+}
+
+// Check for a conditional update: If-Match takes the download ETags (the data
+// hash, weak or not) or *, expectedVersion a version. Null when neither is sent.
+function updatePrecondition(req) {
+    const ifMatch = req.get('If-Match');
+    const { expectedVersion } = req.body;
+    if (!ifMatch && expectedVersion === undefined) {
+        return null;
+    }
+    const hashes = ifMatch && ifMatch.trim() !== '*'
+        ? ifMatch.split(',').map(tag => tag.trim().replace(/^W\//, '').replace(/^"|"$/g, ''))
+        : null;
+    return current => (!hashes || hashes.includes(current.contentHash)) &&
+        (expectedVersion === undefined || expectedVersion === current.version);
+}
+
+// 409 body for a stale update. `current` is { version, contentHash } of the
+// config now; the diff runs from the version the client started from, found
+// by expectedVersion or the If-Match hash, when it is still stored.
+async function conflictBody(req, id, current) {
+    let diff = null;
+    const versions = await store.listVersions(id);
+    const ifMatch = req.get('If-Match') || '';
+    const base = versions.find(v => (req.body.expectedVersion !== undefined
+        ? v.version === req.body.expectedVersion
+        : v.contentHash && ifMatch.includes(v.contentHash)));
+    if (base) {
+        const [before, after] = await Promise.all([store.getVersion(id, base.version), store.getVersion(id, current.version)]);
+        try {
+            diff = {
+                from: base.version,
+                to: current.version,
+                summary: diffJson(JSON.parse(dataToString(before.data)), JSON.parse(dataToString(after.data))).summary
+            };
+        } catch (e) {
+            // A version missing or not valid JSON: report the conflict without a diff
+        }
+    }
+    return {
+        success: false,
+        error: `Config has changed since ${base ? `version ${base.version}` : 'your copy'}; it is now at version ${current.version}`,
+        currentVersion: current.version,
+        currentHash: current.contentHash || null,
+        diff
+    };
+}
+
+// Update status of an installed copy, known by its version or data hash.
+// `changes` are the changelog entries after that copy, newest first; all of
+// them when the copy's version isn't in the history.
+function checkUpdate({ version, hash }, { entry, versions, changelog }) {
+    const current = hash ? hash === entry.contentHash : version === (entry.version || '');
+    const installed = versions.filter(v => (hash ? v.contentHash === hash : v.version === version)).pop();
+    const since = installed ? new Date(installed.createdAt) : null;
+    return {
+        id: formatId(entry.id),
+        status: current ? 'current' : 'outdated',
+        latestVersion: entry.version || '',
+        latestHash: entry.contentHash || '',
+        lastUpdate: entry.lastUpdate || entry.uploadedAt,
+        knownVersion: current || Boolean(installed),
+        changes: current ? [] : changelog.filter(c => !since || new Date(c.date) > since)
+    };
+}
+
+// Whether a fork's parent changed since the fork last matched it (when it was
+// forked or last pulled the parent); `changes` are the parent's changelog
+// entries since then, newest first
+function checkParentUpdate(entry, parentHistory) {
+    const check = checkUpdate(
+        entry.parentHash ? { hash: entry.parentHash } : { version: entry.parentVersion || '' },
+        parentHistory
+    );
+    return {
+        parentId: check.id,
+        available: check.status === 'outdated',
+        forkedFromVersion: entry.parentVersion || '',
+        latestVersion: check.latestVersion,
+        latestHash: check.latestHash,
+        changes: check.changes
+    };
+}
+
+// Turn requested collection items ({ id, version }) into [{ configId, version }].
+// Without a version the config's current one is pinned. Returns { error } for
+// a config or version that doesn't exist, or a config listed twice.
+async function resolveCollectionItems(req, items) {
+    const resolved = [];
+    for (let i = 0; i < items.length; i++) {
+        const item = items[i];
+        const rawId = String(item.id).replace(/^0+/, '');
+        const entry = await store.getEntry(rawId);
+        if (!entry || !canView(req, entry)) {
+            return { error: `items[${i}]: config ${formatId(rawId)} not found` };
+        }
+        const version = item.version || entry.version || '';
+        if (version !== (entry.version || '') && !await store.getVersion(rawId, version)) {
+            return { error: `items[${i}]: version ${version} of config ${formatId(rawId)} not found` };
+        }
+        if (resolved.some(other => other.configId === entry.id)) {
+            return { error: `items[${i}]: config ${formatId(rawId)} is listed twice` };
+        }
+        resolved.push({ configId: entry.id, version });
+    }
+    return { items: resolved };
+}
+
+// Record a moderation action in the audit log; actor is the admin key name or 'system'
+function logModeration(configId, action, actor, reason, details) {
+    return store.addModerationLog({ configId, action, actor, reason: reason || null, details: details || null });
+}
+
+// Hidden configs are only shown to their owner and moderators
+function canView(req, entry) {
+    return entry.status !== 'hidden' || Boolean(authorize(req, entry, 'moderate'));
+}
+
+// Activity range of a /stats request in whole buckets: `from` up to the end of
+// `to`'s bucket
+function statsRange(query) {
+    const interval = query.interval || 'day';
+    const last = bucketStart(query.to ? new Date(query.to) : new Date(), interval);
+    const from = query.from ? bucketStart(new Date(query.from), interval) : addBuckets(last, interval, 1 - STATS_DEFAULT_BUCKETS[interval]);
+    const to = addBuckets(last, interval, 1);
+    return { interval, from, to, key: `${interval}:${from.toISOString()}:${to.toISOString()}` };
+}
+
+// /stats snapshots by activity range, so requests don't each count every
+// config. The refresh-stats job renews the default range; the oldest range is
+// dropped when there are too many.
+const statsSnapshots = new Map();
+
+async function refreshStats(range = statsRange({})) {
+    const stats = await store.getStats({ activity: range, topUploaders: TOP_UPLOADERS });
+    const snapshot = { range, stats, generatedAt: new Date() };
+    statsSnapshots.delete(range.key);
+    statsSnapshots.set(range.key, snapshot);
+    if (statsSnapshots.size > MAX_CACHED_STATS) {
+        statsSnapshots.delete(statsSnapshots.keys().next().value);
+    }
+    return snapshot;
+}
+
+// Configs that are hidden or deleted mustn't stay listed until the next refresh
+function discardStats() {
+    statsSnapshots.clear();
+}
+
+// Live feed event for a config; `entry` is the config after the change. The
+// feed is public, so configs that aren't visible (hidden or pending review)
+// send nothing.
+function publishEvent(type, entry, extra = {}) {
+    if ((entry.status || 'visible') !== 'visible') {
+        return;
+    }
+    events.publish(type, { ...formatSummary(entry), ...extra });
+}
+
+function tooManyRequests(res, retryAfter, error) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ success: false, error, retryAfter });
+}
+
+// Body field with the name that uploader blocks and limits apply to, per action
+const UPLOADER_FIELDS = { upload: 'uploaderName', collection: 'uploaderName', comment: 'author' };
+
+// Blocks and rate limits for a write endpoint (upload, token, update, report,
+// collection, rate or comment). Uploads also need daily quota left; it is used
+// up by the upload route once the config is saved.
+function guardWrites(action) {
+    const field = UPLOADER_FIELDS[action];
+    return async (req, res, next) => {
+        try {
+            const uploader = field && req.body[field] ? normalizeBlockValue('uploader', req.body[field]) : '';
+            const targets = [{ type: 'ip', value: normalizeBlockValue('ip', req.ip) }];
+            if (uploader) {
+                targets.push({ type: 'uploader', value: uploader });
+            }
+            const block = await store.findBlock(targets);
+            if (block) {
+                return res.status(403).json({
+                    success: false,
+                    error: block.type === 'ip' ? 'This IP address is blocked' : 'This uploader name is blocked'
+                });
+            }
+            const retryAfter = await limiter.hit(action, { ip: clientKey(req), uploader });
+            if (retryAfter) {
+                return tooManyRequests(res, retryAfter, 'Too many requests, try again later');
+            }
+            const quotaResetIn = action === 'upload' ? await limiter.checkQuota(uploader) : 0;
+            if (quotaResetIn) {
+                return tooManyRequests(res, quotaResetIn, `Daily upload quota reached (${limiter.dailyUploadQuota} per uploader)`);
+            }
+            next();
+        } catch (error) {
+            console.error('Rate limit error:', error);
+            res.status(500).json({ success: false, error: 'Internal server error' });
+        }
+    };
+}
+
+// The OpenAPI document for this API
+app.get('/api/v1/openapi.json', validateRequest('getOpenApi'), (req, res) => {
+    res.json(apiDocument);
+});
+
+// Health check
+app.get('/api/v1/health', validateRequest('getHealth'), (req, res) => {
+    res.json({ 
+        success: true, 
+        message: 'BBG Data API is running',
+        storage: store.name,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Liveness: the process is up and serving requests; doesn't touch the storage
+app.get('/api/v1/health/live', validateRequest('getLiveness'), (req, res) => {
+    res.json({ success: true, status: 'live', uptime: Math.round(process.uptime()) });
+});
+
+// Readiness: the storage answers within READINESS_TIMEOUT_MS (a query
+// through the Postgres pool); 503 otherwise so load balancers stop routing here
+app.get('/api/v1/health/ready', validateRequest('getReadiness'), async (req, res) => {
+    const started = Date.now();
+    let timer;
+    try {
+        await Promise.race([
+            store.ping(),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`no answer within ${READINESS_TIMEOUT} ms`)), READINESS_TIMEOUT);
+            })
+        ]);
+        res.json({ success: true, status: 'ready', storage: store.name, latencyMs: Date.now() - started, pool: store.poolStats() });
+    } catch (error) {
+        console.error('Readiness check failed:', error.message);
+        res.status(503).json({
+            success: false,
+            error: `Storage not ready: ${error.message}`,
+            storage: store.name,
+            pool: store.poolStats()
+        });
+    } finally {
+        clearTimeout(timer);
+    }
+});
+
+// Prometheus metrics (admin key with the metrics scope)
+app.get('/metrics', validateRequest('getMetrics'), (req, res) => {
+    if (!authorize(req, null, 'metrics')) {
+        return res.status(403).json({ success: false, error: 'Admin key required' });
+    }
+    const pool = store.poolStats();
+    const gauges = [
+        { name: 'bbg_live_feed_clients', help: 'Connected live feed clients.', series: [{ labels: {}, value: events.subscriberCount }] }
+    ];
+    if (pool) {
+        gauges.push(
+            {
+                name: 'bbg_db_pool_connections',
+                help: 'Database pool connections by state (waiting counts queued requests).',
+                series: ['total', 'idle', 'waiting'].map(state => ({ labels: { state }, value: pool[state] }))
+            },
+            { name: 'bbg_db_pool_max_connections', help: 'Database pool size limit.', series: [{ labels: {}, value: pool.max }] }
+        );
+    }
+    res.type('text/plain; version=0.0.4').send(metrics.render(gauges));
+});
+
+// Upload data
+app.post('/api/v1/data/upload', upload.none(), validateRequest('uploadConfig'), guardWrites('upload'), async (req, res) => {
     try {
         console.log('Upload request received:', {
             name: req.body.name,
@@ -27,39 +485,60 @@ app.post('/api/v1/data/upload', upload.none(), async (req, res) => {
             category: req.body.category
         });
 
-        // Validate request
-        const validationError = validateEntry(req.body);
-        if (validationError) {
-            return res.status(400).json({ 
-                success: false, 
-                error: validationError 
+        const { errors, summary } = inspectData(req.body.data);
+        if (errors.length) {
+            return res.status(400).json(dataErrorBody(errors));
+        }
+
+        // Identical data is rejected, or with onDuplicate=link answered with the existing config.
+        // Hidden configs only count for moderators, so an upload doesn't reveal them.
+        const existing = await store.findEntryByHash(summary.contentHash, {
+            includeHidden: Boolean(authorize(req, null, 'moderate'))
+        });
+        if (existing) {
+            if (req.body.onDuplicate === 'link') {
+                return res.json({
+                    success: true,
+                    dataId: formatId(existing.id),
+                    duplicate: true,
+                    message: 'Identical data was already uploaded; linked to the existing config'
+                });
+            }
+            return res.status(409).json({
+                success: false,
+                error: 'Identical data was already uploaded',
+                existingId: formatId(existing.id)
             });
         }
 
-        // Save to PostgreSQL with all metadata fields
-        const { name, description, category, uploaderName, data, pointCount, configName, version } = req.body;
-        const result = await pool.query(
-            `INSERT INTO uploaded_files (filename, mimetype, data, description, category, uploader_name, point_count, config_name, version) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id, uploaded_at` ,
-            [
-                name?.trim() || '',
-                'application/json',
-                Buffer.from(data),
-                description?.trim() || '',
-                category?.trim() || '',
-                uploaderName?.trim() || '',
-                pointCount ? parseInt(pointCount) : 0,
-                configName?.trim() || '',
-                version?.trim() || ''
-            ]
-        );
-        const newId = result.rows[0].id;
-        const uploadedAt = result.rows[0].uploaded_at;
+        // Save with all metadata fields; point count is always computed here
+        const { name, description, category, uploaderName, data, configName, version } = req.body;
+        // The owner secret is only ever returned here; we keep just its hash
+        const ownerSecret = generateSecret();
+        const entry = await store.createEntry({
+            name: name?.trim() || '',
+            mimetype: 'application/json',
+            data,
+            description: description?.trim() || '',
+            category: category?.trim() || '',
+            uploaderName: uploaderName?.trim() || '',
+            pointCount: summary.pointCount,
+            configName: configName?.trim() || summary.configName || '',
+            version: version?.trim() || semver.INITIAL_VERSION,
+            contentHash: summary.contentHash,
+            ownerSecretHash: hashSecret(ownerSecret)
+        });
+        await limiter.useQuota(normalizeBlockValue('uploader', uploaderName));
+        metrics.countBytes('upload', summary.dataSize);
+        publishEvent('upload', entry);
 
         res.json({ 
             success: true, 
-            dataId: newId.toString().padStart(16, '0'),
-            uploadedAt,
-            message: 'Data uploaded and saved to database!'
+            dataId: formatId(entry.id),
+            uploadedAt: entry.uploadedAt,
+            summary: { ...summary, storedSize: entry.storedSize },
+            ownerSecret,
+            message: 'Data uploaded and saved to database! Keep the owner secret, it is needed to update or delete this config.'
         });
     } catch (error) {
         console.error('Upload error:', error);
@@ -70,111 +549,338 @@ app.post('/api/v1/data/upload', upload.none(), async (req, res) => {
     }
 });
 
-// Download data by ID (from PostgreSQL)
-app.get('/api/v1/data/download/:id', async (req, res) => {
+// Fork a config: a new config with its own owner secret, starting from the
+// parent's current data or from one of its versions (`fromVersion`). Metadata
+// defaults to the parent's; `data` replaces the copied data. Counts as an upload.
+app.post('/api/v1/data/fork/:id', validateRequest('forkConfig'), guardWrites('upload'), async (req, res) => {
     try {
-        // Remove leading zeros from the ID for database lookup
-        const rawId = req.params.id.replace(/^0+/, '');
-        // Validate that rawId is a valid integer
-        if (!rawId || isNaN(rawId)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid ID format'
-            });
+        const rawId = req.params.id;
+        const { fromVersion } = req.body;
+        const parent = await store.getEntry(rawId);
+        if (!parent || !canView(req, parent)) {
+            return res.status(404).json({ success: false, error: 'Data not found' });
+        }
+        const source = fromVersion ? await store.getVersion(rawId, fromVersion) : parent;
+        if (!source) {
+            return res.status(404).json({ success: false, error: 'Version not found' });
+        }
+        const fields = {
+            name: `${parent.name || ''} (fork)`.slice(0, 100),
+            description: parent.description || '',
+            category: parent.category || '',
+            configName: parent.configName || '',
+            version: source.version || '',
+            data: dataToString(source.data)
+        };
+        for (const field of [...Object.keys(fields), 'uploaderName']) {
+            if (req.body[field] !== undefined) {
+                fields[field] = req.body[field];
+            }
+        }
+        const { errors, summary } = inspectData(fields.data);
+        if (errors.length) {
+            return res.status(400).json(dataErrorBody(errors));
+        }
+        // Forks may start out identical to their parent, so there is no duplicate check
+        const ownerSecret = generateSecret();
+        const entry = await store.createEntry({
+            name: fields.name.trim(),
+            mimetype: 'application/json',
+            data: fields.data,
+            description: fields.description.trim(),
+            category: fields.category.trim(),
+            uploaderName: fields.uploaderName.trim(),
+            pointCount: summary.pointCount,
+            configName: fields.configName.trim() || summary.configName || '',
+            version: fields.version.trim() || semver.INITIAL_VERSION,
+            contentHash: summary.contentHash,
+            ownerSecretHash: hashSecret(ownerSecret),
+            parentId: parent.id,
+            parentVersion: source.version || '',
+            parentHash: source.contentHash || contentHash(dataToString(source.data))
+        });
+        await limiter.useQuota(normalizeBlockValue('uploader', fields.uploaderName));
+        metrics.countBytes('upload', summary.dataSize);
+        publishEvent('upload', entry);
+
+        return res.json({
+            success: true,
+            dataId: formatId(entry.id),
+            parentId: formatId(parent.id),
+            forkedFromVersion: source.version || '',
+            uploadedAt: entry.uploadedAt,
+            summary: { ...summary, storedSize: entry.storedSize },
+            ownerSecret,
+            message: 'Config forked! Keep the owner secret, it is needed to update or delete the fork.'
+        });
+    } catch (error) {
+        console.error('Fork error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Visible direct forks of a config (paged and sorted like /list)
+app.get('/api/v1/data/:id/forks', validateRequest('listForks'), async (req, res) => {
+    try {
+        const rawId = req.params.id;
+        const sort = req.query.sort || 'newest';
+        const entry = await store.getEntry(rawId);
+        if (!entry || !canView(req, entry)) {
+            return res.status(404).json({ success: false, error: 'Data not found' });
+        }
+        const { page, limit, offset } = parsePaging(req.query);
+        const { entries, total } = await store.listEntries({ parentId: entry.id, status: 'visible', sort, order: req.query.order, limit, offset });
+        return res.json({
+            success: true,
+            data: entries.map(formatSummary),
+            pagination: paginationInfo(page, limit, total)
+        });
+    } catch (error) {
+        console.error('Forks error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Ancestors of a fork, parent first. A deleted ancestor ends the chain and is
+// reported as deletedAncestorId; hidden ones are shown without their metadata.
+app.get('/api/v1/data/:id/ancestry', validateRequest('getAncestry'), async (req, res) => {
+    try {
+        const rawId = req.params.id;
+        const entry = await store.getEntry(rawId);
+        if (!entry || !canView(req, entry)) {
+            return res.status(404).json({ success: false, error: 'Data not found' });
+        }
+        const ancestors = await store.getAncestry(entry.id, MAX_ANCESTRY_DEPTH);
+        const last = ancestors.length ? ancestors[ancestors.length - 1] : entry;
+        const truncated = ancestors.length === MAX_ANCESTRY_DEPTH && Boolean(last.parentId);
+        return res.json({
+            success: true,
+            id: formatId(entry.id),
+            ancestors: ancestors.map(ancestor => canView(req, ancestor)
+                ? formatSummary(ancestor)
+                : { id: formatId(ancestor.id), status: ancestor.status }),
+            deletedAncestorId: last.parentId && !truncated ? formatId(last.parentId) : null,
+            truncated
+        });
+    } catch (error) {
+        console.error('Ancestry error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Suggested update for a fork: whether its parent has a newer version than
+// the one the fork copied, the parent's changes since, and a diff summary of
+// what pulling it (POST /data/:id/pull-parent) would change in the fork
+app.get('/api/v1/data/:id/parent-update', validateRequest('getParentUpdate'), async (req, res) => {
+    try {
+        const rawId = req.params.id;
+        const entry = await store.getEntry(rawId);
+        if (!entry || !canView(req, entry)) {
+            return res.status(404).json({ success: false, error: 'Data not found' });
+        }
+        if (!entry.parentId) {
+            return res.status(400).json({ success: false, error: 'This config is not a fork' });
+        }
+        const [history] = await store.getUpdateHistory([entry.parentId]);
+        if (!history || history.entry.status === 'hidden') {
+            return res.json({ success: true, parentId: formatId(entry.parentId), available: false, parentDeleted: true });
+        }
+        const update = checkParentUpdate(entry, history);
+        if (update.available) {
+            const parent = await store.getEntry(entry.parentId);
+            try {
+                update.diff = diffJson(JSON.parse(dataToString(entry.data)), JSON.parse(dataToString(parent.data))).summary;
+            } catch (e) {
+                update.diff = null;
+            }
+        }
+        return res.json({ success: true, ...update });
+    } catch (error) {
+        console.error('Parent update error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Replace a fork's data with its parent's current data as a new version of
+// the fork (same auth as update)
+app.post('/api/v1/data/:id/pull-parent', validateRequest('pullParent'), guardWrites('update'), async (req, res) => {
+    try {
+        const rawId = req.params.id;
+        const entry = await store.getEntry(rawId);
+        if (!entry) {
+            return res.status(404).json({ success: false, error: 'Data not found' });
+        }
+        if (!entry.parentId) {
+            return res.status(400).json({ success: false, error: 'This config is not a fork' });
+        }
+        const allowed = authorize(req, entry, 'update') ||
+            (req.body.token && await store.consumeUpdateToken(rawId, hashSecret(req.body.token)));
+        if (!allowed) {
+            return res.status(403).json({ success: false, error: 'Invalid or expired token' });
+        }
+        // Only a visible parent's data is passed on, even to those who may see the others
+        const parent = await store.getEntry(entry.parentId);
+        if (!parent || !canView(req, parent)) {
+            return res.status(404).json({ success: false, error: 'Parent config not found' });
+        }
+        if (parent.status !== 'visible') {
+            return res.status(409).json({ success: false, error: `The parent config is ${parent.status}`, parentVersion: parent.version || '' });
+        }
+        if (parent.contentHash === entry.parentHash) {
+            return res.status(409).json({ success: false, error: 'Already up to date with the parent', parentVersion: parent.version || '' });
+        }
+        const data = dataToString(parent.data);
+        const { summary } = inspectData(data);
+        const changes = req.body.changes?.trim()
+            ? req.body.changes
+            : `Pulled ${parent.version || 'latest'} from ${formatId(parent.id)}`;
+        const result = await store.updateEntry(rawId, {
+            data,
+            plan: versionPlan({}),
+            changes,
+            pointCount: summary.pointCount,
+            contentHash: summary.contentHash
+        });
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Data not found' });
+        }
+        if (result.error) {
+            return res.status(409).json({ success: false, error: result.error, currentVersion: result.current.version });
         }
-        const result = await pool.query('SELECT * FROM uploaded_files WHERE id = $1', [rawId]);
-        if (result.rows.length === 0) {
+        const { version } = result;
+        await store.setForkSource(rawId, { parentVersion: parent.version || '', parentHash: parent.contentHash });
+        publishEvent('update', { ...entry, version, pointCount: summary.pointCount, contentHash: summary.contentHash, parentVersion: parent.version || '' }, { changes });
+        return res.json({ success: true, version, pulledVersion: parent.version || '', summary });
+    } catch (error) {
+        console.error('Pull parent error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Download data by ID (latest, or a specific version with ?version=)
+app.get('/api/v1/data/download/:id', validateRequest('downloadConfig'), async (req, res) => {
+    try {
+        const rawId = req.params.id;
+        const entry = await store.getEntry(rawId);
+        if (!entry || !canView(req, entry)) {
             return res.status(404).json({ 
                 success: false, 
                 error: 'Data not found' 
             });
         }
-        const entry = result.rows[0];
+        // ?tag= picks the version the tag points to (latest: the current one)
+        const { tag } = req.query;
+        if (tag && req.query.version) {
+            return res.status(400).json({ success: false, error: 'Send either version or tag' });
+        }
+        const version = tag && tag !== LATEST_TAG ? await store.getTag(rawId, tag) : req.query.version;
+        if (tag && tag !== LATEST_TAG && !version) {
+            return res.status(404).json({ success: false, error: 'Tag not found' });
+        }
+        let source = entry;
+        if (version) {
+            source = await store.getVersion(rawId, version);
+            if (!source) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Version not found'
+                });
+            }
+        }
         // If data is missing or empty, return error
-        if (!entry.data || entry.data.length === 0) {
-            console.error('File data is missing or corrupted in the database:', entry);
+        if (!source.data || source.data.length === 0) {
+            console.error('File data is missing or corrupted in the database:', entry.id, source.version);
             return res.status(500).json({
                 success: false,
                 error: 'File data is missing or corrupted in the database.'
             });
         }
         // Always return the file as a string in a JSON response
-        let fileContent;
-        if (Buffer.isBuffer(entry.data)) {
-            fileContent = entry.data.toString('utf8');
-        } else if (typeof entry.data === 'string') {
-            fileContent = entry.data;
-        } else if (entry.data && entry.data.type === 'Buffer' && Array.isArray(entry.data.data)) {
-            fileContent = Buffer.from(entry.data.data).toString('utf8');
-        } else if (Array.isArray(entry.data)) {
-            fileContent = Buffer.from(entry.data).toString('utf8');
-        } else {
-            // Unknown type
+        const fileContent = dataToString(source.data);
+        if (fileContent === null) {
             return res.status(500).json({
                 success: false,
                 error: 'Unhandled file data type in database.'
             });
         }
-        return res.json({ success: true, data: fileContent });
+        // Conditional download: the (weak) ETag is the hash of the data, so a
+        // client that already has this data gets a 304 without the body
+        res.set('ETag', `W/"${source.contentHash || contentHash(fileContent)}"`);
+        res.set('Last-Modified', new Date(source === entry ? entry.lastUpdate || entry.uploadedAt : source.createdAt).toUTCString());
+        res.set('Cache-Control', 'no-cache');
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+        // A failed count shouldn't fail the download
+        try {
+            await store.recordDownload(rawId, clientKey(req), DOWNLOAD_DEDUP_WINDOW);
+        } catch (error) {
+            console.error('Download count error:', error);
+        }
+        metrics.countBytes('download', Buffer.byteLength(fileContent));
+        // ?format=raw sends the data.json itself instead of a string wrapped in JSON
+        if (req.query.format === 'raw') {
+            res.set('X-Config-Version', source.version || '');
+            return res.type('application/json').send(fileContent);
+        }
+        return res.json({
+            success: true,
+            data: fileContent,
+            version: source.version || '',
+            size: Buffer.byteLength(fileContent),
+            rating: entry.rating || { average: null, count: 0 },
+            commentCount: entry.commentCount || 0
+        });
     } catch (error) {
         console.error('Download error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        res.status(500).json({ success: false, error: 'Internal server error' });
     }
 });
 
-// List data with pagination and filtering (from PostgreSQL)
-app.get('/api/v1/data/list', async (req, res) => {
+// List data with filtering and sorting (?sort= and ?order=asc|desc). Pages are
+// either numbered (?page=) or continue from the `nextCursor` of the previous
+// page (?cursor=); cursors keep their place while configs are added or removed.
+app.get('/api/v1/data/list', validateRequest('listConfigs'), async (req, res) => {
     try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = Math.min(parseInt(req.query.limit) || 10, 50); // Max 50 per page
-        const category = req.query.category;
-        let query = 'SELECT id, filename, mimetype, uploaded_at, description, category, uploader_name, point_count, config_name, version FROM uploaded_files';
-        let params = [];
-        if (category && category !== 'All') {
-            query += ' WHERE LOWER(category) = $1';
-            params.push(category.toLowerCase());
-            query += ' ORDER BY uploaded_at DESC LIMIT $2 OFFSET $3';
-            params.push(limit, (page - 1) * limit);
-        } else {
-            query += ' ORDER BY uploaded_at DESC LIMIT $1 OFFSET $2';
-            params.push(limit, (page - 1) * limit);
-        }
-        const result = await pool.query(query, params);
-        // Get total count
-        let countQuery = 'SELECT COUNT(*) FROM uploaded_files';
-        let countParams = [];
-        if (category && category !== 'All') {
-            countQuery += ' WHERE LOWER(category) = $1';
-            countParams.push(category.toLowerCase());
-        }
-        const countResult = await pool.query(countQuery, countParams);
-        const total = parseInt(countResult.rows[0].count, 10);
-        const totalPages = Math.ceil(total / limit);
-        // Map to expected output, use string for id and pad to 16 chars for bigger look
-        const data = result.rows.map(row => ({
-            id: row.id.toString().padStart(16, '0'),
-            name: row.filename || '',
-            description: row.description || '',
-            category: row.category || '',
-            uploaderName: row.uploader_name || '',
-            pointCount: row.point_count || 0,
-            configName: row.config_name || '',
-            version: row.version || '',
-            uploadedAt: row.uploaded_at
-        }));
+        const { page, limit, offset } = parsePaging(req.query, MAX_LIST_LIMIT);
+        let sort = req.query.sort || 'newest';
+        let order = req.query.order || null;
+        let after = null;
+        if (req.query.cursor) {
+            const cursor = decodeCursor(req.query.cursor);
+            if (!cursor || (req.query.sort && req.query.sort !== cursor.sort) || (req.query.order && req.query.order !== cursor.order)) {
+                return res.status(400).json(validationErrorBody([{
+                    path: 'query.cursor',
+                    message: cursor ? 'was made for a different sort or order' : 'is not a valid cursor'
+                }]));
+            }
+            ({ sort, order } = cursor);
+            after = { key: cursor.key, id: cursor.id };
+        }
+        // One extra entry tells whether there is a next page
+        const { entries, total } = await store.listEntries({
+            ...parseFilters(req.query),
+            status: 'visible',
+            sort,
+            order,
+            after,
+            limit: limit + 1,
+            offset
+        });
+        const shown = entries.slice(0, limit);
+        const last = shown[shown.length - 1];
+        const nextCursor = entries.length > limit ? encodeCursor({ sort, order, key: last.sortKey, id: last.id }) : null;
         res.json({
             success: true,
-            data,
-            pagination: {
-                page,
-                limit,
-                total,
-                totalPages,
-                hasNext: page < totalPages,
-                hasPrev: page > 1
-            }
+            data: shown.map(formatSummary),
+            pagination: after
+                ? { limit, total, hasNext: Boolean(nextCursor), nextCursor }
+                : { ...paginationInfo(page, limit, total), nextCursor }
         });
     } catch (error) {
+        if (error.code === 'INVALID_CURSOR') {
+            return res.status(400).json(validationErrorBody([{ path: 'query.cursor', message: 'is not a valid cursor' }]));
+        }
         console.error('List error:', error);
         res.status(500).json({ 
             success: false, 
@@ -183,26 +889,70 @@ app.get('/api/v1/data/list', async (req, res) => {
     }
 });
 
-// Search data (from PostgreSQL)
-app.get('/api/v1/data/search', async (req, res) => {
+// Configs ranked by recent download velocity (?days=7&limit=10&category=)
+app.get('/api/v1/data/trending', validateRequest('getTrending'), async (req, res) => {
+    try {
+        const days = Math.min(req.query.days || 7, MAX_TRENDING_DAYS);
+        const limit = Math.min(req.query.limit || 10, 50);
+        const category = req.query.category;
+        const entries = await store.getTrending({
+            since: new Date(Date.now() - days * 24 * 60 * 60 * 1000),
+            halfLifeMs: TRENDING_HALF_LIFE,
+            limit,
+            category: category && category !== 'All' ? category : null,
+            status: 'visible'
+        });
+        res.json({
+            success: true,
+            data: entries.map(entry => ({
+                ...formatSummary(entry),
+                recentDownloads: entry.recentDownloads,
+                score: entry.score
+            })),
+            days
+        });
+    } catch (error) {
+        console.error('Trending error:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Internal server error' 
+        });
+    }
+});
+
+// Ranked search over name, description, uploader, category and config name.
+// Takes the same page/limit as /list plus category, uploader, version and from/to filters.
+app.get('/api/v1/data/search', validateRequest('searchConfigs'), async (req, res) => {
     try {
         const query = req.query.q;
-        if (!query || query.trim().length === 0) {
+        const terms = parseTerms(query);
+        if (terms.length === 0) {
             return res.status(400).json({ 
                 success: false, 
                 error: 'Search query required' 
             });
         }
-        const searchTerm = `%${query.toLowerCase().trim()}%`;
-        const result = await pool.query(
-            `SELECT id, filename, mimetype, uploaded_at FROM uploaded_files WHERE LOWER(filename) LIKE $1 OR LOWER(mimetype) LIKE $1 ORDER BY uploaded_at DESC LIMIT 50`,
-            [searchTerm]
-        );
+        const filters = parseFilters(req.query);
+        const { page, limit, offset } = parsePaging(req.query);
+        const { entries, total } = await store.searchEntries({ terms, limit, offset, ...filters, status: 'visible' });
+        const collections = page === 1
+            ? await store.searchCollections({ terms, limit: SEARCH_COLLECTIONS, offset: 0 })
+            : { collections: [], total: 0 };
         res.json({ 
             success: true, 
-            data: result.rows,
+            data: entries.map(entry => ({
+                ...formatSummary(entry),
+                rank: entry.rank,
+                highlights: entry.highlights
+            })),
+            collections: collections.collections.map(collection => ({
+                ...formatCollection(collection),
+                rank: collection.rank,
+                highlights: collection.highlights
+            })),
+            pagination: paginationInfo(page, limit, total),
             query: query,
-            count: result.rows.length
+            count: entries.length
         });
     } catch (error) {
         console.error('Search error:', error);
@@ -213,17 +963,154 @@ app.get('/api/v1/data/search', async (req, res) => {
     }
 });
 
-// Get statistics (from PostgreSQL)
-app.get('/api/v1/stats', async (req, res) => {
+// Rate a config 1-5. One rating per client; rating again replaces it.
+app.post('/api/v1/data/rate/:id', validateRequest('rateConfig'), guardWrites('rate'), async (req, res) => {
+    try {
+        const rawId = req.params.id;
+        const { rating } = req.body;
+        const entry = await store.getEntry(rawId);
+        if (!entry || !canView(req, entry)) {
+            return res.status(404).json({ success: false, error: 'Data not found' });
+        }
+        const aggregate = await store.rateEntry(rawId, clientKey(req), rating);
+        return res.json({ success: true, rating: aggregate, yourRating: rating });
+    } catch (error) {
+        console.error('Rate error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// List comments on a config, newest first
+app.get('/api/v1/data/comments/:id', validateRequest('listComments'), async (req, res) => {
+    try {
+        const rawId = req.params.id;
+        const entry = await store.getEntry(rawId);
+        if (!entry || !canView(req, entry)) {
+            return res.status(404).json({ success: false, error: 'Data not found' });
+        }
+        const { page, limit, offset } = parsePaging(req.query);
+        const { comments, total } = await store.listComments(rawId, { limit, offset });
+        return res.json({
+            success: true,
+            data: comments.map(formatComment),
+            pagination: paginationInfo(page, limit, total)
+        });
+    } catch (error) {
+        console.error('Comments error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Post a comment. The returned commentSecret lets its author delete it later.
+app.post('/api/v1/data/comments/:id', validateRequest('addComment'), guardWrites('comment'), async (req, res) => {
+    try {
+        const rawId = req.params.id;
+        const { author, text } = req.body;
+        const entry = await store.getEntry(rawId);
+        if (!entry || !canView(req, entry)) {
+            return res.status(404).json({ success: false, error: 'Data not found' });
+        }
+        const commentSecret = generateSecret();
+        const comment = await store.addComment(rawId, {
+            author: author.trim(),
+            text: text.trim(),
+            secretHash: hashSecret(commentSecret)
+        });
+        return res.json({ success: true, comment: formatComment(comment), commentSecret });
+    } catch (error) {
+        console.error('Comment error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Delete a comment (its author's commentSecret, the config owner, or an admin key with the moderate scope)
+app.delete('/api/v1/data/comments/:id/:commentId', validateRequest('deleteComment'), guardWrites('comment'), async (req, res) => {
+    try {
+        const rawId = req.params.id;
+        const { commentId } = req.params;
+        const entry = await store.getEntry(rawId);
+        const comment = entry && await store.getComment(rawId, commentId);
+        if (!comment) {
+            return res.status(404).json({ success: false, error: 'Comment not found' });
+        }
+        const byAuthor = credentialMatches(req, comment.secretHash);
+        const moderator = byAuthor ? null : authorize(req, entry, 'moderate');
+        if (!byAuthor && !moderator) {
+            return res.status(403).json({ success: false, error: 'Comment secret, owner secret or admin key required' });
+        }
+        await store.deleteComment(rawId, commentId);
+        if (moderator && moderator.type === 'admin') {
+            await logModeration(rawId, 'delete-comment', moderator.name, null, { commentId: comment.id, author: comment.author, text: comment.text });
+        }
+        return res.json({ success: true, message: 'Comment deleted', id: comment.id });
+    } catch (error) {
+        console.error('Comment delete error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Report a config ({ reason, details }). One open report per client; once
+// enough clients have reported it, a visible config goes up for review.
+app.post('/api/v1/data/report/:id', validateRequest('reportConfig'), guardWrites('report'), async (req, res) => {
+    try {
+        const rawId = req.params.id;
+        const { reason, details } = req.body;
+        const entry = await store.getEntry(rawId);
+        if (!entry || !canView(req, entry)) {
+            return res.status(404).json({ success: false, error: 'Data not found' });
+        }
+        const reporterHash = clientKey(req);
+        if (await store.findOpenReport(rawId, reporterHash)) {
+            return res.status(409).json({ success: false, error: 'You already reported this config' });
+        }
+        const { report, openReports } = await store.addReport(rawId, {
+            reason,
+            details: details ? details.trim() : null,
+            reporterHash
+        });
+        if (entry.status === 'visible' && openReports >= REPORT_REVIEW_THRESHOLD) {
+            await store.setEntryStatus(rawId, 'pending');
+            discardStats();
+            await logModeration(rawId, 'review', 'system', `${openReports} open reports`, { from: 'visible', to: 'pending' });
+        }
+        return res.json({ success: true, message: 'Report received', reportId: report.id });
+    } catch (error) {
+        console.error('Report error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Get statistics with uploads and updates per day or week
+// (?interval=week&from=2026-01-01&to=2026-03-31), from the latest snapshot of
+// the range (see refreshStats)
+app.get('/api/v1/stats', validateRequest('getStats'), async (req, res) => {
     try {
-        const totalResult = await pool.query('SELECT COUNT(*) FROM uploaded_files');
-        const totalEntries = parseInt(totalResult.rows[0].count, 10);
-        const recentResult = await pool.query('SELECT id, filename, mimetype, uploaded_at FROM uploaded_files ORDER BY uploaded_at DESC LIMIT 5');
+        const range = statsRange(req.query);
+        const buckets = Math.round((range.to - range.from) / (addBuckets(range.from, range.interval, 1) - range.from));
+        if (buckets < 1) {
+            return res.status(400).json(validationErrorBody([{ path: 'query.from', message: 'must not be after to' }]));
+        }
+        if (buckets > MAX_STATS_BUCKETS) {
+            return res.status(400).json(validationErrorBody([{ path: 'query.from', message: `must be less than ${MAX_STATS_BUCKETS} ${range.interval}s before to` }]));
+        }
+        const cached = statsSnapshots.get(range.key);
+        const fresh = cached && Date.now() - cached.generatedAt < STATS_MAX_AGE;
+        const { stats, generatedAt } = fresh ? cached : await refreshStats(range);
+        const last = addBuckets(range.to, 'day', -1);
         res.json({ 
             success: true, 
             data: {
-                totalEntries,
-                recentUploads: recentResult.rows
+                ...stats,
+                recentUploads: stats.recentUploads.map(formatSummary),
+                activity: {
+                    interval: range.interval,
+                    from: range.from.toISOString().slice(0, 10),
+                    to: last.toISOString().slice(0, 10),
+                    uploads: stats.activity.reduce((sum, bucket) => sum + bucket.uploads, 0),
+                    updates: stats.activity.reduce((sum, bucket) => sum + bucket.updates, 0),
+                    buckets: stats.activity
+                },
+                generatedAt: generatedAt.toISOString()
             }
         });
     } catch (error) {
@@ -235,144 +1122,858 @@ app.get('/api/v1/stats', async (req, res) => {
     }
 });
 
-// Delete data by ID (requires password)
-app.delete('/api/v1/data/delete/:id', async (req, res) => {
+// Delete data by ID (requires the owner secret or an admin key with the delete scope)
+app.delete('/api/v1/data/delete/:id', validateRequest('deleteConfig'), async (req, res) => {
     try {
-        const rawId = req.params.id.replace(/^0+/, '');
-        const password = req.body.password || req.query.password;
-        const HARDCODED_PASSWORD = 'Sico13245';
-        if (password !== HARDCODED_PASSWORD) {
-            return res.status(403).json({ success: false, error: 'Invalid password' });
+        const rawId = req.params.id;
+        const entry = await store.getEntry(rawId);
+        if (!entry) {
+            return res.status(404).json({ success: false, error: 'Data not found' });
         }
-        if (!rawId || isNaN(rawId)) {
-            return res.status(400).json({ success: false, error: 'Invalid ID format' });
+        const actor = authorize(req, entry, 'delete');
+        if (!actor) {
+            return res.status(403).json({ success: false, error: 'Owner secret or admin key required' });
         }
-        const result = await pool.query('DELETE FROM uploaded_files WHERE id = $1 RETURNING id', [rawId]);
-        if (result.rowCount === 0) {
+        const deleted = await store.deleteEntry(rawId);
+        if (!deleted) {
             return res.status(404).json({ success: false, error: 'Data not found' });
         }
-        return res.json({ success: true, message: 'Config deleted', id: rawId });
+        discardStats();
+        if (actor.type === 'admin') {
+            await logModeration(rawId, 'delete', actor.name, null, { name: entry.name, uploaderName: entry.uploaderName });
+        }
+        publishEvent('delete', entry);
+        return res.json({ success: true, message: 'Config deleted', id: formatId(entry.id) });
     } catch (error) {
         console.error('Delete error:', error);
         res.status(500).json({ success: false, error: 'Internal server error' });
     }
 });
 
-// Generate a one-time update token for a config
-app.get('/api/v1/data/token/:id', async (req, res) => {
+// Generate a one-time update token for a config (requires the owner secret or an admin key)
+app.get('/api/v1/data/token/:id', validateRequest('getUpdateToken'), guardWrites('token'), async (req, res) => {
     try {
-        const rawId = req.params.id.replace(/^0+/, '');
-        const result = await pool.query('SELECT * FROM uploaded_files WHERE id = $1', [rawId]);
-        if (result.rows.length === 0) {
+        const rawId = req.params.id;
+        const entry = await store.getEntry(rawId);
+        if (!entry) {
             return res.status(404).json({ success: false, error: 'Data not found' });
         }
-        // Generate a random token
-        const token = crypto.randomBytes(16).toString('hex');
-        updateTokens[rawId] = token;
-        setTimeout(() => { delete updateTokens[rawId]; }, 10 * 60 * 1000); // Token expires in 10 min
-        return res.json({ success: true, token });
+        if (!authorize(req, entry, 'update')) {
+            return res.status(403).json({ success: false, error: 'Owner secret or admin key required' });
+        }
+        // Generate a random token; only its hash is stored
+        const token = generateSecret();
+        const expiresAt = new Date(Date.now() + UPDATE_TOKEN_TTL);
+        await store.saveUpdateToken(rawId, hashSecret(token), expiresAt);
+        return res.json({ success: true, token, expiresAt });
     } catch (error) {
         console.error('Token error:', error);
         res.status(500).json({ success: false, error: 'Internal server error' });
     }
 });
 
-// Update config by ID using a one-time token
-app.post('/api/v1/data/update/:id', async (req, res) => {
+// Update config by ID using a one-time token, the owner secret or an admin key
+app.post('/api/v1/data/update/:id', validateRequest('updateConfig'), guardWrites('update'), async (req, res) => {
     try {
-        const rawId = req.params.id.replace(/^0+/, '');
-        const { changes, token, data } = req.body;
-        if (!token || updateTokens[rawId] !== token) {
+        const rawId = req.params.id;
+        const { changes, token, data, bump, preid, tag } = req.body;
+        const version = req.body.version?.trim() || null;
+        if (version && (bump || preid)) {
+            return res.status(400).json({ success: false, error: 'Send either an explicit version or a bump' });
+        }
+        if (tag === LATEST_TAG || preid === LATEST_TAG) {
+            return res.status(400).json({ success: false, error: `The ${LATEST_TAG} tag always points to the current version` });
+        }
+        const { errors, summary } = inspectData(data);
+        if (errors.length) {
+            return res.status(400).json(dataErrorBody(errors));
+        }
+        // Get current version; tokens come from the owner, so they may update hidden configs too
+        const entry = await store.getEntry(rawId);
+        if (!entry || !(token || canView(req, entry))) {
+            return res.status(404).json({ success: false, error: 'Data not found' });
+        }
+        // Tokens are consumed as they are checked, so each works only once
+        const allowed = authorize(req, entry, 'update') ||
+            (token && await store.consumeUpdateToken(rawId, hashSecret(token)));
+        if (!allowed) {
             return res.status(403).json({ success: false, error: 'Invalid or expired token' });
         }
-        if (!changes || typeof changes !== 'string' || !data) {
-            return res.status(400).json({ success: false, error: 'Missing changes or data' });
+        // The conflict shows the current version, so only authorized callers get
+        // it; the store checks again under its lock, in case another update
+        // lands in between
+        const precondition = updatePrecondition(req);
+        const current = { version: entry.version || '', contentHash: entry.contentHash };
+        if (precondition && !precondition(current)) {
+            return res.status(409).json(await conflictBody(req, rawId, current));
         }
-        // Get current version
-        const result = await pool.query('SELECT * FROM uploaded_files WHERE id = $1', [rawId]);
-        if (result.rows.length === 0) {
+        // Store the new data, version and changelog entry; the version is
+        // planned under the store's lock so concurrent updates never share one
+        const result = await store.updateEntry(rawId, {
+            data,
+            plan: versionPlan({ bump, preid, version, tag }),
+            precondition,
+            changes,
+            pointCount: summary.pointCount,
+            contentHash: summary.contentHash
+        });
+        if (!result) {
             return res.status(404).json({ success: false, error: 'Data not found' });
         }
-        const entry = result.rows[0];
-        // Parse and bump version
-        let version = entry.version || '1.0.0';
-        let [major, minor, patch] = version.split('.').map(Number);
-        patch = (patch || 0) + 1;
-        version = `${major || 1}.${minor || 0}.${patch}`;
-        // Update the config
-        await pool.query(
-            'UPDATE uploaded_files SET data = $1, version = $2, last_update = NOW(), last_changes = $3 WHERE id = $4',
-            [Buffer.from(data), version, changes, rawId]
-        );
-        // Insert changelog entry
-        await pool.query(
-            'INSERT INTO uploaded_files_changelog (config_id, version, date, changes) VALUES ($1, $2, NOW(), $3)',
-            [rawId, version, changes]
-        );
-        delete updateTokens[rawId]; // Invalidate token
-        return res.json({ success: true, version });
+        if (result.conflict) {
+            return res.status(409).json(await conflictBody(req, rawId, result.conflict));
+        }
+        if (result.error) {
+            return res.status(409).json({ success: false, error: result.error, currentVersion: result.current.version });
+        }
+        metrics.countBytes('upload', summary.dataSize);
+        // Pre-releases are only fetched by version or tag, so followers of the
+        // config aren't told about them
+        if (!result.prerelease) {
+            publishEvent('update', { ...entry, version: result.version, pointCount: summary.pointCount, contentHash: summary.contentHash }, { changes });
+            res.set('ETag', `W/"${summary.contentHash}"`);
+        }
+        return res.json({ success: true, version: result.version, prerelease: result.prerelease, tags: result.tags, summary });
     } catch (error) {
         console.error('Update error:', error);
         res.status(500).json({ success: false, error: 'Internal server error' });
     }
 });
 
+// List the stored versions of a config (newest first, without data)
+app.get('/api/v1/data/versions/:id', validateRequest('listVersions'), async (req, res) => {
+    try {
+        const rawId = req.params.id;
+        const entry = await store.getEntry(rawId);
+        if (!entry || !canView(req, entry)) {
+            return res.status(404).json({ success: false, error: 'Data not found' });
+        }
+        const [versions, tags] = await Promise.all([store.listVersions(rawId), store.listTags(rawId)]);
+        return res.json({
+            success: true,
+            current: entry.version || '',
+            tags: Object.fromEntries(tags.map(({ tag, version }) => [tag, version])),
+            versions
+        });
+    } catch (error) {
+        console.error('Versions error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Tags of a config, starting with `latest` (the current version)
+app.get('/api/v1/data/:id/tags', validateRequest('listTags'), async (req, res) => {
+    try {
+        const rawId = req.params.id;
+        const entry = await store.getEntry(rawId);
+        if (!entry || !canView(req, entry)) {
+            return res.status(404).json({ success: false, error: 'Data not found' });
+        }
+        const latest = { tag: LATEST_TAG, version: entry.version || '', updatedAt: entry.lastUpdate || entry.uploadedAt };
+        return res.json({ success: true, tags: [latest, ...await store.listTags(rawId)] });
+    } catch (error) {
+        console.error('Tags error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Point a tag at a stored version, e.g. stable at the last tested release
+app.put('/api/v1/data/:id/tags/:tag', validateRequest('setTag'), guardWrites('update'), async (req, res) => {
+    try {
+        const rawId = req.params.id;
+        const { tag } = req.params;
+        const entry = await store.getEntry(rawId);
+        if (!entry) {
+            return res.status(404).json({ success: false, error: 'Data not found' });
+        }
+        if (!authorize(req, entry, 'update')) {
+            return res.status(403).json({ success: false, error: 'Owner secret or admin key required' });
+        }
+        if (tag === LATEST_TAG) {
+            return res.status(400).json({ success: false, error: `The ${LATEST_TAG} tag always points to the current version` });
+        }
+        const { version } = req.body;
+        if (!await store.getVersion(rawId, version)) {
+            return res.status(404).json({ success: false, error: 'Version not found' });
+        }
+        await store.setTag(rawId, tag, version);
+        return res.json({ success: true, tag: { tag, version, updatedAt: new Date().toISOString() } });
+    } catch (error) {
+        console.error('Set tag error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/v1/data/:id/tags/:tag', validateRequest('deleteTag'), guardWrites('update'), async (req, res) => {
+    try {
+        const rawId = req.params.id;
+        const { tag } = req.params;
+        const entry = await store.getEntry(rawId);
+        if (!entry) {
+            return res.status(404).json({ success: false, error: 'Data not found' });
+        }
+        if (!authorize(req, entry, 'update')) {
+            return res.status(403).json({ success: false, error: 'Owner secret or admin key required' });
+        }
+        if (tag === LATEST_TAG) {
+            return res.status(400).json({ success: false, error: `The ${LATEST_TAG} tag always points to the current version` });
+        }
+        if (!await store.deleteTag(rawId, tag)) {
+            return res.status(404).json({ success: false, error: 'Tag not found' });
+        }
+        return res.json({ success: true, message: 'Tag deleted' });
+    } catch (error) {
+        console.error('Delete tag error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Structural diff between two versions (?from=1.0.1&to=1.0.3, `to` defaults to the current version)
+app.get('/api/v1/data/diff/:id', validateRequest('diffVersions'), async (req, res) => {
+    try {
+        const rawId = req.params.id;
+        const { from } = req.query;
+        const entry = await store.getEntry(rawId);
+        if (!entry || !canView(req, entry)) {
+            return res.status(404).json({ success: false, error: 'Data not found' });
+        }
+        const to = req.query.to || entry.version || '';
+        const [before, after] = await Promise.all([store.getVersion(rawId, from), store.getVersion(rawId, to)]);
+        if (!before || !after) {
+            return res.status(404).json({ success: false, error: `Version not found: ${before ? to : from}` });
+        }
+        let beforeJson, afterJson;
+        try {
+            beforeJson = JSON.parse(dataToString(before.data));
+            afterJson = JSON.parse(dataToString(after.data));
+        } catch (e) {
+            return res.status(422).json({ success: false, error: 'Stored data is not valid JSON' });
+        }
+        return res.json({ success: true, from, to, ...diffJson(beforeJson, afterJson) });
+    } catch (error) {
+        console.error('Diff error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Restore an earlier version's data as a new version (same auth as update)
+app.post('/api/v1/data/rollback/:id', validateRequest('rollbackConfig'), guardWrites('update'), async (req, res) => {
+    try {
+        const rawId = req.params.id;
+        const { version: target, token } = req.body;
+        const entry = await store.getEntry(rawId);
+        if (!entry) {
+            return res.status(404).json({ success: false, error: 'Data not found' });
+        }
+        const allowed = authorize(req, entry, 'update') ||
+            (token && await store.consumeUpdateToken(rawId, hashSecret(token)));
+        if (!allowed) {
+            return res.status(403).json({ success: false, error: 'Invalid or expired token' });
+        }
+        const previous = await store.getVersion(rawId, target);
+        if (!previous) {
+            return res.status(404).json({ success: false, error: 'Version not found' });
+        }
+        const changes = req.body.changes?.trim()
+            ? req.body.changes
+            : `Rolled back to ${target}`;
+        const data = dataToString(previous.data);
+        const { summary } = inspectData(data);
+        const result = await store.updateEntry(rawId, {
+            data,
+            plan: versionPlan({}),
+            changes,
+            pointCount: summary.pointCount,
+            contentHash: summary.contentHash
+        });
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Data not found' });
+        }
+        if (result.error) {
+            return res.status(409).json({ success: false, error: result.error, currentVersion: result.current.version });
+        }
+        const { version } = result;
+        publishEvent('update', { ...entry, version, pointCount: summary.pointCount, contentHash: summary.contentHash }, { changes });
+        return res.json({ success: true, version, restoredFrom: target });
+    } catch (error) {
+        console.error('Rollback error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
 // Changelog endpoint: returns full changelog history for a config
-app.get('/api/v1/data/changelog/:id', async (req, res) => {
+app.get('/api/v1/data/changelog/:id', validateRequest('getChangelog'), async (req, res) => {
     try {
-        const rawId = req.params.id.replace(/^0+/, '');
-        // Query the changelog table for this config
-        const result = await pool.query(
-            'SELECT version, date, changes FROM uploaded_files_changelog WHERE config_id = $1 ORDER BY date DESC',
-            [rawId]
-        );
-        if (result.rows.length === 0) {
+        const rawId = req.params.id;
+        const entry = await store.getEntry(rawId);
+        if (!entry || !canView(req, entry)) {
+            return res.status(404).json({ success: false, error: 'Data not found' });
+        }
+        const changelog = await store.getChangelog(rawId);
+        if (changelog.length === 0) {
             // Fallback: show current version if no changelog history exists
-            const fallback = await pool.query('SELECT version, last_update AS date, last_changes AS changes FROM uploaded_files WHERE id = $1', [rawId]);
-            if (fallback.rows.length === 0) {
-                return res.status(404).json({ success: false, error: 'Data not found' });
-            }
-            const row = fallback.rows[0];
-            if (!row.version && !row.date && !row.changes) {
+            if (!entry.version && !entry.lastUpdate && !entry.lastChanges) {
                 return res.json({ success: true, changelog: [] });
             }
             return res.json({ success: true, changelog: [{
-                version: row.version || '',
-                date: row.date || '',
-                changes: row.changes || ''
+                version: entry.version || '',
+                date: entry.lastUpdate || '',
+                changes: entry.lastChanges || ''
             }] });
         }
         // Return full changelog history
-        return res.json({ success: true, changelog: result.rows });
+        return res.json({ success: true, changelog });
     } catch (error) {
         console.error('Changelog error:', error);
         res.status(500).json({ success: false, error: 'Internal server error' });
     }
 });
 
-// Add validateEntry function
-function validateEntry(entry) {
-    const required = ['name', 'description', 'data', 'uploaderName'];
-    for (const field of required) {
-        if (!entry[field] || entry[field].toString().trim().length === 0) {
-            return `Missing required field: ${field}`;
+// Check many installed configs for updates at once. Takes
+// { configs: [{ id, version } | { id, hash }] }; each result is current,
+// outdated, deleted or (for a malformed ID) invalid.
+app.post('/api/v1/data/check-updates', validateRequest('checkUpdates'), async (req, res) => {
+    try {
+        const configs = Array.isArray(req.body) ? req.body : req.body.configs;
+        const rawIds = configs.map(item => String(item.id).replace(/^0+/, ''));
+        const valid = rawIds.map(rawId => /^\d+$/.test(rawId) && Number(rawId) <= 2147483647);
+        const ids = [...new Set(rawIds.filter((rawId, i) => valid[i]).map(Number))];
+        const histories = await store.getUpdateHistory(ids);
+        const byId = new Map(histories.map(history => [history.entry.id, history]));
+        // Forks also get their parent's newer version as a suggested update
+        const parentIds = [...new Set(histories.map(history => history.entry.parentId).filter(Boolean))];
+        const parents = parentIds.length ? await store.getUpdateHistory(parentIds) : [];
+        const parentById = new Map(parents.map(history => [history.entry.id, history]));
+        const results = configs.map((item, i) => {
+            if (!valid[i]) {
+                return { id: String(item.id), status: 'invalid', error: 'Invalid ID format' };
+            }
+            const history = byId.get(Number(rawIds[i]));
+            if (!history || history.entry.status === 'hidden') {
+                return { id: formatId(rawIds[i]), status: 'deleted' };
+            }
+            const result = checkUpdate(item, history);
+            const parent = parentById.get(history.entry.parentId);
+            if (parent && parent.entry.status !== 'hidden') {
+                const { available, parentId, latestVersion, changes } = checkParentUpdate(history.entry, parent);
+                if (available) {
+                    result.parentUpdate = { id: parentId, latestVersion, changes };
+                }
+            }
+            return result;
+        });
+        return res.json({
+            success: true,
+            results,
+            outdated: results.filter(result => result.status === 'outdated').length
+        });
+    } catch (error) {
+        console.error('Check updates error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Live feed of upload, update and delete events (Server-Sent Events).
+// ?category= and ?id= (comma-separated config IDs) narrow it down; after a
+// reconnect, events since Last-Event-ID are replayed, or a `resync` event
+// (refetch what you show) is sent when some of them are no longer available.
+app.get('/api/v1/events', validateRequest('streamEvents'), (req, res) => {
+    if (events.subscriberCount >= MAX_EVENT_CLIENTS) {
+        return res.status(503).json({ success: false, error: 'Too many live feed clients, try again later' });
+    }
+    const category = (req.query.category || '').trim().toLowerCase();
+    const ids = (req.query.id || '').split(',').map(id => id.trim().replace(/^0+/, '')).filter(Boolean);
+    const matches = event =>
+        (!category || event.data.category.toLowerCase() === category) &&
+        (ids.length === 0 || ids.includes(event.data.id.replace(/^0+/, '')));
+
+    function send(event) {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, at: event.createdAt })}\n\n`);
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.status(200);
+    res.write('retry: 5000\n\n');
+
+    const lastEventId = parseInt(req.get('last-event-id') || req.query.lastEventId, 10);
+    if (!isNaN(lastEventId)) {
+        const { events: missed, complete, latestId } = events.since(lastEventId);
+        if (complete) {
+            missed.filter(matches).forEach(send);
+        } else {
+            send({ id: latestId, type: 'resync', data: {}, createdAt: new Date().toISOString() });
         }
     }
-    // Validate JSON data
+    const unsubscribe = events.subscribe(event => {
+        if (matches(event)) {
+            send(event);
+        }
+    });
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENT_HEARTBEAT_INTERVAL);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+// Create a collection: an ordered list of configs, each pinned to a version
+// ({ name, description, uploaderName, items: [{ id, version }] }). Returns
+// the collection's owner secret, needed to change or delete it.
+app.post('/api/v1/collections', validateRequest('createCollection'), guardWrites('collection'), async (req, res) => {
     try {
-        JSON.parse(entry.data);
-    } catch (e) {
-        return 'Invalid JSON data';
+        const { items, error } = await resolveCollectionItems(req, req.body.items);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        const ownerSecret = generateSecret();
+        const collection = await store.createCollection({
+            name: req.body.name.trim(),
+            description: (req.body.description || '').trim(),
+            uploaderName: req.body.uploaderName.trim(),
+            ownerSecretHash: hashSecret(ownerSecret),
+            items
+        });
+        return res.json({
+            success: true,
+            collectionId: formatId(collection.id),
+            collection: formatCollection(collection),
+            ownerSecret,
+            message: 'Collection created! Keep the owner secret, it is needed to change or delete it.'
+        });
+    } catch (error) {
+        console.error('Collection create error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
     }
-    // Check name length
-    if (entry.name.length > 100) {
-        return 'Name too long (max 100 characters)';
+});
+
+// List collections, newest first, or search them with ?q=
+app.get('/api/v1/collections', validateRequest('listCollections'), async (req, res) => {
+    try {
+        const { page, limit, offset } = parsePaging(req.query);
+        const terms = parseTerms(req.query.q);
+        if (req.query.q !== undefined && terms.length === 0) {
+            return res.status(400).json({ success: false, error: 'Search query required' });
+        }
+        const { collections, total } = terms.length
+            ? await store.searchCollections({ terms, limit, offset })
+            : await store.listCollections({ limit, offset });
+        return res.json({
+            success: true,
+            data: collections.map(collection => ({
+                ...formatCollection(collection),
+                ...(terms.length ? { rank: collection.rank, highlights: collection.highlights } : {})
+            })),
+            pagination: paginationInfo(page, limit, total)
+        });
+    } catch (error) {
+        console.error('Collections error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
     }
-    // Check description length
-    if (entry.description.length > 500) {
-        return 'Description too long (max 500 characters)';
+});
+
+// A collection with its items in order. Each item has the pinned version and
+// the config's metadata, or `missing: true` if the config is gone or hidden.
+app.get('/api/v1/collections/:id', validateRequest('getCollection'), async (req, res) => {
+    try {
+        const rawId = req.params.id;
+        const collection = await store.getCollection(rawId);
+        if (!collection) {
+            return res.status(404).json({ success: false, error: 'Collection not found' });
+        }
+        const histories = await store.getUpdateHistory(collection.items.map(item => item.configId));
+        const byId = new Map(histories.map(history => [history.entry.id, history.entry]));
+        return res.json({
+            success: true,
+            data: {
+                ...formatCollection(collection),
+                items: collection.items.map(item => {
+                    const entry = byId.get(item.configId);
+                    if (!entry || !canView(req, entry)) {
+                        return { id: formatId(item.configId), version: item.version, missing: true };
+                    }
+                    return { id: formatId(item.configId), version: item.version, config: formatSummary(entry) };
+                })
+            }
+        });
+    } catch (error) {
+        console.error('Collection error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
     }
-    return null;
+});
+
+// Every config of a collection at its pinned version in one response. Items
+// whose config or version no longer exists are listed in `missing`.
+app.get('/api/v1/collections/:id/download', validateRequest('downloadCollection'), async (req, res) => {
+    try {
+        const rawId = req.params.id;
+        const collection = await store.getCollection(rawId);
+        if (!collection) {
+            return res.status(404).json({ success: false, error: 'Collection not found' });
+        }
+        const configs = [];
+        const missing = [];
+        for (const item of collection.items) {
+            const entry = await store.getEntry(item.configId);
+            const source = !entry || !canView(req, entry) ? null
+                : item.version === (entry.version || '') ? entry
+                    : await store.getVersion(item.configId, item.version);
+            if (!source) {
+                missing.push({ id: formatId(item.configId), version: item.version });
+                continue;
+            }
+            configs.push({
+                id: formatId(entry.id),
+                name: entry.name || '',
+                category: entry.category || '',
+                configName: entry.configName || '',
+                version: item.version,
+                contentHash: source.contentHash || '',
+                data: dataToString(source.data)
+            });
+            // A failed count shouldn't fail the download
+            try {
+                await store.recordDownload(entry.id, clientKey(req), DOWNLOAD_DEDUP_WINDOW);
+            } catch (error) {
+                console.error('Download count error:', error);
+            }
+        }
+        await store.recordCollectionDownload(collection.id);
+        metrics.countBytes('download', configs.reduce((sum, config) => sum + Buffer.byteLength(config.data), 0));
+        return res.json({
+            success: true,
+            collection: formatCollection(collection),
+            configs,
+            missing
+        });
+    } catch (error) {
+        console.error('Collection download error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Change a collection's name, description or items (owner secret or an admin
+// key with the update scope). New items replace the whole list.
+app.put('/api/v1/collections/:id', validateRequest('updateCollection'), guardWrites('collection'), async (req, res) => {
+    try {
+        const rawId = req.params.id;
+        const collection = await store.getCollection(rawId);
+        if (!collection) {
+            return res.status(404).json({ success: false, error: 'Collection not found' });
+        }
+        if (!authorize(req, collection, 'update')) {
+            return res.status(403).json({ success: false, error: 'Owner secret or admin key required' });
+        }
+        let items;
+        if (req.body.items !== undefined) {
+            const resolved = await resolveCollectionItems(req, req.body.items);
+            if (resolved.error) {
+                return res.status(400).json({ success: false, error: resolved.error });
+            }
+            items = resolved.items;
+        }
+        const updated = await store.updateCollection(rawId, {
+            name: req.body.name !== undefined ? req.body.name.trim() : undefined,
+            description: req.body.description !== undefined ? req.body.description.trim() : undefined,
+            items
+        });
+        return res.json({ success: true, collection: formatCollection(updated) });
+    } catch (error) {
+        console.error('Collection update error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Delete a collection (owner secret or an admin key with the delete scope); its configs stay
+app.delete('/api/v1/collections/:id', validateRequest('deleteCollection'), async (req, res) => {
+    try {
+        const rawId = req.params.id;
+        const collection = await store.getCollection(rawId);
+        if (!collection) {
+            return res.status(404).json({ success: false, error: 'Collection not found' });
+        }
+        const actor = authorize(req, collection, 'delete');
+        if (!actor) {
+            return res.status(403).json({ success: false, error: 'Owner secret or admin key required' });
+        }
+        await store.deleteCollection(rawId);
+        if (actor.type === 'admin') {
+            await logModeration(null, 'delete-collection', actor.name, null, { collectionId: formatId(collection.id), name: collection.name });
+        }
+        return res.json({ success: true, message: 'Collection deleted', id: formatId(collection.id) });
+    } catch (error) {
+        console.error('Collection delete error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Active blocks on IP addresses and uploader names (admin key with the moderate scope)
+app.get('/api/v1/admin/blocks', validateRequest('listBlocks'), async (req, res) => {
+    try {
+        if (!authorize(req, null, 'moderate')) {
+            return res.status(403).json({ success: false, error: 'Admin key required' });
+        }
+        return res.json({ success: true, blocks: await store.listBlocks() });
+    } catch (error) {
+        console.error('Blocks error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Block an IP address or uploader name from upload, token and update,
+// optionally for a limited number of hours
+app.post('/api/v1/admin/blocks', validateRequest('createBlock'), async (req, res) => {
+    try {
+        const admin = authorize(req, null, 'moderate');
+        if (!admin) {
+            return res.status(403).json({ success: false, error: 'Admin key required' });
+        }
+        const { type, value, reason, hours } = req.body;
+        const block = await store.saveBlock({
+            type,
+            value: normalizeBlockValue(type, value),
+            reason: reason ? reason.trim() : null,
+            createdBy: admin.name,
+            expiresAt: hours ? new Date(Date.now() + hours * 60 * 60 * 1000) : null
+        });
+        await logModeration(null, 'block', admin.name, block.reason, { type, value: block.value, expiresAt: block.expiresAt });
+        return res.json({ success: true, block });
+    } catch (error) {
+        console.error('Block error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/v1/admin/blocks/:type/:value', validateRequest('deleteBlock'), async (req, res) => {
+    try {
+        const admin = authorize(req, null, 'moderate');
+        if (!admin) {
+            return res.status(403).json({ success: false, error: 'Admin key required' });
+        }
+        const { type } = req.params;
+        const value = normalizeBlockValue(type, req.params.value);
+        const removed = await store.removeBlock(type, value);
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Block not found' });
+        }
+        await logModeration(null, 'unblock', admin.name, null, { type, value });
+        return res.json({ success: true, message: 'Block removed' });
+    } catch (error) {
+        console.error('Unblock error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Open reports, newest first, with the reported config (?resolved=true for closed ones)
+app.get('/api/v1/admin/reports', validateRequest('listReports'), async (req, res) => {
+    try {
+        if (!authorize(req, null, 'moderate')) {
+            return res.status(403).json({ success: false, error: 'Admin key required' });
+        }
+        const { page, limit, offset } = parsePaging(req.query);
+        const { reports, total } = await store.listReports({ resolved: req.query.resolved === true, limit, offset });
+        return res.json({
+            success: true,
+            data: reports.map(({ configId, entry, ...report }) => ({
+                ...report,
+                configId: formatId(configId),
+                config: entry ? formatSummary(entry) : null
+            })),
+            pagination: paginationInfo(page, limit, total)
+        });
+    } catch (error) {
+        console.error('Reports error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Configs in a moderation state (?status=pending by default, or hidden/visible)
+app.get('/api/v1/admin/data', validateRequest('listConfigsByStatus'), async (req, res) => {
+    try {
+        if (!authorize(req, null, 'moderate')) {
+            return res.status(403).json({ success: false, error: 'Admin key required' });
+        }
+        const status = req.query.status || 'pending';
+        const { page, limit, offset } = parsePaging(req.query);
+        const { entries, total } = await store.listEntries({ status, sort: 'newest', limit, offset });
+        return res.json({
+            success: true,
+            data: entries.map(formatSummary),
+            pagination: paginationInfo(page, limit, total)
+        });
+    } catch (error) {
+        console.error('Moderation list error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Hide, restore or queue a config for review ({ status, reason }). Hiding or
+// restoring closes its open reports.
+app.post('/api/v1/admin/data/:id/status', validateRequest('setConfigStatus'), async (req, res) => {
+    try {
+        const admin = authorize(req, null, 'moderate');
+        if (!admin) {
+            return res.status(403).json({ success: false, error: 'Admin key required' });
+        }
+        const rawId = req.params.id;
+        const { status, reason } = req.body;
+        const entry = await store.getEntry(rawId);
+        if (!entry) {
+            return res.status(404).json({ success: false, error: 'Data not found' });
+        }
+        await store.setEntryStatus(rawId, status);
+        discardStats();
+        const resolvedReports = status === 'pending'
+            ? 0
+            : await store.resolveReports(rawId, { resolution: status === 'hidden' ? 'hidden' : 'dismissed', resolvedBy: admin.name });
+        const action = { visible: 'restore', pending: 'review', hidden: 'hide' }[status];
+        await logModeration(rawId, action, admin.name, reason ? reason.trim() : null, { from: entry.status, to: status, resolvedReports });
+        return res.json({ success: true, id: formatId(rawId), status, previousStatus: entry.status, resolvedReports });
+    } catch (error) {
+        console.error('Moderation error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Moderation audit log, newest first (?id= for one config)
+app.get('/api/v1/admin/moderation-log', validateRequest('listModerationLog'), async (req, res) => {
+    try {
+        if (!authorize(req, null, 'moderate')) {
+            return res.status(403).json({ success: false, error: 'Admin key required' });
+        }
+        const configId = req.query.id || null;
+        const { page, limit, offset } = parsePaging(req.query);
+        const { entries, total } = await store.listModerationLog({ configId, limit, offset });
+        return res.json({
+            success: true,
+            data: entries.map(entry => ({ ...entry, configId: entry.configId ? formatId(entry.configId) : null })),
+            pagination: paginationInfo(page, limit, total)
+        });
+    } catch (error) {
+        console.error('Moderation log error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Stream every config with its changelog as NDJSON (admin key with the export scope)
+app.get('/api/v1/admin/export', validateRequest('exportConfigs'), async (req, res) => {
+    if (!authorize(req, null, 'export')) {
+        return res.status(403).json({ success: false, error: 'Admin key required' });
+    }
+    try {
+        res.set('Content-Type', 'application/x-ndjson');
+        res.set('Content-Disposition', `attachment; filename="bbg-data-${new Date().toISOString().slice(0, 10)}.ndjson"`);
+        for await (const record of exportRecords(store)) {
+            if (res.destroyed) {
+                return;
+            }
+            if (!res.write(`${JSON.stringify(record)}\n`)) {
+                await new Promise(resolve => {
+                    res.once('drain', resolve);
+                    res.once('close', resolve);
+                });
+            }
+        }
+        res.end();
+    } catch (error) {
+        console.error('Export error:', error);
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Import an export (application/x-ndjson) or a legacy storage/database.json
+// (application/json). ?dryRun=true only reports what would be imported.
+app.post('/api/v1/admin/import', validateRequest('importConfigs'), async (req, res) => {
+    try {
+        if (!authorize(req, null, 'import')) {
+            return res.status(403).json({ success: false, error: 'Admin key required' });
+        }
+        const importer = createImporter(store, { dryRun: req.query.dryRun === true });
+        let report;
+        if (req.is('application/x-ndjson')) {
+            report = await importLines(importer, req);
+        } else if (req.is('application/json')) {
+            report = await importDocument(importer, req.body);
+        } else {
+            return res.status(415).json({ success: false, error: 'Send application/x-ndjson or application/json' });
+        }
+        const withIds = item => ({
+            ...item,
+            id: item.id ? formatId(item.id) : null,
+            ...(item.existingId ? { existingId: formatId(item.existingId) } : {})
+        });
+        return res.json({
+            success: true,
+            dryRun: report.dryRun,
+            imported: report.imported,
+            created: report.created.map(withIds),
+            conflicts: report.conflicts.map(withIds),
+            errors: report.errors.map(withIds),
+            warnings: report.warnings.map(withIds)
+        });
+    } catch (error) {
+        console.error('Import error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// Maintenance jobs with their schedule and last run (admin key with the jobs scope)
+app.get('/api/v1/admin/jobs', validateRequest('listJobs'), (req, res) => {
+    if (!authorize(req, null, 'jobs')) {
+        return res.status(403).json({ success: false, error: 'Admin key required' });
+    }
+    return res.json({ success: true, jobs: jobs.list() });
+});
+
+// One job with its recent runs, newest first
+app.get('/api/v1/admin/jobs/:name', validateRequest('getJob'), (req, res) => {
+    if (!authorize(req, null, 'jobs')) {
+        return res.status(403).json({ success: false, error: 'Admin key required' });
+    }
+    const job = jobs.get(req.params.name);
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    return res.json({ success: true, job });
+});
+
+// Run a job now; the response is sent when it has finished, with the run
+// (`status` failed and the `error` if the job threw)
+app.post('/api/v1/admin/jobs/:name/run', validateRequest('runJob'), async (req, res) => {
+    try {
+        if (!authorize(req, null, 'jobs')) {
+            return res.status(403).json({ success: false, error: 'Admin key required' });
+        }
+        if (!jobs.has(req.params.name)) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+        const run = await jobs.run(req.params.name);
+        if (!run) {
+            return res.status(409).json({ success: false, error: 'Job is already running' });
+        }
+        return res.json({ success: true, run });
+    } catch (error) {
+        console.error('Job run error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+// 400 body for a data.json that failed inspection; the first error is
+// spelled out in `error`, all of them (with paths) are in `details`
+function dataErrorBody(errors) {
+    const [first] = errors;
+    return {
+        success: false,
+        error: `Invalid data.json at ${first.path}: ${first.message}`,
+        details: errors
+    };
 }
 
 // Error handling middleware
@@ -397,21 +1998,65 @@ const PORT = process.env.PORT || 3000;
 
 // Self-ping function to keep the server alive on Render
 function selfPing() {
-    const url = 'https://bbg-data-api.onrender.com';
-    
-    https.get(url, (res) => {
-        console.log(`Self-ping successful: ${res.statusCode}`);
-    }).on('error', (err) => {
-        console.error('Self-ping failed:', err.message);
+    const url = 'https://bbg-data-api.onrender.com/api/v1/health/live';
+
+    return new Promise((resolve, reject) => {
+        https.get(url, (res) => {
+            res.resume();
+            console.log(`Self-ping successful: ${res.statusCode}`);
+            resolve({ statusCode: res.statusCode });
+        }).on('error', reject);
     });
 }
 
-app.listen(PORT, () => {
-    console.log(`BBG Data API Server running on port ${PORT}`);
-    console.log(`Health check: http://localhost:${PORT}/api/v1/health`);
-    // Schedule self-ping every 60 seconds (only in production)
-    if (process.env.NODE_ENV === 'production' || process.env.RENDER) {
-        cron.schedule('*/1 * * * *', selfPing); // Every minute
-        console.log('Self-ping scheduler activated - pinging every 60 seconds');
+// Maintenance jobs (lib/jobs.js); JOB_SCHEDULES changes their schedules
+jobs.define('purge-orphans', {
+    schedule: '15 3 * * *',
+    description: 'Delete changelog entries, versions, tags, ratings, comments, download events and update tokens of deleted configs',
+    run: () => store.purgeOrphans()
+});
+jobs.define('purge-expired', {
+    schedule: '*/30 * * * *',
+    description: 'Delete expired update tokens and blocks',
+    run: () => store.purgeExpired(new Date())
+});
+jobs.define('refresh-stats', {
+    schedule: '*/5 * * * *',
+    description: 'Recompute the /stats snapshot of the default range',
+    run: async () => {
+        const { stats, generatedAt } = await refreshStats();
+        return { totalEntries: stats.totalEntries, generatedAt };
     }
 });
+jobs.define('prune-download-events', {
+    schedule: '30 3 * * *',
+    description: `Delete download events older than ${Math.ceil(DOWNLOAD_EVENT_RETENTION / (24 * 60 * 60 * 1000))} days`,
+    run: async () => ({ downloadEvents: await store.pruneDownloadEvents(new Date(Date.now() - DOWNLOAD_EVENT_RETENTION)) })
+});
+// Every minute in production only (Render idles servers without traffic)
+jobs.define('self-ping', {
+    schedule: process.env.NODE_ENV === 'production' || process.env.RENDER ? '*/1 * * * *' : null,
+    description: 'Request our own liveness check to keep the server awake',
+    run: selfPing
+});
+
+function start() {
+    return store.init().then(() => {
+        app.listen(PORT, () => {
+            console.log(`BBG Data API Server running on port ${PORT} (storage: ${store.name})`);
+            console.log(`Health check: http://localhost:${PORT}/api/v1/health`);
+            jobs.start();
+            const scheduled = jobs.list().filter(job => job.schedule);
+            console.log(`Scheduled jobs: ${scheduled.map(job => `${job.name} (${job.schedule})`).join(', ') || 'none'}`);
+        });
+    }).catch(error => {
+        console.error('Failed to start server:', error);
+        process.exit(1);
+    });
+}
+
+if (require.main === module) {
+    start();
+}
+
+module.exports = { app, store };
@@ -0,0 +1,925 @@
+// API checks against the in-memory store (`npm test`). Responses are validated
+// against the OpenAPI document, and a response that doesn't match it fails
+// the check that made the request.
+process.env.STORAGE = 'memory';
+process.env.VALIDATE_RESPONSES = 'true';
+process.env.ADMIN_API_KEYS = 'test:test-admin-key:*,cleanup:test-delete-key:delete';
+// Rate limits and quotas are checked on their own limiter, not on every request here
+process.env.RATE_LIMITS = 'upload.ip=0,upload.uploader=0,token.ip=0,update.ip=0,report.ip=0,collection.ip=0,rate.ip=0,comment.ip=0,comment.uploader=0';
+process.env.DAILY_UPLOAD_QUOTA = '0';
+// Clients are told apart by X-Forwarded-For
+process.env.TRUST_PROXY = '1';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const execFile = promisify(require('child_process').execFile);
+const { app, store } = require('./server');
+const semver = require('./lib/semver');
+const { migrate, loadMigrations } = require('./lib/migrate');
+const { createPostgresStore } = require('./lib/stores/postgres');
+const { createFileStore } = require('./lib/stores/file');
+const { diffJson } = require('./lib/diff');
+const { encodeCursor } = require('./lib/cursor');
+const { loadJobSchedules, createJobRegistry } = require('./lib/jobs');
+const { bucketStart, addBuckets, fillBuckets } = require('./lib/stats');
+const { inspectData, contentHash } = require('./lib/bbg-data');
+const { loadRateLimits, createMemoryCounterStore, createRateLimiter } = require('./lib/rate-limit');
+
+// Response mismatches are logged by the request validator
+const mismatches = [];
+const warn = console.warn;
+console.warn = (...args) => {
+    if (String(args[0]).startsWith('Response of')) {
+        mismatches.push(args);
+    }
+    warn(...args);
+};
+
+const ADMIN_KEY = 'test-admin-key';
+const checks = [];
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'bbg-test-'));
+
+function check(name, run) {
+    checks.push({ name, run });
+}
+
+// Pool that answers the migration queries from a list of applied versions;
+// everything else is recorded in `statements` and returns no rows
+function migrationPool(applied, statements = []) {
+    const client = {
+        async query(sql, params) {
+            if (/^SELECT version FROM schema_migrations/.test(sql)) {
+                return { rows: applied.map(version => ({ version })) };
+            }
+            if (/^SELECT MAX\(version\)/.test(sql)) {
+                return { rows: [{ version: Math.max(...applied) }] };
+            }
+            if (/^INSERT INTO schema_migrations/.test(sql)) {
+                applied.push(params[0]);
+            }
+            statements.push(sql.trim());
+            return { rows: [] };
+        },
+        release() {}
+    };
+    return { connect: async () => client, query: client.query, end: async () => {} };
+}
+
+// Connects to a live feed; `read(count)` waits for that many more events (at
+// most a second, then returns what arrived)
+async function openFeed(url, headers = {}) {
+    const controller = new AbortController();
+    const response = await fetch(url, { headers, signal: controller.signal });
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const events = [];
+    let text = '';
+    return {
+        async read(count) {
+            const start = events.length;
+            const timer = setTimeout(() => controller.abort(), 1000);
+            try {
+                while (events.length < start + count) {
+                    const { value, done } = await reader.read();
+                    if (done) {
+                        break;
+                    }
+                    text += decoder.decode(value, { stream: true });
+                    const blocks = text.split('\n\n');
+                    text = blocks.pop();
+                    for (const block of blocks) {
+                        const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1).trim()]));
+                        if (fields.event) {
+                            events.push({ id: fields.id, type: fields.event, data: JSON.parse(fields.data) });
+                        }
+                    }
+                }
+            } catch (error) {
+                if (error.name !== 'AbortError') {
+                    throw error;
+                }
+            } finally {
+                clearTimeout(timer);
+            }
+            return events.slice(start);
+        },
+        close() {
+            controller.abort();
+        }
+    };
+}
+
+// Runs `node lib/transfer.js ...` on a file store
+function transfer(file, ...args) {
+    return execFile(process.execPath, [path.join(__dirname, 'lib', 'transfer.js'), ...args], {
+        env: { ...process.env, STORAGE: 'file', STORAGE_FILE: file }
+    });
+}
+
+check('migrations apply in order, once, and a newer or pending schema is refused', async () => {
+    const versions = loadMigrations().map(migration => migration.version);
+    assert.deepStrictEqual(versions, versions.map((version, i) => i + 1));
+
+    const dir = path.join(scratch, 'migrations');
+    fs.mkdirSync(dir);
+    ['001-first', '002-second', '003-third'].forEach(name => {
+        fs.writeFileSync(path.join(dir, `${name}.js`), `module.exports = { up: client => client.query('CREATE TABLE t${name.slice(0, 3)} ()') };`);
+    });
+    const applied = [1];
+    const status = await migrate(migrationPool(applied), { dir, apply: false });
+    assert.deepStrictEqual([status.current, status.latest, status.pending], [1, 3, ['002-second', '003-third']]);
+    const statements = [];
+    assert.deepStrictEqual((await migrate(migrationPool(applied, statements), { dir })).applied, ['002-second', '003-third']);
+    assert.deepStrictEqual(applied, [1, 2, 3]);
+    assert.deepStrictEqual(statements.filter(sql => /^(BEGIN|COMMIT|CREATE TABLE t)/.test(sql)), ['BEGIN', 'CREATE TABLE t002 ()', 'COMMIT', 'BEGIN', 'CREATE TABLE t003 ()', 'COMMIT']);
+    assert.deepStrictEqual((await migrate(migrationPool(applied), { dir })).applied, []);
+    await assert.rejects(migrate(migrationPool([1, 4]), { dir }), /only knows up to 3/);
+
+    const behind = versions.slice(0, -1);
+    await assert.rejects(createPostgresStore(migrationPool(behind), { autoMigrate: false }).init(), /schema is behind/);
+    const current = createPostgresStore(migrationPool(versions.slice()), { autoMigrate: false });
+    await current.init();
+    await current.ping();
+    await assert.rejects(createPostgresStore(migrationPool(versions.slice()), { autoMigrate: false }).ping(), /expected null/);
+});
+
+check('the file store refuses a legacy database, which the CLI imports and exports', async () => {
+    const legacy = path.join(scratch, 'legacy.json');
+    fs.writeFileSync(legacy, JSON.stringify({
+        entries: [{ id: 'abc123', name: 'Legacy', description: 'd', uploaderName: 'old', uploadDate: '2024-01-01T00:00:00.000Z', data: '{"a":1}' }]
+    }));
+    await assert.rejects(transfer(legacy, 'export'), /legacy index\.js database/);
+
+    const file = path.join(scratch, 'imported.json');
+    const dryRun = await transfer(file, 'import', legacy, '--dry-run');
+    // The report follows the store's own log lines
+    assert.strictEqual(JSON.parse(dryRun.stdout.slice(dryRun.stdout.indexOf('{'))).imported, 1);
+    await transfer(file, 'import', legacy);
+    const exported = (await transfer(file, 'export')).stdout.trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(exported.slice(1).map(record => [record.type, record.name, record.legacyId]), [['config', 'Legacy', 'abc123']]);
+});
+
+check('duplicate uploads are refused or linked, but hidden configs only count for moderators', async api => {
+    const fields = { name: 'Original', description: 'd', uploaderName: 'tester', data: '{"dup":1}' };
+    const upload = await api('POST', '/data/upload', fields);
+    const { dataId } = upload.body;
+    const duplicate = await api('POST', '/data/upload', fields);
+    assert.deepStrictEqual([duplicate.status, duplicate.body.existingId], [409, dataId]);
+    const linked = await api('POST', '/data/upload', { ...fields, onDuplicate: 'link' });
+    assert.deepStrictEqual([linked.body.dataId, linked.body.duplicate], [dataId, true]);
+
+    await api('POST', `/admin/data/${dataId}/status`, { status: 'hidden' }, ADMIN_KEY);
+    assert.strictEqual((await api('POST', '/data/upload', fields, ADMIN_KEY)).body.existingId, dataId);
+    const reupload = await api('POST', '/data/upload', { ...fields, onDuplicate: 'link' });
+    assert.strictEqual(reupload.status, 200);
+    assert.notStrictEqual(reupload.body.dataId, dataId);
+    assert.strictEqual(reupload.body.duplicate, undefined);
+});
+
+check('hidden configs are only shown to their owner and moderators', async api => {
+    const upload = await api('POST', '/data/upload', { name: 'Hidden', description: 'd', uploaderName: 'tester', data: '{"hidden":1}' });
+    const { dataId, ownerSecret } = upload.body;
+    await api('POST', `/data/update/${dataId}`, { changes: 'Second', data: '{"hidden":2}' }, ownerSecret);
+    await api('POST', `/admin/data/${dataId}/status`, { status: 'hidden' }, ADMIN_KEY);
+    for (const url of [`/data/download/${dataId}`, `/data/versions/${dataId}`, `/data/changelog/${dataId}`]) {
+        assert.strictEqual((await api('GET', url)).status, 404, url);
+        assert.strictEqual((await api('GET', url, null, ownerSecret)).status, 200, url);
+        assert.strictEqual((await api('GET', url, null, ADMIN_KEY)).status, 200, url);
+    }
+});
+
+check('conditional updates report conflicts only to authorized callers', async api => {
+    const upload = await api('POST', '/data/upload', { name: 'Conditional', description: 'd', uploaderName: 'tester', data: '{"cond":1}' });
+    const { dataId, ownerSecret } = upload.body;
+    await api('POST', `/data/update/${dataId}`, { changes: 'Second', data: '{"cond":2}' }, ownerSecret);
+
+    const stale = { changes: 'Third', data: '{"cond":3}', expectedVersion: '1.0.0' };
+    const anonymous = await api('POST', `/data/update/${dataId}`, { ...stale, token: 'not-a-token' });
+    assert.strictEqual(anonymous.status, 403);
+    assert.strictEqual(anonymous.body.currentVersion, undefined);
+    const conflict = await api('POST', `/data/update/${dataId}`, stale, ownerSecret);
+    assert.deepStrictEqual([conflict.status, conflict.body.currentVersion, conflict.body.diff.summary.modified], [409, '1.0.1', 1]);
+    const update = await api('POST', `/data/update/${dataId}`, { ...stale, expectedVersion: '1.0.1' }, ownerSecret);
+    assert.deepStrictEqual([update.status, update.body.version], [200, '1.0.2']);
+
+    await api('POST', `/admin/data/${dataId}/status`, { status: 'hidden' }, ADMIN_KEY);
+    assert.strictEqual((await api('POST', `/data/update/${dataId}`, stale)).status, 404);
+});
+
+check('forks track their parent and pull its updates once authorized', async api => {
+    const parent = await api('POST', '/data/upload', { name: 'Parent', description: 'd', uploaderName: 'tester', data: '{"fork":1}' });
+    const parentId = parent.body.dataId;
+    const invalid = await api('POST', `/data/fork/${parentId}`, { uploaderName: 'forker', name: 'x'.repeat(101) });
+    assert.deepStrictEqual([invalid.status, invalid.body.details.map(d => d.path)], [400, ['body.name']]);
+    assert.strictEqual((await api('POST', `/data/fork/${parentId}`, {})).status, 400);
+
+    const fork = await api('POST', `/data/fork/${parentId}`, { uploaderName: 'forker' });
+    assert.deepStrictEqual([fork.status, fork.body.parentId, fork.body.forkedFromVersion], [200, parentId, '1.0.0']);
+    const forkId = fork.body.dataId;
+    const ancestry = await api('GET', `/data/${forkId}/ancestry`);
+    assert.deepStrictEqual(ancestry.body.ancestors.map(a => [a.id, a.name]), [[parentId, 'Parent']]);
+    assert.deepStrictEqual((await api('GET', `/data/${parentId}/forks`)).body.data.map(f => [f.id, f.name]), [[forkId, 'Parent (fork)']]);
+
+    // Nothing about the parent is reported before the caller is authorized
+    const upToDate = await api('POST', `/data/${forkId}/pull-parent`, {});
+    assert.deepStrictEqual([upToDate.status, upToDate.body.parentVersion], [403, undefined]);
+    assert.strictEqual((await api('POST', `/data/${forkId}/pull-parent`, {}, fork.body.ownerSecret)).status, 409);
+
+    await api('POST', `/data/update/${parentId}`, { changes: 'Second', data: '{"fork":2}' }, parent.body.ownerSecret);
+    const suggested = await api('GET', `/data/${forkId}/parent-update`);
+    assert.deepStrictEqual([suggested.body.available, suggested.body.latestVersion], [true, '1.0.1']);
+
+    await api('POST', `/admin/data/${parentId}/status`, { status: 'pending' }, ADMIN_KEY);
+    assert.strictEqual((await api('POST', `/data/${forkId}/pull-parent`, {}, fork.body.ownerSecret)).status, 409);
+    await api('POST', `/admin/data/${parentId}/status`, { status: 'hidden' }, ADMIN_KEY);
+    assert.strictEqual((await api('POST', `/data/${forkId}/pull-parent`, {}, fork.body.ownerSecret)).status, 404);
+    await api('POST', `/admin/data/${parentId}/status`, { status: 'visible' }, ADMIN_KEY);
+    const pulled = await api('POST', `/data/${forkId}/pull-parent`, {}, fork.body.ownerSecret);
+    assert.deepStrictEqual([pulled.status, pulled.body.version, pulled.body.pulledVersion], [200, '1.0.1', '1.0.1']);
+    assert.strictEqual((await api('GET', `/data/download/${forkId}`)).body.data, '{"fork":2}');
+});
+
+check('requests that do not match the OpenAPI document are refused with every problem listed', async api => {
+    const upload = await api('POST', '/data/upload', { name: 5, description: ' ', uploaderName: 'tester' });
+    assert.strictEqual(upload.status, 400);
+    assert.strictEqual(upload.body.error, 'Invalid request: body.data is required');
+    assert.deepStrictEqual(upload.body.details, [
+        { path: 'body.data', message: 'is required' },
+        { path: 'body.name', message: 'must be a string' },
+        { path: 'body.description', message: 'must not be blank' }
+    ]);
+
+    const paths = async url => {
+        const response = await api('GET', url);
+        assert.strictEqual(response.status, 400, url);
+        return response.body.details.map(problem => problem.path);
+    };
+    assert.deepStrictEqual(await paths('/data/download/abc'), ['path.id']);
+    assert.deepStrictEqual(await paths('/data/list?limit=abc&sort=bogus'), ['query.limit', 'query.sort']);
+    assert.deepStrictEqual(await paths('/data/trending?days=0'), ['query.days']);
+    assert.deepStrictEqual(await paths('/events?id=abc'), ['query.id']);
+
+    const config = await api('POST', '/data/upload', { name: 'Valid', description: 'd', uploaderName: 'tester', data: '{"valid":1}' });
+    const update = await api('POST', `/data/update/${config.body.dataId}`, { changes: 'c', data: '{"valid":2}', version: 'banana' }, config.body.ownerSecret);
+    assert.deepStrictEqual(update.body.details.map(problem => problem.path), ['body.version']);
+    // Zero padding is optional on IDs
+    assert.strictEqual((await api('GET', `/data/versions/${Number(config.body.dataId)}`)).status, 200);
+
+    const document = await api('GET', '/openapi.json');
+    assert.strictEqual(document.body.paths['/api/v1/data/upload'].post.operationId, 'uploadConfig');
+});
+
+check('configs are changed with their owner secret, a one-time token or a scoped admin key', async api => {
+    const upload = await api('POST', '/data/upload', { name: 'Owned', description: 'd', uploaderName: 'tester', data: '{"owned":1}' });
+    const { dataId, ownerSecret } = upload.body;
+    assert.strictEqual((await api('DELETE', `/data/delete/${dataId}`)).status, 403);
+    assert.strictEqual((await api('DELETE', `/data/delete/${dataId}`, null, 'wrong-secret')).status, 403);
+    assert.strictEqual((await api('GET', `/data/token/${dataId}`)).status, 403);
+
+    const { token } = (await api('GET', `/data/token/${dataId}`, null, ownerSecret)).body;
+    assert.strictEqual((await api('POST', `/data/update/${dataId}`, { changes: 'Token', data: '{"owned":2}', token })).status, 200);
+    assert.strictEqual((await api('POST', `/data/update/${dataId}`, { changes: 'Again', data: '{"owned":3}', token })).status, 403);
+    assert.strictEqual((await api('POST', `/data/update/${dataId}`, { changes: 'Scope', data: '{"owned":3}' }, 'test-delete-key')).status, 403);
+
+    const other = await api('POST', '/data/upload', { name: 'Other', description: 'd', uploaderName: 'tester', data: '{"owned":4}' });
+    assert.strictEqual((await api('DELETE', `/data/delete/${dataId}`, null, other.body.ownerSecret)).status, 403);
+    const deleted = await api('DELETE', `/data/delete/${dataId}`, null, 'test-delete-key');
+    assert.deepStrictEqual([deleted.status, deleted.body.id], [200, dataId]);
+    assert.strictEqual((await api('GET', `/data/download/${dataId}`)).status, 404);
+    assert.strictEqual((await api('DELETE', `/data/delete/${other.body.dataId}`, { ownerSecret: other.body.ownerSecret })).status, 200);
+});
+
+check('collections pin configs to versions and serve them together', async api => {
+    const first = await api('POST', '/data/upload', { name: 'Pinned', description: 'd', uploaderName: 'tester', data: '{"pinned":1}' });
+    const second = await api('POST', '/data/upload', { name: 'Current', description: 'd', uploaderName: 'tester', data: '{"current":1}' });
+    await api('POST', `/data/update/${first.body.dataId}`, { changes: 'Second', data: '{"pinned":2}' }, first.body.ownerSecret);
+
+    const fields = { name: 'Bundle', description: 'Route pack', uploaderName: 'curator' };
+    const twice = await api('POST', '/collections', { ...fields, items: [{ id: second.body.dataId }, { id: second.body.dataId }] });
+    assert.deepStrictEqual([twice.status, twice.body.error], [400, `items[1]: config ${second.body.dataId} is listed twice`]);
+    const unknownVersion = await api('POST', '/collections', { ...fields, items: [{ id: first.body.dataId, version: '9.9.9' }] });
+    assert.strictEqual(unknownVersion.status, 400);
+
+    const created = await api('POST', '/collections', { ...fields, items: [{ id: first.body.dataId, version: '1.0.0' }, { id: second.body.dataId }] });
+    assert.strictEqual(created.status, 200);
+    const { collectionId, ownerSecret } = created.body;
+    const collection = await api('GET', `/collections/${collectionId}`);
+    assert.deepStrictEqual(collection.body.data.items.map(item => [item.id, item.version]), [[first.body.dataId, '1.0.0'], [second.body.dataId, '1.0.0']]);
+    const download = await api('GET', `/collections/${collectionId}/download`);
+    assert.deepStrictEqual(download.body.configs.map(config => config.data), ['{"pinned":1}', '{"current":1}']);
+    assert.deepStrictEqual((await api('GET', '/collections?q=route')).body.data.map(c => c.id), [collectionId]);
+
+    await api('POST', `/admin/data/${second.body.dataId}/status`, { status: 'hidden' }, ADMIN_KEY);
+    assert.deepStrictEqual((await api('GET', `/collections/${collectionId}/download`)).body.missing, [{ id: second.body.dataId, version: '1.0.0' }]);
+    const renamed = await api('PUT', `/collections/${collectionId}`, { name: 'Renamed', items: [{ id: first.body.dataId }] }, ownerSecret);
+    assert.deepStrictEqual([renamed.status, renamed.body.collection.name, renamed.body.collection.itemCount], [200, 'Renamed', 1]);
+
+    assert.strictEqual((await api('DELETE', `/collections/${collectionId}`)).status, 403);
+    const deleted = await api('DELETE', `/collections/${Number(collectionId)}`, null, ownerSecret);
+    assert.deepStrictEqual([deleted.status, deleted.body.id], [200, collectionId]);
+    assert.strictEqual((await api('GET', `/collections/${collectionId}`)).status, 404);
+});
+
+check('semantic versions bump like npm version and order pre-releases before releases', async () => {
+    assert.deepStrictEqual(['major', 'minor', 'patch'].map(bump => semver.increment('1.2.3', bump)), ['2.0.0', '1.3.0', '1.2.4']);
+    assert.strictEqual(semver.increment('1.3.0-beta.1', 'minor'), '1.3.0');
+    assert.strictEqual(semver.increment('1.2.3', 'minor', 'beta', ['1.3.0-beta.0', '1.3.0-beta.4']), '1.3.0-beta.5');
+    const sorted = ['1.0.0', '1.0.0-beta.2', '1.0.0-alpha', '1.0.0-beta.10', '0.9.9', '1.0.0+build'].sort(semver.compare);
+    assert.deepStrictEqual(sorted, ['0.9.9', '1.0.0-alpha', '1.0.0-beta.2', '1.0.0-beta.10', '1.0.0', '1.0.0+build']);
+    assert.strictEqual(semver.parse('1.0'), null);
+});
+
+check('updates publish bumps, pre-release channels and tags', async api => {
+    const upload = await api('POST', '/data/upload', { name: 'Channels', description: 'd', uploaderName: 'tester', data: '{"channel":0}' });
+    const { dataId, ownerSecret } = upload.body;
+    const update = (fields, data) => api('POST', `/data/update/${dataId}`, { changes: 'c', data: `{"channel":${data}}`, ...fields }, ownerSecret);
+
+    const beta = await update({ bump: 'minor', preid: 'beta' }, 1);
+    assert.deepStrictEqual([beta.body.version, beta.body.prerelease, beta.body.tags], ['1.1.0-beta.0', true, ['beta']]);
+    assert.strictEqual((await update({ bump: 'minor', preid: 'beta' }, 2)).body.version, '1.1.0-beta.1');
+    // Pre-releases leave the current version alone
+    assert.strictEqual((await api('GET', `/data/download/${dataId}`)).body.data, '{"channel":0}');
+    assert.strictEqual((await api('GET', `/data/download/${dataId}?tag=beta`)).body.data, '{"channel":2}');
+
+    const release = await update({ bump: 'minor', tag: 'stable' }, 3);
+    assert.deepStrictEqual([release.body.version, release.body.tags], ['1.1.0', ['stable']]);
+    const lower = await update({ version: '1.0.5' }, 4);
+    assert.deepStrictEqual([lower.status, lower.body.currentVersion], [409, '1.1.0']);
+    assert.strictEqual((await update({ version: '2.0.0', bump: 'major' }, 4)).status, 400);
+    assert.strictEqual((await update({ tag: 'latest' }, 4)).status, 400);
+
+    const tagged = await api('PUT', `/data/${dataId}/tags/legacy`, { version: '1.0.0' }, ownerSecret);
+    assert.strictEqual(tagged.status, 200);
+    assert.strictEqual((await api('PUT', `/data/${dataId}/tags/legacy`, { version: '1.0.0' })).status, 403);
+    assert.strictEqual((await api('PUT', `/data/${dataId}/tags/latest`, { version: '1.0.0' }, ownerSecret)).status, 400);
+    const tags = await api('GET', `/data/${dataId}/tags`);
+    assert.deepStrictEqual(tags.body.tags.map(tag => [tag.tag, tag.version]), [['latest', '1.1.0'], ['beta', '1.1.0-beta.1'], ['legacy', '1.0.0'], ['stable', '1.1.0']]);
+    assert.strictEqual((await api('DELETE', `/data/${dataId}/tags/legacy`, null, ownerSecret)).status, 200);
+    assert.strictEqual((await api('GET', `/data/download/${dataId}?tag=legacy`)).status, 404);
+});
+
+check('every version is kept, listed newest first and can be downloaded or rolled back to', async api => {
+    const upload = await api('POST', '/data/upload', { name: 'History', description: 'd', uploaderName: 'tester', data: '{"history":1}', version: '2.0.0' });
+    const { dataId, ownerSecret } = upload.body;
+    await api('POST', `/data/update/${dataId}`, { changes: 'Second', data: '{"history":2}' }, ownerSecret);
+
+    const versions = await api('GET', `/data/versions/${dataId}`);
+    assert.strictEqual(versions.body.current, '2.0.1');
+    assert.deepStrictEqual(versions.body.versions.map(v => [v.version, v.changes]), [['2.0.1', 'Second'], ['2.0.0', null]]);
+    assert.strictEqual((await api('GET', `/data/download/${dataId}?version=2.0.0`)).body.data, '{"history":1}');
+    assert.strictEqual((await api('GET', `/data/download/${dataId}?version=9.0.0`)).status, 404);
+
+    assert.strictEqual((await api('POST', `/data/rollback/${dataId}`, { version: '2.0.0' })).status, 403);
+    assert.strictEqual((await api('POST', `/data/rollback/${dataId}`, { version: '9.0.0' }, ownerSecret)).status, 404);
+    const rollback = await api('POST', `/data/rollback/${dataId}`, { version: '2.0.0' }, ownerSecret);
+    assert.deepStrictEqual([rollback.body.version, rollback.body.restoredFrom], ['2.0.2', '2.0.0']);
+    const changelog = await api('GET', `/data/changelog/${dataId}`);
+    assert.deepStrictEqual(changelog.body.changelog.map(c => [c.version, c.changes]), [['2.0.2', 'Rolled back to 2.0.0'], ['2.0.1', 'Second']]);
+});
+
+check('the file store gives versions stored blank 1.0.0, or 0.0.0 when 1.0.0 is taken', async () => {
+    const file = path.join(scratch, 'blank-versions.json');
+    const entry = (id, version) => ({ id, name: `Blank ${id}`, data: '{}', version, uploadedAt: '2024-01-01T00:00:00.000Z' });
+    fs.writeFileSync(file, JSON.stringify({
+        entries: [entry(1, ''), entry(2, '1.0.1')],
+        versions: [{ configId: 1, version: '', data: '{}' }, { configId: 2, version: '', data: '{}' }, { configId: 2, version: '1.0.0', data: '{}' }, { configId: 2, version: '1.0.1', data: '{}' }],
+        changelog: [{ configId: 2, version: '', date: '2024-01-01T00:00:00.000Z', changes: 'First' }],
+        metadata: { nextId: 3 }
+    }));
+    const fileStore = createFileStore({ file });
+    await fileStore.init();
+    assert.strictEqual((await fileStore.getEntry(1)).version, '1.0.0');
+    assert.deepStrictEqual((await fileStore.listVersions(2)).map(v => v.version).sort(), ['0.0.0', '1.0.0', '1.0.1']);
+    assert.deepStrictEqual((await fileStore.getChangelog(2)).map(c => c.version), ['0.0.0']);
+    await fileStore.close();
+});
+
+check('diffs report paths of changed values and align array elements', async () => {
+    const waypoints = [{ x: 1 }, { x: 2 }, { x: 3 }];
+    const inserted = diffJson({ waypoints }, { waypoints: [{ x: 0 }, ...waypoints] });
+    assert.deepStrictEqual(inserted.changes.added, [{ path: 'waypoints[0]', value: { x: 0 } }]);
+    assert.deepStrictEqual(inserted.summary, { added: 1, removed: 0, modified: 0, total: 1 });
+    const removed = diffJson(waypoints, [waypoints[0], waypoints[2]]);
+    assert.deepStrictEqual(removed.changes.removed, [{ path: '[1]', value: { x: 2 } }]);
+    const edited = diffJson({ 'route name': { y: 1 }, a: 1 }, { 'route name': { y: 2 }, b: 1 });
+    assert.deepStrictEqual(edited.changes, {
+        added: [{ path: 'b', value: 1 }],
+        removed: [{ path: 'a', value: 1 }],
+        modified: [{ path: '"route name".y', from: 1, to: 2 }]
+    });
+
+    const many = Object.fromEntries(Array.from({ length: 1200 }, (v, i) => [`k${i}`, i]));
+    const truncated = diffJson(many, Object.fromEntries(Object.entries(many).map(([key, value]) => [key, value + 1])));
+    assert.deepStrictEqual([truncated.summary.modified, truncated.changes.modified.length, truncated.truncated], [1200, 1000, true]);
+});
+
+check('the diff route compares two stored versions', async api => {
+    const upload = await api('POST', '/data/upload', { name: 'Diffed', description: 'd', uploaderName: 'tester', data: '{"diffed":1,"keep":true}' });
+    const { dataId, ownerSecret } = upload.body;
+    await api('POST', `/data/update/${dataId}`, { changes: 'Second', data: '{"diffed":2,"keep":true}' }, ownerSecret);
+    await api('POST', `/data/update/${dataId}`, { changes: 'Third', data: '{"diffed":2,"added":1}' }, ownerSecret);
+
+    const current = await api('GET', `/data/diff/${dataId}?from=1.0.1`);
+    assert.deepStrictEqual([current.body.from, current.body.to], ['1.0.1', '1.0.2']);
+    assert.deepStrictEqual(current.body.summary, { added: 1, removed: 1, modified: 0, total: 2 });
+    const between = await api('GET', `/data/diff/${dataId}?from=1.0.0&to=1.0.1`);
+    assert.deepStrictEqual(between.body.changes.modified, [{ path: 'diffed', from: 1, to: 2 }]);
+    assert.strictEqual((await api('GET', `/data/diff/${dataId}?from=9.9.9`)).status, 404);
+    assert.strictEqual((await api('GET', `/data/diff/${dataId}`)).status, 400);
+});
+
+check('data.json is checked for waypoints in range, and its summary is derived from it', async api => {
+    const route = { configName: ' Mining ', routes: { p1: [{ x: 1, y: 64, z: 2 }, { x: 3, y: 65, z: 4 }], p2: [{ x: 0, y: 0, z: 0 }] } };
+    const { errors, summary } = inspectData(JSON.stringify(route));
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual([summary.pointCount, summary.routeCount, summary.configName], [3, 2, 'Mining']);
+
+    assert.deepStrictEqual(inspectData('[1]').errors, [{ path: '$', message: 'data.json must be a JSON object' }]);
+    assert.match(inspectData('{').errors[0].message, /^Invalid JSON/);
+    const broken = inspectData(JSON.stringify({ routes: { 'p 3': [{ x: 1, y: 5000, z: 0 }, 'stop', { x: 'a', y: 1, z: 1 }] } }));
+    assert.deepStrictEqual(broken.errors.map(error => error.path), ['routes["p 3"][1]', 'routes["p 3"][0].y', 'routes["p 3"][2].x']);
+
+    const rejected = await api('POST', '/data/upload', { name: 'Broken', description: 'd', uploaderName: 'tester', data: '{"p":[{"x":1,"y":2}]}' });
+    assert.deepStrictEqual([rejected.status, rejected.body.error], [400, 'Invalid data.json at p[0].z: must be a finite number']);
+    assert.deepStrictEqual(rejected.body.details, [{ path: 'p[0].z', message: 'must be a finite number' }]);
+
+    const upload = await api('POST', '/data/upload', { name: 'Route', description: 'd', uploaderName: 'tester', data: JSON.stringify(route) });
+    assert.deepStrictEqual([upload.body.summary.pointCount, upload.body.summary.routeCount], [3, 2]);
+    const listed = (await api('GET', '/data/list?uploader=tester&limit=100')).body.data.find(config => config.id === upload.body.dataId);
+    assert.deepStrictEqual([listed.pointCount, listed.configName], [3, 'Mining']);
+});
+
+check('search ranks name matches first, filters and escapes its highlights', async api => {
+    const upload = fields => api('POST', '/data/upload', { description: 'Fast', uploaderName: 'tester', ...fields });
+    await upload({ name: 'Lapis tour', description: 'A tour past <b>zephyrite</b> & more', category: 'mining', data: '{"search":1}' });
+    await upload({ name: 'Zephyrite Route', category: 'farming', data: '{"search":2}' });
+    await upload({ name: 'Other', uploaderName: 'zephyrfan', category: 'mining', data: '{"search":3}' });
+
+    const results = await api('GET', '/data/search?q=zephyr');
+    assert.deepStrictEqual(results.body.data.map(config => config.name), ['Zephyrite Route', 'Other', 'Lapis tour']);
+    assert.strictEqual(results.body.data[0].highlights.name, '<mark>Zephyrite</mark> Route');
+    assert.ok(results.body.data[2].highlights.description.endsWith('&lt;b&gt;<mark>zephyrite</mark>&lt;/b&gt; &amp; more'));
+
+    const filtered = await api('GET', '/data/search?q=zephyr&category=mining&limit=1');
+    assert.deepStrictEqual(filtered.body.data.map(config => config.name), ['Other']);
+    assert.deepStrictEqual([filtered.body.pagination.total, filtered.body.pagination.hasNext], [2, true]);
+    assert.strictEqual((await api('GET', '/data/search?q=zephyr%20lapis')).body.data.length, 1);
+    assert.strictEqual((await api('GET', '/data/search?q=%20-')).status, 400);
+});
+
+check('downloads count once per client and rank the list and trending feed', async api => {
+    const upload = name => api('POST', '/data/upload', { name, description: 'd', uploaderName: 'counter', category: 'counted', data: `{"${name}":1}` });
+    const [popular, quiet] = [(await upload('popular')).body.dataId, (await upload('quiet')).body.dataId];
+    const download = (id, client) => api('GET', `/data/download/${id}`, null, null, { 'x-forwarded-for': client });
+    for (const client of ['10.0.0.1', '10.0.0.2', '10.0.0.3', '10.0.0.1']) {
+        await download(popular, client);
+    }
+    await download(quiet, '10.0.0.1');
+
+    const list = await api('GET', '/data/list?category=counted&sort=downloads');
+    assert.deepStrictEqual(list.body.data.map(config => [config.id, config.downloads]), [[popular, 3], [quiet, 1]]);
+    const ascending = await api('GET', '/data/list?category=counted&sort=downloads&order=asc');
+    assert.deepStrictEqual(ascending.body.data.map(config => config.id), [quiet, popular]);
+    const trending = await api('GET', '/data/trending?category=counted&days=100');
+    assert.deepStrictEqual([trending.body.days, trending.body.data.map(config => config.id)], [30, [popular, quiet]]);
+});
+
+check('ratings average one per client, and comments are deleted by their author or the owner', async api => {
+    const upload = await api('POST', '/data/upload', { name: 'Rated', description: 'd', uploaderName: 'tester', data: '{"rated":1}' });
+    const { dataId, ownerSecret } = upload.body;
+    const rate = (rating, client) => api('POST', `/data/rate/${dataId}`, { rating }, null, { 'x-forwarded-for': client });
+    await rate(5, '10.1.0.1');
+    await rate(2, '10.1.0.2');
+    const again = await rate(4, '10.1.0.1');
+    assert.deepStrictEqual([again.body.rating, again.body.yourRating], [{ average: 3, count: 2 }, 4]);
+    assert.strictEqual((await rate(6, '10.1.0.1')).status, 400);
+    assert.deepStrictEqual((await api('GET', `/data/download/${dataId}`)).body.rating, { average: 3, count: 2 });
+
+    const first = await api('POST', `/data/comments/${dataId}`, { author: 'alice', text: ' Nice route ' });
+    const second = await api('POST', `/data/comments/${dataId}`, { author: 'bob', text: 'Thanks' });
+    assert.strictEqual(first.body.comment.text, 'Nice route');
+    const comments = await api('GET', `/data/comments/${dataId}`);
+    assert.deepStrictEqual(comments.body.data.map(comment => comment.author), ['bob', 'alice']);
+
+    const commentUrl = comment => `/data/comments/${dataId}/${comment.body.comment.id}`;
+    assert.strictEqual((await api('DELETE', commentUrl(first), null, second.body.commentSecret)).status, 403);
+    assert.strictEqual((await api('DELETE', commentUrl(first), null, first.body.commentSecret)).status, 200);
+    assert.strictEqual((await api('DELETE', commentUrl(second), null, ownerSecret)).status, 200);
+    assert.strictEqual((await api('DELETE', commentUrl(second), null, ownerSecret)).status, 404);
+    assert.strictEqual((await api('GET', `/data/download/${dataId}`)).body.commentCount, 0);
+});
+
+check('downloads are tagged with the hash of their data and answer If-None-Match with 304', async api => {
+    const upload = await api('POST', '/data/upload', { name: 'Tagged', description: 'd', uploaderName: 'tester', category: 'etagged', data: '{"etag":1}' });
+    const { dataId, ownerSecret } = upload.body;
+    const etag = `W/"${contentHash('{"etag":1}')}"`;
+    // fetch adds Cache-Control: no-cache to conditional requests, which asks for a full reload
+    const download = (url, client, headers = {}) => api('GET', url, null, null, { 'x-forwarded-for': client, 'cache-control': 'max-age=0', ...headers });
+    const first = await download(`/data/download/${dataId}`, '10.2.0.1');
+    assert.deepStrictEqual([first.headers.get('etag'), first.headers.get('cache-control')], [etag, 'no-cache']);
+    assert.ok(first.headers.get('last-modified'));
+    const cached = await download(`/data/download/${dataId}`, '10.2.0.2', { 'if-none-match': etag });
+    assert.deepStrictEqual([cached.status, cached.body], [304, null]);
+    const list = await api('GET', '/data/list?category=etagged');
+    assert.deepStrictEqual(list.body.data.map(config => [config.contentHash, config.downloads]), [[contentHash('{"etag":1}'), 1]]);
+
+    const update = await api('POST', `/data/update/${dataId}`, { changes: 'Second', data: '{"etag":2}' }, ownerSecret);
+    assert.strictEqual(update.headers.get('etag'), `W/"${contentHash('{"etag":2}')}"`);
+    const changed = await download(`/data/download/${dataId}`, '10.2.0.2', { 'if-none-match': etag });
+    assert.deepStrictEqual([changed.status, changed.body.data], [200, '{"etag":2}']);
+    const old = await download(`/data/download/${dataId}?version=1.0.0`, '10.2.0.2', { 'if-none-match': etag });
+    assert.strictEqual(old.status, 304);
+});
+
+check('request bodies may be gzip or brotli encoded, and responses are compressed on request', async api => {
+    const data = JSON.stringify({ compressed: 'route '.repeat(1000) });
+    const fields = { name: 'Compressed', description: 'd', uploaderName: 'tester', category: 'compressed', data };
+    const gzipped = await api('POST', '/data/upload', zlib.gzipSync(JSON.stringify(fields)), null, { 'content-encoding': 'gzip' });
+    assert.strictEqual(gzipped.status, 200);
+    const { dataId, ownerSecret } = gzipped.body;
+    const { dataSize, storedSize } = gzipped.body.summary;
+    assert.ok(dataSize === Buffer.byteLength(data) && storedSize > 0 && storedSize <= dataSize);
+
+    const update = { changes: 'Brotli', data: data.replace('route', 'track') };
+    const brotli = await api('POST', `/data/update/${dataId}`, zlib.brotliCompressSync(JSON.stringify(update)), ownerSecret, { 'content-encoding': 'br' });
+    assert.strictEqual(brotli.status, 200);
+    const garbled = await api('POST', `/data/update/${dataId}`, Buffer.from('not brotli'), ownerSecret, { 'content-encoding': 'br' });
+    assert.deepStrictEqual([garbled.status, garbled.body.error], [400, 'Invalid brotli request body']);
+
+    const download = await api('GET', `/data/download/${dataId}`, null, null, { 'accept-encoding': 'gzip' });
+    assert.deepStrictEqual([download.headers.get('content-encoding'), download.body.data], ['gzip', update.data]);
+    const raw = await api('GET', `/data/download/${dataId}?format=raw`, null, null, { 'accept-encoding': 'identity' });
+    assert.deepStrictEqual([raw.headers.get('content-encoding'), raw.headers.get('x-config-version'), raw.body], [null, '1.0.1', JSON.parse(update.data)]);
+    const list = await api('GET', '/data/list?category=compressed');
+    assert.deepStrictEqual(list.body.data.map(config => config.dataSize), [Buffer.byteLength(update.data)]);
+});
+
+check('rate limits count fixed windows per key, and daily quotas only count saved uploads', async () => {
+    const limits = loadRateLimits('upload.ip=2/1m,upload.uploader=0,token.ip=0');
+    assert.deepStrictEqual(limits.filter(limit => limit.action === 'upload').map(limit => [limit.key, limit.max, limit.windowMs]), [['ip', 2, 60000]]);
+    assert.ok(!limits.some(limit => limit.action === 'token'));
+    assert.throws(() => loadRateLimits('upload.ip=2/1w'), /Invalid RATE_LIMITS entry "upload.ip=2\/1w"/);
+    assert.throws(() => loadRateLimits('download.ip=2/1h'), /Invalid RATE_LIMITS entry/);
+
+    const limiter = createRateLimiter({ limits, counters: createMemoryCounterStore(), dailyUploadQuota: 1 });
+    assert.deepStrictEqual([await limiter.hit('upload', { ip: 'a' }), await limiter.hit('upload', { ip: 'a' })], [0, 0]);
+    const wait = await limiter.hit('upload', { ip: 'a' });
+    assert.ok(wait > 0 && wait <= 60);
+    assert.strictEqual(await limiter.hit('upload', { ip: 'b' }), 0);
+
+    assert.strictEqual(await limiter.checkQuota('alice'), 0);
+    await limiter.useQuota('alice');
+    assert.ok(await limiter.checkQuota('alice') > 0);
+    assert.strictEqual(await limiter.checkQuota('bob'), 0);
+});
+
+check('blocked uploader names and IP addresses are refused until unblocked', async api => {
+    const fields = { name: 'Blocked', description: 'd', uploaderName: 'Spammer', data: '{"blocked":1}' };
+    assert.strictEqual((await api('POST', '/admin/blocks', { type: 'uploader', value: 'spammer' })).status, 403);
+    const block = await api('POST', '/admin/blocks', { type: 'uploader', value: ' SPAMMER ', reason: 'flooding' }, ADMIN_KEY);
+    assert.deepStrictEqual([block.body.block.value, block.body.block.expiresAt], ['spammer', null]);
+    const refused = await api('POST', '/data/upload', fields);
+    assert.deepStrictEqual([refused.status, refused.body.error], [403, 'This uploader name is blocked']);
+    assert.strictEqual((await api('DELETE', '/admin/blocks/uploader/Spammer', null, ADMIN_KEY)).status, 200);
+    assert.strictEqual((await api('DELETE', '/admin/blocks/uploader/Spammer', null, ADMIN_KEY)).status, 404);
+    const upload = await api('POST', '/data/upload', fields);
+    assert.strictEqual(upload.status, 200);
+
+    await api('POST', '/admin/blocks', { type: 'ip', value: '10.3.0.1', hours: 1 }, ADMIN_KEY);
+    const blocks = await api('GET', '/admin/blocks', null, ADMIN_KEY);
+    assert.ok(blocks.body.blocks.some(b => b.type === 'ip' && b.value === '10.3.0.1' && b.expiresAt));
+    const update = client => api('POST', `/data/update/${upload.body.dataId}`, { changes: 'c', data: `{"blocked":"${client}"}` }, upload.body.ownerSecret, { 'x-forwarded-for': client });
+    assert.deepStrictEqual([(await update('10.3.0.1')).body.error, (await update('10.3.0.2')).status], ['This IP address is blocked', 200]);
+    await api('DELETE', '/admin/blocks/ip/10.3.0.1', null, ADMIN_KEY);
+});
+
+check('admins export configs with their history as NDJSON and import them back', async api => {
+    const upload = await api('POST', '/data/upload', { name: 'Exported', description: 'd', uploaderName: 'tester', data: '{"exported":1}' });
+    const { dataId, ownerSecret } = upload.body;
+    await api('POST', `/data/update/${dataId}`, { changes: 'Second', data: '{"exported":2}' }, ownerSecret);
+    assert.strictEqual((await api('GET', '/admin/export')).status, 403);
+    assert.strictEqual((await api('GET', '/admin/export', null, 'test-delete-key')).status, 403);
+
+    const exported = await api('GET', '/admin/export', null, ADMIN_KEY);
+    assert.strictEqual(exported.headers.get('content-type'), 'application/x-ndjson');
+    const records = exported.body.trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(records[0].type, 'header');
+    const line = JSON.stringify(records.find(record => record.id === parseInt(dataId, 10)));
+    assert.deepStrictEqual(JSON.parse(line).versions.map(v => [v.version, v.data]), [['1.0.0', '{"exported":1}'], ['1.0.1', '{"exported":2}']]);
+
+    const importLines = (body, query = '') => api('POST', `/admin/import${query}`, Buffer.from(body), ADMIN_KEY, { 'content-type': 'application/x-ndjson' });
+    const again = await importLines(`${line}\nnot json\n`);
+    assert.deepStrictEqual([again.body.imported, again.body.conflicts.map(c => [c.id, c.reason]), again.body.errors.map(e => e.line)], [0, [[dataId, 'ID already exists']], [2]]);
+    await api('DELETE', `/data/delete/${dataId}`, null, ownerSecret);
+    const restored = await importLines(line);
+    assert.deepStrictEqual(restored.body.created.map(c => c.id), [dataId]);
+    assert.strictEqual((await api('GET', `/data/download/${dataId}?version=1.0.0`)).body.data, '{"exported":1}');
+    const changelog = await api('GET', `/data/changelog/${dataId}`);
+    assert.deepStrictEqual(changelog.body.changelog.map(c => c.changes), ['Second']);
+
+    const legacy = { entries: [{ id: 'old42', name: 'Old', uploadDate: '2023-05-01T00:00:00.000Z', dataSize: 3, data: '{"legacy":42}' }] };
+    const dryRun = await api('POST', '/admin/import?dryRun=true', legacy, ADMIN_KEY);
+    assert.deepStrictEqual([dryRun.body.dryRun, dryRun.body.imported, dryRun.body.created[0].id, dryRun.body.warnings.length], [true, 1, null, 1]);
+    const imported = await api('POST', '/admin/import', legacy, ADMIN_KEY);
+    assert.strictEqual((await api('GET', `/data/download/${imported.body.created[0].id}`)).body.data, '{"legacy":42}');
+    const twice = await api('POST', '/admin/import', legacy, ADMIN_KEY);
+    assert.deepStrictEqual(twice.body.conflicts.map(c => [c.reason, c.existingId]), [['Legacy ID already imported', imported.body.created[0].id]]);
+});
+
+check('the live feed sends visible uploads, updates and deletes, and replays them after a reconnect', async api => {
+    const feed = await openFeed(`${api.base}/events?category=live`);
+    const upload = async (name, category) => (await api('POST', '/data/upload', { name, description: 'd', uploaderName: 'tester', category, data: `{"${name}":1}` })).body;
+    const shown = await upload('Shown', 'Live');
+    await upload('Elsewhere', 'other');
+    await api('POST', `/data/update/${shown.dataId}`, { changes: 'Live', data: '{"Shown":2}' }, shown.ownerSecret);
+    const hidden = await upload('Hidden', 'live');
+    await api('POST', `/admin/data/${hidden.dataId}/status`, { status: 'hidden' }, ADMIN_KEY);
+    await api('POST', `/data/update/${hidden.dataId}`, { changes: 'Quiet', data: '{"Hidden":2}' }, hidden.ownerSecret);
+    await api('DELETE', `/data/delete/${shown.dataId}`, null, shown.ownerSecret);
+    const last = await upload('Last', 'live');
+
+    const received = await feed.read(5);
+    feed.close();
+    assert.deepStrictEqual(received.map(event => [event.type, event.data.id]), [
+        ['upload', shown.dataId], ['update', shown.dataId], ['upload', hidden.dataId], ['delete', shown.dataId], ['upload', last.dataId]
+    ]);
+    assert.deepStrictEqual([received[1].data.version, received[1].data.changes], ['1.0.1', 'Live']);
+
+    const replay = await openFeed(`${api.base}/events?category=live`, { 'last-event-id': received[2].id });
+    assert.deepStrictEqual((await replay.read(2)).map(event => event.id), received.slice(3).map(event => event.id));
+    replay.close();
+    const lost = await openFeed(`${api.base}/events?lastEventId=0`);
+    assert.deepStrictEqual((await lost.read(1)).map(event => event.type), ['resync']);
+    lost.close();
+});
+
+check('installed configs are checked for updates in one request, forks against their parent too', async api => {
+    const upload = await api('POST', '/data/upload', { name: 'Installed', description: 'd', uploaderName: 'tester', data: '{"installed":1}' });
+    const { dataId, ownerSecret } = upload.body;
+    const fork = (await api('POST', `/data/fork/${dataId}`, { uploaderName: 'forker' })).body.dataId;
+    await api('POST', `/data/update/${dataId}`, { changes: 'Second', data: '{"installed":2}' }, ownerSecret);
+    await api('POST', `/data/update/${dataId}`, { changes: 'Third', data: '{"installed":3}' }, ownerSecret);
+    const removed = await api('POST', '/data/upload', { name: 'Removed', description: 'd', uploaderName: 'tester', data: '{"removed":1}' });
+    await api('DELETE', `/data/delete/${removed.body.dataId}`, null, removed.body.ownerSecret);
+
+    const check = await api('POST', '/data/check-updates', { configs: [
+        { id: dataId, version: '1.0.0' },
+        { id: dataId, version: '1.0.1' },
+        { id: dataId, hash: contentHash('{"installed":3}') },
+        { id: removed.body.dataId, version: '1.0.0' },
+        { id: 'abc', version: '1.0.0' },
+        { id: fork, version: '1.0.0' }
+    ] });
+    assert.strictEqual(check.status, 200);
+    const { results } = check.body;
+    assert.deepStrictEqual(results.map(result => result.status), ['outdated', 'outdated', 'current', 'deleted', 'invalid', 'current']);
+    assert.deepStrictEqual(results.slice(0, 3).map(result => result.changes.map(c => c.changes)), [['Third', 'Second'], ['Third'], []]);
+    assert.deepStrictEqual([results[0].latestVersion, check.body.outdated], ['1.0.2', 2]);
+    assert.deepStrictEqual(results[5].parentUpdate, { id: dataId, latestVersion: '1.0.2', changes: results[0].changes });
+    const listed = await api('POST', '/data/check-updates', [{ id: fork, version: '1.0.0' }]);
+    assert.strictEqual(listed.body.results[0].status, 'current');
+});
+
+check('reported configs go up for review, and moderators hide or restore them with a logged reason', async api => {
+    const upload = await api('POST', '/data/upload', { name: 'Griefed', description: 'd', uploaderName: 'tester', category: 'reported', data: '{"reported":1}' });
+    const { dataId } = upload.body;
+    const report = (client, reason = 'griefing') => api('POST', `/data/report/${dataId}`, { reason, details: ' Walls ' }, null, { 'x-forwarded-for': client });
+    assert.strictEqual((await report('10.4.0.1', 'rude')).status, 400);
+    assert.strictEqual((await report('10.4.0.1')).status, 200);
+    assert.strictEqual((await report('10.4.0.1')).status, 409);
+    await report('10.4.0.2');
+    assert.strictEqual((await api('GET', '/data/list?category=reported')).body.data.length, 1);
+    await report('10.4.0.3');
+
+    // Pending configs drop out of the list and search but can still be downloaded
+    assert.strictEqual((await api('GET', '/data/list?category=reported')).body.data.length, 0);
+    assert.strictEqual((await api('GET', '/data/search?q=griefed')).body.data.length, 0);
+    assert.strictEqual((await api('GET', `/data/download/${dataId}`)).status, 200);
+    assert.strictEqual((await api('GET', '/admin/reports')).status, 403);
+    const pending = await api('GET', '/admin/data?status=pending', null, ADMIN_KEY);
+    assert.ok(pending.body.data.some(config => config.id === dataId && config.status === 'pending'));
+    const reports = (await api('GET', '/admin/reports?limit=100', null, ADMIN_KEY)).body.data.filter(r => r.configId === dataId);
+    assert.deepStrictEqual(reports.map(r => [r.reason, r.details, r.config.status]), Array(3).fill(['griefing', 'Walls', 'pending']));
+
+    const hide = await api('POST', `/admin/data/${dataId}/status`, { status: 'hidden', reason: ' Griefing ' }, ADMIN_KEY);
+    assert.deepStrictEqual([hide.body.previousStatus, hide.body.resolvedReports], ['pending', 3]);
+    const resolved = (await api('GET', '/admin/reports?resolved=true&limit=100', null, ADMIN_KEY)).body.data.filter(r => r.configId === dataId);
+    assert.deepStrictEqual(resolved.map(r => [r.resolution, r.resolvedBy]), Array(3).fill(['hidden', 'test']));
+    assert.strictEqual((await report('10.4.0.4')).status, 404);
+    await api('POST', `/admin/data/${dataId}/status`, { status: 'visible' }, ADMIN_KEY);
+    assert.strictEqual((await api('GET', '/data/list?category=reported')).body.data.length, 1);
+
+    const log = await api('GET', `/admin/moderation-log?id=${dataId}`, null, ADMIN_KEY);
+    assert.deepStrictEqual(log.body.data.map(entry => [entry.action, entry.actor, entry.reason]), [
+        ['restore', 'test', null], ['hide', 'test', 'Griefing'], ['review', 'system', '3 open reports']
+    ]);
+});
+
+check('list cursors continue after their entry while configs are added or removed', async api => {
+    const upload = async name => (await api('POST', '/data/upload', { name, description: 'd', uploaderName: 'tester', category: 'paged', data: `{"${name}":1}` })).body;
+    const uploads = [];
+    for (const name of ['Page b', 'Page c', 'Page d', 'Page e']) {
+        uploads.push(await upload(name));
+    }
+    const names = list => list.body.data.map(config => config.name);
+    const first = await api('GET', '/data/list?category=paged&sort=name&limit=2');
+    assert.deepStrictEqual([names(first), first.body.pagination.total], [['Page b', 'Page c'], 4]);
+    await upload('Page a');
+    await api('DELETE', `/data/delete/${uploads[2].dataId}`, null, uploads[2].ownerSecret);
+
+    const cursor = first.body.pagination.nextCursor;
+    const second = await api('GET', `/data/list?category=paged&limit=2&cursor=${cursor}`);
+    assert.deepStrictEqual([names(second), second.body.pagination.hasNext, second.body.pagination.nextCursor], [['Page e'], false, null]);
+    const resorted = await api('GET', `/data/list?category=paged&sort=downloads&cursor=${cursor}`);
+    assert.deepStrictEqual([resorted.status, resorted.body.details[0].message], [400, 'was made for a different sort or order']);
+    assert.strictEqual((await api('GET', '/data/list?cursor=not-a-cursor')).body.details[0].message, 'is not a valid cursor');
+    const mismatched = encodeCursor({ sort: 'name', order: null, key: ['a', 'b'], id: 1 });
+    assert.strictEqual((await api('GET', `/data/list?cursor=${mismatched}`)).status, 400);
+});
+
+check('health checks report readiness of the storage, and metrics count requests per route', async api => {
+    assert.strictEqual((await api('GET', '/health')).body.storage, store.name);
+    assert.strictEqual((await api('GET', '/health/live')).body.status, 'live');
+    assert.strictEqual((await api('GET', '/health/ready')).body.status, 'ready');
+    const ping = store.ping;
+    store.ping = async () => {
+        throw new Error('connection refused');
+    };
+    try {
+        const down = await api('GET', '/health/ready');
+        assert.deepStrictEqual([down.status, down.body.error], [503, 'Storage not ready: connection refused']);
+    } finally {
+        store.ping = ping;
+    }
+
+    const upload = await api('POST', '/data/upload', { name: 'Measured', description: 'd', uploaderName: 'tester', data: '{"measured":1}' });
+    await api('GET', `/data/download/${upload.body.dataId}`);
+    const scrape = key => fetch(api.base.replace(/\/api\/v1$/, '/metrics'), { headers: key ? { authorization: `Bearer ${key}` } : {} });
+    assert.strictEqual((await scrape()).status, 403);
+    assert.strictEqual((await scrape('test-delete-key')).status, 403);
+    const text = await (await scrape(ADMIN_KEY)).text();
+    assert.match(text, /^http_requests_total\{method="GET",route="\/api\/v1\/data\/download\/:id",status="200"\} \d+$/m);
+    assert.match(text, /^http_request_duration_seconds_count\{method="POST",route="\/api\/v1\/data\/upload"\} \d+$/m);
+    assert.match(text, /^bbg_config_bytes_total\{direction="download"\} \d+$/m);
+    assert.match(text, /^bbg_live_feed_clients \d+$/m);
+});
+
+check('jobs never overlap themselves and keep their runs, failed ones with the error', async () => {
+    assert.deepStrictEqual(loadJobSchedules('purge=0 4 * * *; stats=off'), { purge: '0 4 * * *', stats: null });
+    assert.throws(() => loadJobSchedules('purge=every day'), /Invalid JOB_SCHEDULES entry "purge=every day"/);
+
+    const jobs = createJobRegistry({ schedules: { slow: null } });
+    let finish;
+    jobs.define('slow', { schedule: '* * * * *', run: () => new Promise(resolve => { finish = resolve; }) });
+    jobs.define('broken', { run: async () => { throw new Error('disk full'); } });
+    assert.throws(() => jobs.define('broken', { run: async () => {} }), /already defined/);
+    assert.strictEqual(jobs.get('slow').schedule, null);
+
+    const running = jobs.run('slow');
+    assert.strictEqual(await jobs.run('slow'), null);
+    finish({ purged: 2 });
+    assert.deepStrictEqual([(await running).status, (await running).result], ['ok', { purged: 2 }]);
+    await jobs.run('broken');
+    const broken = jobs.get('broken');
+    assert.deepStrictEqual([broken.runCount, broken.failureCount, broken.runs[0].status, broken.runs[0].error], [1, 1, 'failed', 'disk full']);
+});
+
+check('admins list jobs and run them on demand', async api => {
+    assert.strictEqual((await api('GET', '/admin/jobs')).status, 403);
+    const list = await api('GET', '/admin/jobs', null, ADMIN_KEY);
+    assert.ok(['purge-orphans', 'purge-expired', 'refresh-stats', 'prune-download-events'].every(name => list.body.jobs.some(job => job.name === name)));
+    assert.strictEqual((await api('POST', '/admin/jobs/nope/run', null, ADMIN_KEY)).status, 404);
+
+    const upload = await api('POST', '/data/upload', { name: 'Purged', description: 'd', uploaderName: 'tester', data: '{"purged":1}' });
+    await api('DELETE', `/data/delete/${upload.body.dataId}`, null, upload.body.ownerSecret);
+    const run = await api('POST', '/admin/jobs/purge-orphans/run', null, ADMIN_KEY);
+    assert.deepStrictEqual([run.status, run.body.run.trigger, run.body.run.status], [200, 'manual', 'ok']);
+    const job = await api('GET', '/admin/jobs/purge-orphans', null, ADMIN_KEY);
+    assert.deepStrictEqual([job.body.job.runCount, job.body.job.runs[0].startedAt], [1, run.body.run.startedAt]);
+});
+
+check('stats activity is bucketed by UTC day or Monday-started week', async () => {
+    const sunday = new Date('2026-10-25T23:30:00Z');
+    assert.strictEqual(bucketStart(sunday, 'day').toISOString(), '2026-10-25T00:00:00.000Z');
+    assert.strictEqual(bucketStart(sunday, 'week').toISOString(), '2026-10-19T00:00:00.000Z');
+    assert.strictEqual(addBuckets(bucketStart(sunday, 'week'), 'week', -2).toISOString(), '2026-10-05T00:00:00.000Z');
+    const range = { from: new Date('2026-10-05T00:00:00Z'), to: new Date('2026-10-26T00:00:00Z'), interval: 'week' };
+    assert.deepStrictEqual(fillBuckets(range, { '2026-10-12': 2 }, { '2026-10-19': 1 }), [
+        { start: '2026-10-05', uploads: 0, updates: 0 },
+        { start: '2026-10-12', uploads: 2, updates: 0 },
+        { start: '2026-10-19', uploads: 0, updates: 1 }
+    ]);
+});
+
+check('stats break configs down by category and uploader over a chosen range, until a config is hidden', async api => {
+    const upload = (name, routes) => api('POST', '/data/upload', { name, description: 'd', uploaderName: 'charter', category: 'charted', data: JSON.stringify({ routes }) });
+    const first = await upload('Chart a', { a: [{ x: 1, y: 1, z: 1 }, { x: 2, y: 2, z: 2 }, { x: 3, y: 3, z: 3 }] });
+    await upload('Chart b', { b: [{ x: 4, y: 4, z: 4 }] });
+    await api('POST', `/data/update/${first.body.dataId}`, { changes: 'Charted', data: JSON.stringify({ routes: { a: [{ x: 5, y: 5, z: 5 }] } }) }, first.body.ownerSecret);
+
+    const from = addBuckets(bucketStart(new Date(), 'week'), 'week', -2).toISOString().slice(0, 10);
+    const stats = (await api('GET', `/stats?interval=week&from=${from}`)).body.data;
+    const category = stats.breakdown.categories.find(c => c.category === 'charted');
+    assert.deepStrictEqual([stats.categories.charted, category.configs, category.points, category.averagePoints], [2, 2, 2, 1]);
+    assert.strictEqual(stats.breakdown.uploaders.find(u => u.uploaderName === 'charter').configs, 2);
+    assert.deepStrictEqual([stats.activity.from, stats.activity.buckets.length], [from, 3]);
+    const current = stats.activity.buckets[2];
+    assert.ok(current.uploads >= 2 && current.updates >= 1);
+    assert.strictEqual(stats.storage.storedSize, stats.storage.configs.storedSize + stats.storage.versions.storedSize);
+    const cached = (await api('GET', `/stats?interval=week&from=${from}`)).body.data;
+    assert.strictEqual(cached.generatedAt, stats.generatedAt);
+
+    await api('POST', `/admin/data/${first.body.dataId}/status`, { status: 'hidden' }, ADMIN_KEY);
+    assert.strictEqual((await api('GET', `/stats?interval=week&from=${from}`)).body.data.categories.charted, 1);
+    const reversed = await api('GET', '/stats?from=2026-02-01&to=2026-01-01');
+    assert.deepStrictEqual([reversed.status, reversed.body.details[0].message], [400, 'must not be after to']);
+    assert.strictEqual((await api('GET', '/stats?from=2000-01-01&to=2026-01-01')).status, 400);
+});
+
+check('a config uploaded without a version diffs and rolls back to its first version', async api => {
+    const upload = await api('POST', '/data/upload', { name: 'First', description: 'd', uploaderName: 'tester', data: '{"a":1}' });
+    assert.strictEqual(upload.status, 200);
+    const { dataId, ownerSecret } = upload.body;
+
+    const versions = await api('GET', `/data/versions/${dataId}`);
+    assert.deepStrictEqual(versions.body.versions.map(v => v.version), ['1.0.0']);
+
+    const update = await api('POST', `/data/update/${dataId}`, { changes: 'Second', data: '{"a":2}' }, ownerSecret);
+    assert.strictEqual(update.body.version, '1.0.1');
+
+    const diff = await api('GET', `/data/diff/${dataId}?from=1.0.0`);
+    assert.strictEqual(diff.status, 200);
+    assert.deepStrictEqual(diff.body.changes.modified, [{ path: 'a', from: 1, to: 2 }]);
+
+    const old = await api('GET', `/data/download/${dataId}?version=1.0.0`);
+    assert.strictEqual(old.body.data, '{"a":1}');
+
+    const rollback = await api('POST', `/data/rollback/${dataId}`, { version: '1.0.0' }, ownerSecret);
+    assert.strictEqual(rollback.status, 200);
+    assert.deepStrictEqual([rollback.body.version, rollback.body.restoredFrom], ['1.0.2', '1.0.0']);
+
+    const current = await api('GET', `/data/download/${dataId}`);
+    assert.strictEqual(current.body.data, '{"a":1}');
+});
+
+check('diff and rollback refuse an empty version', async api => {
+    const upload = await api('POST', '/data/upload', { name: 'Empty', description: 'd', uploaderName: 'tester', data: '{"b":1}' });
+    const { dataId, ownerSecret } = upload.body;
+    assert.strictEqual((await api('GET', `/data/diff/${dataId}?from=`)).status, 400);
+    assert.strictEqual((await api('POST', `/data/rollback/${dataId}`, { version: '' }, ownerSecret)).status, 400);
+});
+
+check('stats list only the top uploaders', async api => {
+    for (let i = 0; i < 12; i++) {
+        await api('POST', '/data/upload', { name: `Stats ${i}`, description: 'd', uploaderName: `uploader${i}`, data: `{"c":${i}}` });
+    }
+    const stats = await api('GET', '/stats');
+    assert.strictEqual(stats.status, 200);
+    assert.strictEqual(Object.keys(stats.body.data.topUploaders).length, 10);
+    assert.deepStrictEqual(Object.keys(stats.body.data.topUploaders), stats.body.data.breakdown.uploaders.map(u => u.uploaderName));
+});
+
+async function main() {
+    await store.init();
+    const server = app.listen(0);
+    const base = `http://127.0.0.1:${server.address().port}/api/v1`;
+    // A Buffer body is sent as is, for encoded request bodies; responses that
+    // aren't JSON (e.g. NDJSON exports) are returned as text
+    const api = async (method, url, body, secret, extraHeaders = {}) => {
+        const headers = { 'content-type': 'application/json', ...extraHeaders };
+        if (secret) {
+            headers.authorization = `Bearer ${secret}`;
+        }
+        const response = await fetch(base + url, { method, headers, body: Buffer.isBuffer(body) ? body : body && JSON.stringify(body) });
+        const text = await response.text();
+        return { status: response.status, headers: response.headers, body: !text ? null : /^application\/json\b/.test(response.headers.get('content-type')) ? JSON.parse(text) : text };
+    };
+
+    api.base = base;
+
+    let failed = 0;
+    for (const { name, run } of checks) {
+        const before = mismatches.length;
+        try {
+            await run(api);
+            assert.strictEqual(mismatches.length, before, 'a response did not match the OpenAPI document');
+            console.log(`ok - ${name}`);
+        } catch (error) {
+            failed++;
+            console.log(`not ok - ${name}\n  ${error.message}`);
+        }
+    }
+    server.close();
+    fs.rmSync(scratch, { recursive: true, force: true });
+    console.log(`${checks.length - failed}/${checks.length} passed`);
+    return failed;
+}
+
+main().then(failed => process.exit(failed ? 1 : 0), error => {
+    console.error(error);
+    process.exit(1);
+});